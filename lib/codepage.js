@@ -0,0 +1,195 @@
+/************************************************************************************************************
+ * codepage.js - decodes the output of REG, which is written in the codepage of the console
+ *
+ * @author Paul Bottin a/k/a FrEsC
+ *
+ */
+
+/* upper halves (0x80 - 0xFF) of the codepages that TextDecoder doesn't cover (or, like windows-1252, decodes as latin1) */
+var CODEPAGE_TABLES    = {
+      437: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+           '└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0',
+      850: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+           '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0',
+      852: 'ÇüéâäůćçłëŐőîŹÄĆÉĹĺôöĽľŚśÖÜŤťŁ×čáíóúĄąŽžĘę¬źČş«»░▒▓│┤ÁÂĚŞ╣║╗╝Żż┐' +
+           '└┴┬├─┼Ăă╚╔╩╦╠═╬¤đĐĎËďŇÍÎě┘┌█▄ŢŮ▀ÓßÔŃńňŠšŔÚŕŰýÝţ´\u00ad˝˛ˇ˘§÷¸°¨˙űŘř■\u00a0',
+      858: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+           '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0',
+      1252: '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ\u00a0¡¢£¤¥¦§¨©ª«¬\u00ad®¯°±²³´µ¶·¸¹º»¼½¾¿' +
+            'ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿ'
+    }
+
+/* WHATWG encoding names of other codepages */
+,   ENCODING_NAMES = {
+      866:   'ibm866',
+      874:   'windows-874',
+      932:   'shift_jis',
+      936:   'gbk',
+      949:   'euc-kr',
+      950:   'big5',
+      1200:  'utf-16le',
+      1250:  'windows-1250',
+      1251:  'windows-1251',
+      1253:  'windows-1253',
+      1254:  'windows-1254',
+      1255:  'windows-1255',
+      1256:  'windows-1256',
+      1257:  'windows-1257',
+      1258:  'windows-1258',
+      20866: 'koi8-r',
+      21866: 'koi8-u',
+      28591: 'iso-8859-1',
+      28592: 'iso-8859-2',
+      28595: 'iso-8859-5',
+      28597: 'iso-8859-7',
+      28605: 'iso-8859-15',
+      54936: 'gb18030',
+      65001: 'utf-8'
+    }
+
+/* codepages by the encoding names node uses for buffers */
+,   NODE_ENCODINGS = {
+      'utf8':     65001,
+      'utf-8':    65001,
+      'utf16le':  1200,
+      'utf-16le': 1200,
+      'ucs2':     1200,
+      'ucs-2':    1200,
+      'latin1':   28591,
+      'binary':   28591
+    }
+
+/* the codepage of UTF-8 */
+,   CP_UTF8       = 65001
+
+/* the codepage of UTF-16LE */
+,   CP_UTF16      = 1200
+
+/*
+ * Returns the codepage number of an encoding, which may be given as codepage number, as string like
+ * 'cp850' or '850' or as name of a node buffer encoding. Returns 'auto' for 'auto' and null for unknown encodings.
+ */
+function normalize(encoding) {
+  var match;
+
+  if (encoding === 'auto')
+    return 'auto';
+
+  if (typeof encoding === 'number')
+    return isSupported(encoding) ? encoding : null;
+
+  if (typeof encoding !== 'string')
+    return null;
+
+  encoding = encoding.toLowerCase();
+  if (NODE_ENCODINGS.hasOwnProperty(encoding))
+    return NODE_ENCODINGS[encoding];
+
+  match = /^(?:cp|ibm|windows-)?([0-9]+)$/.exec(encoding);
+  if (match && isSupported(+match[1]))
+    return +match[1];
+
+  return null;
+}
+
+/*
+ * Returns true if data in the given codepage can be decoded
+ */
+function isSupported(codepage) {
+  return CODEPAGE_TABLES.hasOwnProperty(codepage) || ENCODING_NAMES.hasOwnProperty(codepage);
+}
+
+/*
+ * Returns true if the bytes look like UTF-16LE text, i.e. start with a byte order mark or with two ASCII characters
+ */
+function looksLikeUtf16(bytes) {
+  if (bytes.length < 2 || bytes.length % 2 != 0)
+    return false;
+  if (bytes[0] == 0xff && bytes[1] == 0xfe)
+    return true;
+  return bytes.length >= 4 && bytes[0] != 0 && bytes[1] == 0 && bytes[2] != 0 && bytes[3] == 0;
+}
+
+/*
+ * Returns true if the bytes contain a valid UTF-8 multi-byte sequence and no invalid ones
+ */
+function looksLikeUtf8(bytes) {
+  var multiByte = false;
+
+  for (var i = 0, l = bytes.length; i < l; i++) {
+    if (bytes[i] >= 0x80) {
+      multiByte = true;
+      break;
+    }
+  }
+
+  if (!multiByte)
+    return false;
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Returns true if 'auto' decodes the bytes with the OEM codepage, i.e. if they contain non-ASCII characters
+ * that are neither UTF-16LE nor UTF-8 encoded.
+ * @param {Buffer} bytes - the output
+ * @returns {boolean}
+ */
+function needsCodepage(bytes) {
+  if (looksLikeUtf16(bytes) || looksLikeUtf8(bytes))
+    return false;
+
+  for (var i = 0, l = bytes.length; i < l; i++) {
+    if (bytes[i] >= 0x80)
+      return true;
+  }
+
+  return false;
+}
+
+/**
+ * Decodes the bytes of a REG output stream.
+ * @param {Buffer} bytes - the complete output, so multi-byte characters split across chunks are decoded properly
+ * @param {(string|number)} encoding - the encoding, see {@link normalize}. With 'auto' UTF-16LE and UTF-8 output
+ *   is recognized, anything else is decoded with the given OEM codepage.
+ * @param {number=} oemCodepage - the OEM codepage used by 'auto', defaults to 437
+ * @returns {string} the decoded text
+ */
+function decode(bytes, encoding, oemCodepage) {
+  var codepage = normalize(encoding)
+  ,   table
+
+  if (codepage === null)
+    throw new Error('unsupported encoding: ' + encoding);
+
+  if (codepage === 'auto') {
+    if (looksLikeUtf16(bytes))
+      codepage = CP_UTF16;
+    else if (looksLikeUtf8(bytes))
+      codepage = CP_UTF8;
+    else
+      codepage = normalize(oemCodepage || 437) || 437;
+  }
+
+  if (codepage == CP_UTF16)
+    return bytes.toString('utf16le').replace(/^\ufeff/, '');
+
+  table = CODEPAGE_TABLES[codepage];
+  if (table) {
+    var result = '';
+    for (var i = 0, l = bytes.length; i < l; i++)
+      result += bytes[i] < 0x80 ? String.fromCharCode(bytes[i]) : table.charAt(bytes[i] - 0x80);
+    return result;
+  }
+
+  return new TextDecoder(ENCODING_NAMES[codepage]).decode(bytes);
+}
+
+exports.normalize = normalize;
+exports.needsCodepage = needsCodepage;
+exports.decode = decode;
@@ -0,0 +1,885 @@
+/************************************************************************************************************
+ * memory.js - contains an in-memory registry that understands the REG command line, so it can be used as a
+ *             command executor for {@link Registry} objects on any platform
+ *
+ * @author Paul Bottin a/k/a FrEsC
+ *
+ */
+
+/* imports */
+var util          = require('util')
+,   fs            = require('fs')
+,   regfile       = require('./regfile')
+,   parser        = require('./parser')
+
+/* hive ids and the names REG prints for them */
+,   HIVE_NAMES    = {
+      HKLM: 'HKEY_LOCAL_MACHINE',
+      HKCU: 'HKEY_CURRENT_USER',
+      HKCR: 'HKEY_CLASSES_ROOT',
+      HKU:  'HKEY_USERS',
+      HKCC: 'HKEY_CURRENT_CONFIG'
+    }
+
+/* registry value type ids */
+,   REG_TYPES     = [ 'REG_SZ', 'REG_MULTI_SZ', 'REG_EXPAND_SZ', 'REG_DWORD', 'REG_QWORD', 'REG_BINARY', 'REG_NONE' ]
+
+/* the name REG prints for the default value */
+,   DEFAULT_NAME  = '(Default)'
+
+/* the data REG prints for a default value that isn't set */
+,   UNSET_DEFAULT = '(value not set)'
+
+/* the key that holds the 32 bit view of HKLM\Software */
+,   WOW64_NODE    = 'WOW6432Node'
+
+/* switches that take a parameter, per REG command */
+,   PARAM_SWITCHES = {
+      QUERY:  [ '/v', '/f', '/t', '/se' ],
+      ADD:    [ '/v', '/t', '/s', '/d' ],
+      DELETE: [ '/v' ],
+      EXPORT: [],
+      IMPORT: [],
+      COPY:   [],
+      COMPARE: [ '/v' ],
+      SAVE:   [],
+      RESTORE: [],
+      LOAD:   [],
+      UNLOAD: []
+    }
+
+/* number of positional arguments (key paths and file names), per REG command */
+,   POSITIONAL_ARGS = {
+      QUERY:  1,
+      ADD:    1,
+      DELETE: 1,
+      EXPORT: 2,
+      IMPORT: 1,
+      COPY:   2,
+      COMPARE: 2,
+      SAVE:   2,
+      RESTORE: 2,
+      LOAD:   2,
+      UNLOAD: 1
+    }
+
+/* messages and exit codes as REG reports them */
+,   MSG_SUCCESS   = 'The operation completed successfully.'
+,   MSG_NOT_FOUND = 'ERROR: The system was unable to find the specified registry key or value.'
+,   MSG_KEY_NAME  = 'ERROR: Invalid key name.'
+,   MSG_SYNTAX    = 'ERROR: Invalid syntax.'
+,   MSG_VALUE     = 'ERROR: Invalid value specified.'
+,   MSG_FILE      = 'ERROR: The system was unable to open the specified file.'
+,   MSG_EXISTS    = 'ERROR: The file already exists, use /y to overwrite it.'
+,   MSG_DENIED    = 'ERROR: Access is denied.'
+
+/* the private state of each in-memory registry: the hive root nodes by hostname and the files of the loaded hives by mount point id */
+var STATES        = new WeakMap()
+
+/*
+ * Creates an empty key node
+ */
+function mkNode(name) {
+  return { name: name, keys: new Map(), values: new Map() };
+}
+
+/*
+ * Creates the result of a successful command
+ */
+function success(stdout) {
+  return { stdout: stdout === undefined ? MSG_SUCCESS + '\r\n' : stdout, stderr: '', code: 0 };
+}
+
+/*
+ * Creates the result of a failed command
+ */
+function failure(message) {
+  return { stdout: '', stderr: message + '\r\n', code: 1 };
+}
+
+/*
+ * Splits the argument vector into the positional arguments and a map of lower cased switches
+ */
+function parseArgs(command, args) {
+  var result = { positional: [], switches: {} }
+  ,   withParam = PARAM_SWITCHES[command]
+  ,   searching = false // true if /f is given, which turns /v of REG QUERY into a flag
+
+  for (var i = 1, l = args.length; i < l; i++) {
+    if (command == 'QUERY' && ('' + args[i]).toLowerCase() == '/f')
+      searching = true;
+  }
+
+  for (var i = 1, l = args.length; i < l; i++) {
+    var arg = '' + args[i]
+    ,   sw = arg.toLowerCase()
+
+    if (!/^\/[a-z]+(:[0-9]+)?$/.test(sw)) {
+      result.positional.push(arg);
+    } else if (withParam.indexOf(sw) != -1 && !(searching && sw == '/v')) {
+      if (i + 1 >= l)
+        return null;
+      result.switches[sw] = '' + args[++i];
+    } else {
+      result.switches[sw] = true;
+    }
+  }
+
+  return result.positional.length == POSITIONAL_ARGS[command] ? result : null;
+}
+
+/*
+ * Parses a full key path like \\host\HKLM\Software into its host, hive and key segments
+ */
+function parsePath(fullPath) {
+  var match = /^(?:\\\\([^\\]+)\\)?([^\\]+)((?:\\[^\\]+)*)\\?$/.exec(fullPath)
+  ,   hive
+
+  if (!match)
+    return null;
+
+  hive = match[2].toUpperCase();
+  for (var id in HIVE_NAMES) {
+    if (HIVE_NAMES.hasOwnProperty(id) && HIVE_NAMES[id] == hive)
+      hive = id;
+  }
+
+  if (!HIVE_NAMES.hasOwnProperty(hive))
+    return null;
+
+  return {
+    host: (match[1] || '').toLowerCase(),
+    hive: hive,
+    segments: match[3].length == 0 ? [] : match[3].substring(1).split('\\')
+  };
+}
+
+/*
+ * Redirects a location in HKLM\Software to the 32 bit view if /reg:32 is given
+ */
+function redirect(location, switches) {
+  if (switches['/reg:32'] && location.hive == 'HKLM' && location.segments.length > 0 &&
+      location.segments[0].toLowerCase() == 'software' &&
+      (location.segments.length == 1 || location.segments[1].toLowerCase() != WOW64_NODE.toLowerCase())) {
+    location.segments.splice(1, 0, WOW64_NODE);
+    location.redirected = true;
+  }
+  return location;
+}
+
+/*
+ * Writes a key node with all of its subkeys to a .reg file, using the given path for the node.
+ * Returns false if the file couldn't be written.
+ */
+function writeNode(file, path, node) {
+  var keys = [];
+
+  function collect(path, node) {
+    var values = [];
+
+    if (node.values.has(''))
+      values.push(node.values.get(''));
+    node.values.forEach(function (value) {
+      if (value.name !== '')
+        values.push(value);
+    });
+
+    keys.push({
+      path: path,
+      deleted: false,
+      values: values.map(function (value) {
+        return { name: value.name, deleted: false, type: value.type, data: value.data };
+      })
+    });
+
+    node.keys.forEach(function (child) {
+      collect(path + '\\' + child.name, child);
+    });
+  }
+
+  collect(path, node);
+
+  try {
+    fs.writeFileSync(file, regfile.serialize({ version: '5.00', keys: keys }));
+  } catch (e) {
+    return false;
+  }
+  return true;
+}
+
+/*
+ * Reads a key node written by writeNode, the first key of the file becomes the returned node.
+ * Returns null if the file couldn't be read.
+ */
+function readNode(file, name) {
+  var parsed, root, prefix;
+
+  try {
+    parsed = regfile.parse(fs.readFileSync(file));
+  } catch (e) {
+    return null;
+  }
+
+  if (parsed.keys.length == 0)
+    return null;
+
+  root = mkNode(name);
+  prefix = parsed.keys[0].path.toLowerCase();
+
+  parsed.keys.forEach(function (key) {
+    var node = root
+    ,   path = key.path
+
+    if (path.toLowerCase().indexOf(prefix) != 0)
+      return;
+
+    path.substring(prefix.length).split('\\').slice(1).forEach(function (segment) {
+      if (!node.keys.has(segment.toLowerCase()))
+        node.keys.set(segment.toLowerCase(), mkNode(segment));
+      node = node.keys.get(segment.toLowerCase());
+    });
+
+    key.values.forEach(function (value) {
+      if (!value.deleted)
+        node.values.set(value.name.toLowerCase(), { name: value.name, type: value.type, data: value.data });
+    });
+  });
+
+  return root;
+}
+
+/*
+ * Formats value data the way REG QUERY prints it
+ */
+function formatData(type, data) {
+  switch (type) {
+    case 'REG_DWORD':
+    case 'REG_QWORD':
+      return '0x' + data.toString(16);
+    case 'REG_BINARY':
+    case 'REG_NONE':
+      return data.toString('hex').toUpperCase();
+    case 'REG_MULTI_SZ':
+      return data.join('\\0');
+    default:
+      return Buffer.isBuffer(data) ? data.toString('hex').toUpperCase() : data;
+  }
+}
+
+/*
+ * Formats a value line the way REG QUERY prints it
+ */
+function formatValue(value) {
+  return '    ' + (value.name === '' ? DEFAULT_NAME : value.name) + '    ' + value.type + '    ' + formatData(value.type, value.data);
+}
+
+/*
+ * Parses the data given to REG ADD /d according to the value type, returns undefined for invalid data
+ */
+function parseData(type, data, separator) {
+  switch (type) {
+    case 'REG_DWORD':
+    case 'REG_QWORD':
+      if (data === '')
+        data = '0';
+      if (!/^(0x[0-9a-f]+|[0-9]+)$/i.test(data))
+        return undefined;
+      var number = BigInt(data);
+      if (number > (type == 'REG_DWORD' ? BigInt('0xffffffff') : BigInt('0xffffffffffffffff')))
+        return undefined;
+      return type == 'REG_DWORD' ? Number(number) : number;
+    case 'REG_BINARY':
+    case 'REG_NONE':
+      if (!/^([0-9a-f]{2})*$/i.test(data))
+        return undefined;
+      return Buffer.from(data, 'hex');
+    case 'REG_MULTI_SZ':
+      return data === '' ? [] : data.split(separator);
+    default:
+      return data;
+  }
+}
+
+/**
+ * Creates an in-memory registry that implements the semantics of the REG QUERY, ADD and DELETE commands
+ * without spawning any process. It is used as command executor of {@link Registry} objects, so that
+ * parsing and error handling work exactly the same as with REG.EXE.
+ * Key paths are case-insensitive, each host has its own set of hives and the 32 bit view
+ * (<code>arch: 'x86'</code>) of HKLM\Software is redirected to HKLM\Software\WOW6432Node.
+ *
+ * @public
+ * @class
+ *
+ * @example
+ * var Registry = require('winreg')
+ * ,   memory = new Registry.MemoryRegistry()
+ * ,   regKey = new Registry({
+ *       hive:     Registry.HKCU,
+ *       key:      '\\Software\\MyApp',
+ *       executor: memory.executor
+ *     });
+ *
+ */
+function MemoryRegistry () {
+
+  if (!(this instanceof MemoryRegistry))
+    return new MemoryRegistry();
+
+  /* private members */
+  var self = this
+  ,   _executor = function (args, cb) {
+        var result = self.exec(args);
+        setImmediate(function () {
+          cb(null, result);
+        });
+      }
+
+  /* getters/setters */
+
+  /**
+   * The command executor function to pass as <code>executor</code> option to {@link Registry}.
+   * @readonly
+   * @member {function} MemoryRegistry#executor
+   */
+  this.__defineGetter__('executor', function () { return _executor; });
+
+  /**
+   * Removes all keys and values from all hives of all hosts.
+   * @method MemoryRegistry#reset
+   */
+  this.reset = function reset () {
+    STATES.get(self).hosts.clear();
+    STATES.get(self).mounts.clear();
+  };
+
+  STATES.set(this, { hosts: new Map(), mounts: new Map() });
+
+}
+
+util.inherits(MemoryRegistry, Object);
+
+/*
+ * Returns the root node of a hive of an in-memory registry, creating it if it doesn't exist yet
+ */
+function hiveNode(memory, host, hive) {
+  var hosts = STATES.get(memory).hosts
+  ,   hives = hosts.get(host)
+
+  if (!hives) {
+    hives = new Map();
+    hosts.set(host, hives);
+  }
+  if (!hives.has(hive))
+    hives.set(hive, mkNode(HIVE_NAMES[hive]));
+  return hives.get(hive);
+}
+
+/**
+ * Runs a REG command synchronously against this in-memory registry.
+ * @param {array} args - the REG argument vector, e.g. <code>[ 'QUERY', 'HKCU\\Software', '/ve' ]</code>
+ * @returns {object} the result with the <code>stdout</code>, <code>stderr</code> and exit <code>code</code> of the command
+ */
+MemoryRegistry.prototype.exec = function exec (args) {
+
+  var command = ('' + (args[0] || '')).toUpperCase()
+  ,   parsed
+  ,   location
+
+  if (!PARAM_SWITCHES.hasOwnProperty(command))
+    return failure(MSG_SYNTAX);
+
+  parsed = parseArgs(command, args);
+  if (!parsed)
+    return failure(MSG_SYNTAX);
+
+  if (command == 'IMPORT')
+    return this._import(parsed.positional[0], parsed.switches);
+
+  if (command == 'COPY')
+    return this._copy(parsePath(parsed.positional[0]), parsePath(parsed.positional[1]), parsed.switches);
+
+  if (command == 'COMPARE')
+    return this._compare(parsePath(parsed.positional[0]), parsePath(parsed.positional[1]), parsed.switches);
+
+  location = parsePath(parsed.positional[0]);
+  if (!location)
+    return failure(MSG_KEY_NAME);
+
+  redirect(location, parsed.switches);
+
+  switch (command) {
+    case 'QUERY':
+      return this._query(location, parsed.switches);
+    case 'ADD':
+      return this._add(location, parsed.switches);
+    case 'DELETE':
+      return this._delete(location, parsed.switches);
+    case 'EXPORT':
+      return this._export(location, parsed.positional[1], parsed.switches);
+    case 'SAVE':
+      return this._save(location, parsed.positional[1], parsed.switches);
+    case 'RESTORE':
+      return this._restore(location, parsed.positional[1]);
+    case 'LOAD':
+      return this._load(location, parsed.positional[1]);
+    case 'UNLOAD':
+      return this._unload(location);
+  }
+};
+
+/*
+ * Looks up the node of a key, optionally creating missing keys on the way
+ */
+MemoryRegistry.prototype._lookup = function _lookup (location, create) {
+  var node = hiveNode(this, location.host, location.hive);
+
+  for (var i = 0, l = location.segments.length; i < l; i++) {
+    var segment = location.segments[i]
+    ,   child = node.keys.get(segment.toLowerCase())
+
+    if (!child) {
+      if (!create)
+        return null;
+      child = mkNode(segment);
+      node.keys.set(segment.toLowerCase(), child);
+    }
+    node = child;
+  }
+
+  return node;
+};
+
+/*
+ * Returns the path of a key as REG prints it, which is relative to the registry view
+ */
+MemoryRegistry.prototype._printPath = function _printPath (location) {
+  var names = [ HIVE_NAMES[location.hive] ]
+  ,   current = hiveNode(this, location.host, location.hive)
+
+  for (var i = 0, l = location.segments.length; i < l; i++) {
+    current = current.keys.get(location.segments[i].toLowerCase());
+    if (!(location.redirected && i == 1))
+      names.push(current.name);
+  }
+
+  return (location.host.length == 0 ? '' : '\\\\' + location.host + '\\') + names.join('\\');
+};
+
+/*
+ * Implements REG QUERY
+ */
+MemoryRegistry.prototype._query = function _query (location, switches) {
+  var node = this._lookup(location, false)
+  ,   path
+  ,   lines = [ '' ]
+
+  if (!node)
+    return failure(MSG_NOT_FOUND);
+
+  path = this._printPath(location);
+  lines.push(path);
+
+  function printValue(value) {
+    lines.push(formatValue(value));
+  }
+
+  if (switches.hasOwnProperty('/f'))
+    return this._find(path, node, switches);
+
+  if (switches.hasOwnProperty('/v') || switches['/ve']) {
+    var value = node.values.get(switches['/ve'] ? '' : switches['/v'].toLowerCase());
+    // REG prints a placeholder for a default value that isn't set
+    if (!value && switches['/ve'])
+      value = { name: '', type: 'REG_SZ', data: UNSET_DEFAULT };
+    if (!value)
+      return failure(MSG_NOT_FOUND);
+    printValue(value);
+    lines.push('', '');
+    return success(lines.join('\r\n'));
+  }
+
+  function printValues(node) {
+    if (node.values.has(''))
+      printValue(node.values.get(''));
+
+    node.values.forEach(function (value) {
+      if (value.name !== '')
+        printValue(value);
+    });
+  }
+
+  function printTree(path, node) {
+    printValues(node);
+    lines.push('');
+
+    node.keys.forEach(function (child) {
+      lines.push(path + '\\' + child.name);
+      printTree(path + '\\' + child.name, child);
+    });
+  }
+
+  if (switches['/s']) {
+    printTree(path, node);
+  } else {
+    printValues(node);
+    lines.push('');
+
+    node.keys.forEach(function (child) {
+      lines.push(path + '\\' + child.name);
+    });
+
+    lines.push('');
+  }
+
+  return success(lines.join('\r\n'));
+};
+
+/*
+ * Implements REG QUERY /f
+ */
+MemoryRegistry.prototype._find = function _find (path, node, switches) {
+  var pattern = parser.searchPattern(switches['/f'], switches['/c'], switches['/e'])
+  ,   type = switches.hasOwnProperty('/t') ? switches['/t'].toUpperCase() : null
+  ,   all = !(switches['/k'] || switches['/v'] || switches['/d'])
+  ,   lines = []
+  ,   matches = 0
+
+  function search(path, node) {
+    var header = false;
+
+    node.values.forEach(function (value) {
+      if (type && value.type != type)
+        return;
+      if (((all || switches['/v']) && pattern.test(value.name === '' ? DEFAULT_NAME : value.name)) ||
+          ((all || switches['/d']) && pattern.test(formatData(value.type, value.data)))) {
+        if (!header)
+          lines.push('', path);
+        header = true;
+        lines.push(formatValue(value));
+        ++matches;
+      }
+    });
+
+    node.keys.forEach(function (child) {
+      if ((all || switches['/k']) && pattern.test(child.name)) {
+        lines.push('', path + '\\' + child.name);
+        ++matches;
+      }
+      if (switches['/s'])
+        search(path + '\\' + child.name, child);
+    });
+  }
+
+  search(path, node);
+
+  lines.push('', 'End of search: ' + matches + ' match(es) found.', '');
+
+  var result = success(lines.join('\r\n'));
+  if (matches == 0)
+    result.code = 1;
+  return result;
+};
+
+/*
+ * Implements REG EXPORT
+ */
+MemoryRegistry.prototype._export = function _export (location, file, switches) {
+  var node = this._lookup(location, false)
+
+  if (!node)
+    return failure(MSG_NOT_FOUND);
+
+  if (!switches['/y'] && fs.existsSync(file))
+    return failure(MSG_EXISTS);
+
+  // .reg files never contain a hostname, so the path is printed without it
+  if (!writeNode(file, this._printPath(location).replace(/^\\\\[^\\]*\\/, ''), node))
+    return failure(MSG_FILE);
+
+  return success();
+};
+
+/*
+ * Implements REG IMPORT
+ */
+MemoryRegistry.prototype._import = function _import (file, switches) {
+  var parsed
+  ,   self = this
+
+  try {
+    parsed = regfile.parse(fs.readFileSync(file));
+  } catch (e) {
+    return failure(MSG_FILE);
+  }
+
+  for (var i = 0, l = parsed.keys.length; i < l; i++) {
+    var key = parsed.keys[i]
+    ,   location = parsePath(key.path)
+
+    if (!location || location.segments.length == 0)
+      return failure(MSG_KEY_NAME);
+
+    redirect(location, switches);
+
+    if (key.deleted) {
+      if (self._lookup(location, false))
+        self._delete(location, {});
+      continue;
+    }
+
+    var node = self._lookup(location, true);
+    key.values.forEach(function (value) {
+      if (value.deleted)
+        node.values.delete(value.name.toLowerCase());
+      else
+        node.values.set(value.name.toLowerCase(), { name: value.name, type: value.type, data: value.data });
+    });
+  }
+
+  return success();
+};
+
+/*
+ * Implements REG COPY, values that exist in the destination are only replaced if /f is given
+ */
+MemoryRegistry.prototype._copy = function _copy (source, destination, switches) {
+  var node, target
+
+  if (!source || !destination || destination.segments.length == 0)
+    return failure(MSG_KEY_NAME);
+
+  node = this._lookup(redirect(source, switches), false);
+  if (!node)
+    return failure(MSG_NOT_FOUND);
+
+  // copy the source first, so a destination below the source doesn't get copied into itself
+  function clone(node, recursive) {
+    var result = mkNode(node.name);
+    node.values.forEach(function (value, id) {
+      result.values.set(id, { name: value.name, type: value.type, data: value.data });
+    });
+    if (recursive) {
+      node.keys.forEach(function (child, id) {
+        result.keys.set(id, clone(child, true));
+      });
+    }
+    return result;
+  }
+
+  function merge(from, into) {
+    from.values.forEach(function (value, id) {
+      if (switches['/f'] || !into.values.has(id))
+        into.values.set(id, value);
+    });
+    from.keys.forEach(function (child, id) {
+      if (!into.keys.has(id))
+        into.keys.set(id, mkNode(child.name));
+      merge(child, into.keys.get(id));
+    });
+  }
+
+  node = clone(node, switches['/s']);
+  target = this._lookup(redirect(destination, switches), true);
+  merge(node, target);
+
+  return success();
+};
+
+/*
+ * Implements REG COMPARE with the default output of differences (/od), exits with code 0 if the keys are identical
+ * and with code 2 if they differ
+ */
+MemoryRegistry.prototype._compare = function _compare (first, second, switches) {
+  var nodes = []
+  ,   lines = []
+  ,   equal = true
+
+  if (!first || !second)
+    return failure(MSG_KEY_NAME);
+
+  nodes[0] = this._lookup(redirect(first, switches), false);
+  nodes[1] = this._lookup(redirect(second, switches), false);
+  if (!nodes[0] || !nodes[1])
+    return failure(MSG_NOT_FOUND);
+
+  function printValue(side, path, value) {
+    equal = false;
+    lines.push(side + ' Value: ' + path + '  ' + (value.name === '' ? DEFAULT_NAME : value.name) + '  ' +
+      value.type + '  ' + formatData(value.type, value.data));
+  }
+
+  function compareNodes(paths, a, b) {
+    a.values.forEach(function (value, id) {
+      var match = b.values.get(id);
+      if (!match) {
+        printValue('<', paths[0], value);
+      } else if (match.type != value.type || formatData(match.type, match.data) != formatData(value.type, value.data)) {
+        printValue('<', paths[0], value);
+        printValue('>', paths[1], match);
+      }
+    });
+    b.values.forEach(function (value, id) {
+      if (!a.values.has(id))
+        printValue('>', paths[1], value);
+    });
+
+    a.keys.forEach(function (child, id) {
+      if (!b.keys.has(id)) {
+        equal = false;
+        lines.push('< Key: ' + paths[0] + '\\' + child.name);
+      } else if (switches['/s']) {
+        compareNodes([ paths[0] + '\\' + child.name, paths[1] + '\\' + b.keys.get(id).name ], child, b.keys.get(id));
+      }
+    });
+    b.keys.forEach(function (child, id) {
+      if (!a.keys.has(id)) {
+        equal = false;
+        lines.push('> Key: ' + paths[1] + '\\' + child.name);
+      }
+    });
+  }
+
+  compareNodes([ this._printPath(first), this._printPath(second) ], nodes[0], nodes[1]);
+
+  lines.push('', 'Result Compared: ' + (equal ? 'Identical' : 'Different'), MSG_SUCCESS, '');
+
+  return { stdout: lines.join('\r\n'), stderr: '', code: equal ? 0 : 2 };
+};
+
+/*
+ * Implements REG SAVE. Hive files of the memory registry are .reg files rooted at the saved key.
+ */
+MemoryRegistry.prototype._save = function _save (location, file, switches) {
+  return this._export(location, file, switches);
+};
+
+/*
+ * Implements REG RESTORE, which replaces all values and subkeys of an existing key with the content of a hive file
+ */
+MemoryRegistry.prototype._restore = function _restore (location, file) {
+  var node = this._lookup(location, false)
+  ,   restored
+
+  if (!node)
+    return failure(MSG_NOT_FOUND);
+
+  restored = readNode(file, node.name);
+  if (!restored)
+    return failure(MSG_FILE);
+
+  node.keys = restored.keys;
+  node.values = restored.values;
+
+  return success();
+};
+
+/*
+ * Returns the id of a mount point in the list of loaded hives
+ */
+function mountId(location) {
+  return (location.host + '\\' + location.hive + '\\' + location.segments.join('\\')).toLowerCase();
+}
+
+/*
+ * Implements REG LOAD, hives can only be loaded into a new key directly below HKLM or HKU
+ */
+MemoryRegistry.prototype._load = function _load (location, file) {
+  var hive, node
+
+  if ((location.hive != 'HKLM' && location.hive != 'HKU') || location.segments.length != 1)
+    return failure(MSG_KEY_NAME);
+
+  if (this._lookup(location, false))
+    return failure(MSG_DENIED);
+
+  node = readNode(file, location.segments[0]);
+  if (!node)
+    return failure(MSG_FILE);
+
+  hive = hiveNode(this, location.host, location.hive);
+  hive.keys.set(location.segments[0].toLowerCase(), node);
+  STATES.get(this).mounts.set(mountId(location), file);
+
+  return success();
+};
+
+/*
+ * Implements REG UNLOAD, which writes the loaded hive back to its file
+ */
+MemoryRegistry.prototype._unload = function _unload (location) {
+  var id = mountId(location)
+  ,   file = STATES.get(this).mounts.get(id)
+  ,   node = this._lookup(location, false)
+
+  if (!file || !node)
+    return failure(MSG_KEY_NAME);
+
+  if (!writeNode(file, this._printPath(location).replace(/^\\\\[^\\]*\\/, ''), node))
+    return failure(MSG_FILE);
+
+  hiveNode(this, location.host, location.hive).keys.delete(location.segments[0].toLowerCase());
+  STATES.get(this).mounts.delete(id);
+
+  return success();
+};
+
+/*
+ * Implements REG ADD
+ */
+MemoryRegistry.prototype._add = function _add (location, switches) {
+  var name = switches['/ve'] ? '' : switches['/v']
+  ,   type = (switches['/t'] || 'REG_SZ').toUpperCase()
+  ,   separator = switches.hasOwnProperty('/s') ? switches['/s'] : '\\0'
+  ,   data
+
+  if (location.segments.length == 0)
+    return failure(MSG_KEY_NAME);
+
+  if (REG_TYPES.indexOf(type) == -1)
+    return failure(MSG_SYNTAX);
+
+  if (name !== undefined) {
+    data = parseData(type, switches.hasOwnProperty('/d') ? switches['/d'] : '', separator);
+    if (data === undefined)
+      return failure(MSG_VALUE);
+  }
+
+  var node = this._lookup(location, true);
+
+  if (name !== undefined)
+    node.values.set(name.toLowerCase(), { name: name, type: type, data: data });
+
+  return success();
+};
+
+/*
+ * Implements REG DELETE
+ */
+MemoryRegistry.prototype._delete = function _delete (location, switches) {
+  var node = this._lookup(location, false)
+
+  if (!node)
+    return failure(MSG_NOT_FOUND);
+
+  if (switches['/va']) {
+    node.values.clear();
+  } else if (switches['/ve'] || switches.hasOwnProperty('/v')) {
+    var name = switches['/ve'] ? '' : switches['/v'].toLowerCase();
+    if (!node.values.has(name))
+      return failure(MSG_NOT_FOUND);
+    node.values.delete(name);
+  } else {
+    if (location.segments.length == 0)
+      return failure(MSG_KEY_NAME);
+    var parent = this._lookup({
+          host: location.host,
+          hive: location.hive,
+          segments: location.segments.slice(0, -1)
+        }, false);
+    parent.keys.delete(location.segments[location.segments.length - 1].toLowerCase());
+  }
+
+  return success();
+};
+
+module.exports = MemoryRegistry;
@@ -0,0 +1,170 @@
+/************************************************************************************************************
+ * parser.js - contains a parser for the output of REG QUERY, which is shared by all registry methods
+ *
+ * @author Paul Bottin a/k/a FrEsC
+ *
+ */
+
+/* hive ids by long hive name (as printed by REG) */
+var HIVE_IDS      = {
+      HKEY_LOCAL_MACHINE:  'HKLM',
+      HKEY_CURRENT_USER:   'HKCU',
+      HKEY_CLASSES_ROOT:   'HKCR',
+      HKEY_USERS:          'HKU',
+      HKEY_CURRENT_CONFIG: 'HKCC'
+    }
+
+/* the value types REG prints */
+,   TYPES         = [
+      'REG_NONE',
+      'REG_SZ',
+      'REG_EXPAND_SZ',
+      'REG_BINARY',
+      'REG_DWORD',
+      'REG_DWORD_BIG_ENDIAN',
+      'REG_LINK',
+      'REG_MULTI_SZ',
+      'REG_RESOURCE_LIST',
+      'REG_FULL_RESOURCE_DESCRIPTOR',
+      'REG_RESOURCE_REQUIREMENTS_LIST',
+      'REG_QWORD'
+    ]
+
+/* key line, optionally prefixed by \\host\ for remote registries */
+,   KEY_PATTERN   = /^(?:\\\\([^\\]+)\\)?(HKEY_LOCAL_MACHINE|HKEY_CURRENT_USER|HKEY_CLASSES_ROOT|HKEY_USERS|HKEY_CURRENT_CONFIG)(\\.*)?$/
+
+/* indentation of value lines, a tab on Windows XP */
+,   INDENT        = /^(    |\t)/
+
+/* header line of REG.EXE version 3.0 (Windows XP) */
+,   HEADER        = /^! REG\.EXE VERSION /i
+
+/* column separators of REG QUERY: four spaces, or a tab on Windows XP */
+,   COLUMNS       = '    |\\t'
+
+/* the names REG prints for the default value in the languages of the installation, <NO NAME> on Windows XP */
+,   DEFAULT_NAMES = /^(\((Default|Standard|par défaut|Predeterminado|Predefinito|Padrão|Predefinido|Standaard)\)|<NO NAME>)$/i
+
+/* the data REG prints for a default value that isn't set, in the same languages */
+,   UNSET_DEFAULT = /^\((value not set|Wert nicht festgelegt|valeur non définie|valor no establecido|valore non impostato|valor não definido|waarde niet ingesteld)\)$/i
+
+/**
+ * A key of the output of REG QUERY.
+ * @typedef {object} RegQueryKey
+ * @property {?string} host - the hostname of a remote registry or null
+ * @property {string} hive - the hive id, e.g. HKCU
+ * @property {string} key - the key path below the hive, starting with a backslash, or an empty string for the hive itself
+ * @property {string} path - the full key path with the long hive name as printed by REG, without the host
+ * @property {array} values - an array of {@link RegQueryValue} objects
+ */
+
+/**
+ * A value of the output of REG QUERY.
+ * @typedef {object} RegQueryValue
+ * @property {string} name - the value name as printed by REG, <code>(Default)</code> for the default value
+ * @property {string} type - the value type, e.g. REG_SZ
+ * @property {string} data - the data as printed by REG, an empty string for empty values
+ */
+
+/*
+ * Creates the pattern of a value line with the given column separators. The name is matched lazily, so
+ * names may contain runs of spaces and the data may contain anything, including type names.
+ */
+function itemPattern(separator) {
+  return new RegExp('^(.*?)(?:' + separator + ')(' + TYPES.join('|') + ')(?:(?:' + separator + ')(.*))?$');
+}
+
+var QUERY_ITEM    = itemPattern(COLUMNS);
+
+/**
+ * Parses a single value line without its indentation.
+ * @param {string} line - the value line, e.g. <code>Name    REG_SZ    data</code>
+ * @param {string=} separator - the column separator, defaults to the separators of REG QUERY (REG COMPARE uses two spaces)
+ * @returns {?RegQueryValue} the value, or null if the line isn't a value line
+ */
+function parseItem(line, separator) {
+  var match = (separator ? itemPattern(separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')) : QUERY_ITEM).exec(line.replace(/\r$/, ''));
+
+  if (!match)
+    return null;
+
+  return { name: match[1], type: match[2], data: match[3] || '' };
+}
+
+/**
+ * Converts a search pattern of REG QUERY /f with * and ? wildcards into the regular expression REG matches names and data with.
+ * @param {string} pattern - the search pattern
+ * @param {boolean=} caseSensitive - match case-sensitively (<code>/c</code>)
+ * @param {boolean=} exact - match whole names and data only (<code>/e</code>)
+ * @returns {RegExp} the regular expression
+ */
+function searchPattern(pattern, caseSensitive, exact) {
+  var source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(exact ? '^' + source + '$' : source, caseSensitive ? '' : 'i');
+}
+
+/**
+ * Returns the name of a value as printed by REG, with an empty string for the default value, whose name REG prints
+ * in the language of the installation, e.g. <code>(Default)</code> or <code>(Standard)</code>.
+ * @param {string} name - the name as printed by REG
+ * @returns {string} the value name
+ */
+function valueName(name) {
+  return DEFAULT_NAMES.test(name) ? '' : name;
+}
+
+/**
+ * Tells whether a value as printed by REG is the placeholder REG prints for a default value that isn't set,
+ * e.g. <code>(Default)    REG_SZ    (value not set)</code>.
+ * @param {string} name - the name as printed by REG
+ * @param {string} type - the value type
+ * @param {string} data - the data as printed by REG
+ * @returns {boolean} true for the placeholder
+ */
+function isUnsetDefault(name, type, data) {
+  return type == 'REG_SZ' && DEFAULT_NAMES.test(name) && UNSET_DEFAULT.test(data);
+}
+
+/**
+ * Parses the output of REG QUERY, including the output of the switches /s and /f. Blank lines, the header of
+ * REG.EXE version 3.0 and summary lines like <code>End of search</code> are skipped, trailing whitespace of
+ * the data is preserved.
+ * @param {string} output - the output of REG QUERY
+ * @returns {array} an array of {@link RegQueryKey} objects in the order of the output
+ */
+function parse(output) {
+  var lines = output.split('\n')
+  ,   result = []
+  ,   current = null
+
+  for (var i = 0, l = lines.length; i < l; i++) {
+    var line = lines[i].replace(/\r$/, '')
+    ,   match
+    ,   item
+
+    if (line.trim().length == 0 || HEADER.test(line))
+      continue;
+
+    if ((match = KEY_PATTERN.exec(line))) {
+      current = {
+        host: match[1] || null,
+        hive: HIVE_IDS[match[2]],
+        key: match[3] || '',
+        path: match[2] + (match[3] || ''),
+        values: []
+      };
+      result.push(current);
+    } else if (current && INDENT.test(line) && (item = parseItem(line.replace(INDENT, '')))) {
+      current.values.push(item);
+    }
+  }
+
+  return result;
+}
+
+exports.TYPES = TYPES;
+exports.searchPattern = searchPattern;
+exports.valueName = valueName;
+exports.isUnsetDefault = isUnsetDefault;
+exports.parse = parse;
+exports.parseItem = parseItem;
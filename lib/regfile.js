@@ -0,0 +1,419 @@
+/************************************************************************************************************
+ * regfile.js - contains a parser and serializer for the .reg files of the Windows registry editor
+ *              (Windows Registry Editor Version 5.00 and REGEDIT4)
+ *
+ * @author Paul Bottin a/k/a FrEsC
+ *
+ */
+
+var parser        = require('./parser')
+
+/* file headers */
+,   HEADER_5      = 'Windows Registry Editor Version 5.00'
+,   HEADER_4      = 'REGEDIT4'
+
+/* line ending as written by regedit */
+,   EOL           = '\r\n'
+
+/* regedit wraps hex data once a line reaches this many characters */
+,   MAX_HEX_CHARS = 77
+
+/* long hive names by hive id */
+,   HIVE_NAMES    = {
+      HKLM: 'HKEY_LOCAL_MACHINE',
+      HKCU: 'HKEY_CURRENT_USER',
+      HKCR: 'HKEY_CLASSES_ROOT',
+      HKU:  'HKEY_USERS',
+      HKCC: 'HKEY_CURRENT_CONFIG'
+    }
+
+/* registry value types by the number used in hex(n) */
+,   HEX_TYPES     = [
+      'REG_NONE',
+      'REG_SZ',
+      'REG_EXPAND_SZ',
+      'REG_BINARY',
+      'REG_DWORD',
+      'REG_DWORD_BIG_ENDIAN',
+      'REG_LINK',
+      'REG_MULTI_SZ',
+      'REG_RESOURCE_LIST',
+      'REG_FULL_RESOURCE_DESCRIPTOR',
+      'REG_RESOURCE_REQUIREMENTS_LIST',
+      'REG_QWORD'
+    ]
+
+/**
+ * A parsed .reg file.
+ * @typedef {object} RegFile
+ * @property {string} version - the file format version, either '5.00' or '4'
+ * @property {array} keys - an array of {@link RegFileKey} objects in the order of the file
+ */
+
+/**
+ * A key section of a .reg file.
+ * @typedef {object} RegFileKey
+ * @property {string} path - the full key path with the long hive name, e.g. <code>HKEY_CURRENT_USER\Software\MyApp</code>
+ * @property {boolean} deleted - true if the key is deleted by the file (<code>[-path]</code>)
+ * @property {array} values - an array of {@link RegFileValue} objects
+ */
+
+/**
+ * A value of a .reg file.
+ * @typedef {object} RegFileValue
+ * @property {string} name - the value name, an empty string for the default value (<code>@</code>)
+ * @property {boolean} deleted - true if the value is deleted by the file (<code>"name"=-</code>)
+ * @property {string=} type - the value type, e.g. REG_SZ
+ * @property {(string|number|BigInt|Buffer|array)=} data - the value, decoded the same way as {@link RegistryItem#data}
+ */
+
+/*
+ * Creates an Error for a malformed line of a .reg file
+ */
+function syntaxError(message, lineNumber) {
+  return new Error('illegal .reg file: ' + message + ' in line ' + lineNumber);
+}
+
+/*
+ * Decodes the content of a .reg file, using the byte order mark to detect the encoding
+ */
+function decodeContent(content, encoding) {
+  if (typeof content === 'string')
+    return content.replace(/^\uFEFF/, '');
+
+  if (content[0] == 0xff && content[1] == 0xfe)
+    return content.toString('utf16le', 2);
+  if (content[0] == 0xef && content[1] == 0xbb && content[2] == 0xbf)
+    return content.toString('utf8', 3);
+
+  return content.toString(encoding || 'latin1');
+}
+
+/*
+ * Reads a quoted string starting at the given position, returns the unescaped string and the position after it
+ */
+function readQuoted(text, start) {
+  var result = ''
+
+  for (var i = start + 1, l = text.length; i < l; i++) {
+    var c = text.charAt(i);
+    if (c == '"')
+      return { value: result, end: i + 1 };
+    if (c == '\\' && (text.charAt(i + 1) == '\\' || text.charAt(i + 1) == '"'))
+      c = text.charAt(++i);
+    result += c;
+  }
+
+  return null;
+}
+
+/*
+ * Quotes a string the way regedit does
+ */
+function writeQuoted(value) {
+  return '"' + value.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/*
+ * Decodes the bytes of a hex(n) value according to the value type
+ */
+function decodeHex(type, bytes, unicode) {
+  var text;
+
+  switch (type) {
+    case 'REG_SZ':
+    case 'REG_EXPAND_SZ':
+      return bytes.toString(unicode ? 'utf16le' : 'latin1').replace(/\u0000+$/, '');
+    case 'REG_MULTI_SZ':
+      text = bytes.toString(unicode ? 'utf16le' : 'latin1').replace(/\u0000+$/, '');
+      return text.length == 0 ? [] : text.split('\u0000');
+    case 'REG_DWORD':
+      return bytes.length == 4 ? bytes.readUInt32LE(0) : bytes;
+    case 'REG_DWORD_BIG_ENDIAN':
+      return bytes.length == 4 ? bytes.readUInt32BE(0) : bytes;
+    case 'REG_QWORD':
+      return bytes.length == 8 ? bytes.readBigUInt64LE(0) : bytes;
+    default:
+      return bytes;
+  }
+}
+
+/*
+ * Encodes a string as it is stored in the registry, including the terminating null character
+ */
+function encodeString(value, unicode) {
+  return Buffer.from(value + '\u0000', unicode ? 'utf16le' : 'latin1');
+}
+
+/*
+ * Encodes typed value data as bytes for a hex(n) value
+ */
+function encodeHex(type, data, unicode) {
+  var bytes;
+
+  switch (type) {
+    case 'REG_SZ':
+    case 'REG_EXPAND_SZ':
+      return encodeString('' + data, unicode);
+    case 'REG_MULTI_SZ':
+      return encodeString(data.length == 0 ? '' : data.join('\u0000') + '\u0000', unicode);
+    case 'REG_DWORD':
+    case 'REG_DWORD_BIG_ENDIAN':
+      if (Buffer.isBuffer(data))
+        return data;
+      bytes = Buffer.alloc(4);
+      if (type == 'REG_DWORD')
+        bytes.writeUInt32LE(Number(data), 0);
+      else
+        bytes.writeUInt32BE(Number(data), 0);
+      return bytes;
+    case 'REG_QWORD':
+      if (Buffer.isBuffer(data))
+        return data;
+      bytes = Buffer.alloc(8);
+      bytes.writeBigUInt64LE(BigInt(data), 0);
+      return bytes;
+    default:
+      if (typeof data === 'string')
+        return Buffer.from(data, 'hex');
+      return Buffer.from(data);
+  }
+}
+
+/*
+ * Parses the data part of a value line
+ */
+function parseData(text, unicode, lineNumber) {
+  var match, type, bytes;
+
+  if (text.charAt(0) == '"') {
+    var quoted = readQuoted(text, 0);
+    if (!quoted || quoted.end != text.length)
+      throw syntaxError('unterminated string', lineNumber);
+    return { type: 'REG_SZ', data: quoted.value };
+  }
+
+  if ((match = /^dword:([0-9a-f]{8})$/i.exec(text)))
+    return { type: 'REG_DWORD', data: parseInt(match[1], 16) };
+
+  if ((match = /^hex(?:\(([0-9a-f]+)\))?:\s*((?:[0-9a-f]{2}\s*(?:,\s*[0-9a-f]{2}\s*)*)?),?\s*$/i.exec(text))) {
+    type = match[1] === undefined ? 'REG_BINARY' : (HEX_TYPES[parseInt(match[1], 16)] || 'hex(' + match[1].toLowerCase() + ')');
+    bytes = Buffer.from(match[2].replace(/[\s,]/g, ''), 'hex');
+    return { type: type, data: decodeHex(type, bytes, unicode) };
+  }
+
+  throw syntaxError('unknown value format ' + text, lineNumber);
+}
+
+/**
+ * Parses the content of a .reg file. The content may be given as Buffer, in which case a byte order mark selects
+ * the encoding (UTF-16LE or UTF-8) or the given encoding is used, or as string.
+ * @param {(string|Buffer)} content - the content of the .reg file
+ * @param {object=} options - the options
+ * @param {string=} options.encoding - the encoding of a Buffer without byte order mark, defaults to latin1
+ * @returns {RegFile} the parsed file
+ */
+function parse(content, options) {
+  var text = decodeContent(content, (options || {}).encoding)
+  ,   lines = text.split(/\r?\n/)
+  ,   result = { version: null, keys: [] }
+  ,   current = null
+  ,   unicode
+
+  for (var i = 0, l = lines.length; i < l; i++) {
+    var lineNumber = i + 1
+    ,   line = lines[i].trim()
+
+    // join continued lines
+    while (/\\$/.test(line) && i + 1 < l)
+      line = line.substring(0, line.length - 1) + lines[++i].trim();
+
+    if (line.length == 0 || line.charAt(0) == ';')
+      continue;
+
+    if (result.version === null) {
+      if (line == HEADER_5)
+        result.version = '5.00';
+      else if (line == HEADER_4)
+        result.version = '4';
+      else
+        throw syntaxError('unknown header ' + line, lineNumber);
+      unicode = result.version == '5.00';
+      continue;
+    }
+
+    if (line.charAt(0) == '[') {
+      if (line.charAt(line.length - 1) != ']')
+        throw syntaxError('unterminated key', lineNumber);
+      current = { path: line.substring(1, line.length - 1), deleted: false, values: [] };
+      if (current.path.charAt(0) == '-') {
+        current.path = current.path.substring(1);
+        current.deleted = true;
+      }
+      result.keys.push(current);
+      continue;
+    }
+
+    if (!current)
+      throw syntaxError('value outside of a key', lineNumber);
+
+    var name, rest;
+    if (line.charAt(0) == '@') {
+      name = '';
+      rest = line.substring(1);
+    } else if (line.charAt(0) == '"') {
+      var quoted = readQuoted(line, 0);
+      if (!quoted)
+        throw syntaxError('unterminated value name', lineNumber);
+      name = quoted.value;
+      rest = line.substring(quoted.end);
+    } else {
+      throw syntaxError('unexpected ' + line, lineNumber);
+    }
+
+    var eq = /^\s*=\s*/.exec(rest);
+    if (!eq)
+      throw syntaxError('missing = after value name', lineNumber);
+    rest = rest.substring(eq[0].length);
+
+    if (rest == '-') {
+      current.values.push({ name: name, deleted: true });
+    } else {
+      var value = parseData(rest, unicode, lineNumber);
+      current.values.push({ name: name, deleted: false, type: value.type, data: value.data });
+    }
+  }
+
+  if (result.version === null)
+    throw new Error('illegal .reg file: missing header');
+
+  return result;
+}
+
+/*
+ * Formats bytes as hex data, wrapping lines the way regedit does
+ */
+function writeHex(prefix, bytes) {
+  var result = prefix
+  ,   lineLength = prefix.length
+
+  for (var i = 0, l = bytes.length; i < l; i++) {
+    result += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    if (i == l - 1)
+      break;
+    result += ',';
+    lineLength += 3;
+    if (lineLength >= MAX_HEX_CHARS) {
+      result += '\\' + EOL + '  ';
+      lineLength = 2;
+    }
+  }
+
+  return result;
+}
+
+/*
+ * Formats a single value line
+ */
+function writeValue(value, unicode) {
+  var prefix = (value.name === '' ? '@' : writeQuoted(value.name)) + '='
+  ,   type = value.type
+  ,   hexType
+
+  if (value.deleted)
+    return prefix + '-';
+
+  if (type == 'REG_SZ' && typeof value.data === 'string')
+    return prefix + writeQuoted(value.data);
+
+  if (type == 'REG_DWORD' && !Buffer.isBuffer(value.data))
+    return prefix + 'dword:' + ('0000000' + (Number(value.data) >>> 0).toString(16)).slice(-8);
+
+  if (type == 'REG_BINARY') {
+    hexType = 'hex:';
+  } else {
+    var index = HEX_TYPES.indexOf(type)
+    ,   match = /^hex\(([0-9a-f]+)\)$/.exec(type)
+    if (index != -1)
+      hexType = 'hex(' + index.toString(16) + '):';
+    else if (match)
+      hexType = type + ':';
+    else
+      throw new Error('illegal value type ' + type + ' of value ' + value.name);
+  }
+
+  return writeHex(prefix + hexType, encodeHex(type, value.data, unicode));
+}
+
+/*
+ * Converts a tree as returned by Registry#tree into the keys of a RegFile, without the placeholder of an unset default value
+ */
+function treeToKeys(node, keys) {
+  keys = keys || [];
+
+  keys.push({
+    path: HIVE_NAMES[node.key.hive] + node.key.key,
+    deleted: false,
+    values: node.values.filter(function (item) {
+      return !parser.isUnsetDefault(item.name, item.type, item.value);
+    }).map(function (item) {
+      return { name: parser.valueName(item.name), deleted: false, type: item.type, data: item.data };
+    })
+  });
+
+  for (var i = 0, l = node.keys.length; i < l; i++)
+    treeToKeys(node.keys[i], keys);
+
+  return keys;
+}
+
+/**
+ * Formats registry keys and values as the text of a .reg file.
+ * The input is either a {@link RegFile} or a {@link RegistryTree} as returned by {@link Registry#tree}; in the latter case the
+ * default value, which REG reports as (Default), is written as @.
+ * @param {(RegFile|RegistryTree)} input - the keys and values
+ * @param {object=} options - the options
+ * @param {string=} options.version - the file format version, '5.00' or '4'; defaults to the version of the input or '5.00'
+ * @returns {string} the text of the .reg file
+ */
+function stringify(input, options) {
+  var version = (options || {}).version || input.version || '5.00'
+  ,   unicode = version == '5.00'
+  ,   keys = (input.key && input.values) ? treeToKeys(input) : input.keys
+  ,   result = (unicode ? HEADER_5 : HEADER_4) + EOL
+
+  if (version != '5.00' && version != '4')
+    throw new Error('illegal .reg file version specified (use 5.00 or 4)');
+
+  for (var i = 0, l = keys.length; i < l; i++) {
+    var key = keys[i];
+    result += EOL + '[' + (key.deleted ? '-' : '') + key.path + ']' + EOL;
+    if (key.deleted)
+      continue;
+    for (var j = 0, m = key.values.length; j < m; j++)
+      result += writeValue(key.values[j], unicode) + EOL;
+  }
+
+  return result + EOL;
+}
+
+/**
+ * Formats registry keys and values as a .reg file, encoded the way regedit writes it:
+ * UTF-16LE with byte order mark for version 5.00 and latin1 for REGEDIT4.
+ * @param {(RegFile|RegistryTree)} input - the keys and values
+ * @param {object=} options - the options, see {@link stringify}
+ * @returns {Buffer} the content of the .reg file
+ */
+function serialize(input, options) {
+  var text = stringify(input, options);
+
+  if (/^REGEDIT4/.test(text))
+    return Buffer.from(text, 'latin1');
+
+  return Buffer.concat([ Buffer.from([ 0xff, 0xfe ]), Buffer.from(text, 'utf16le') ]);
+}
+
+exports.parse = parse;
+exports.decode = decodeContent;
+exports.stringify = stringify;
+exports.serialize = serialize;
@@ -8,7 +8,16 @@
 /* imports */
 var util          = require('util')
 ,   path          = require('path')
+,   fs            = require('fs')
+,   os            = require('os')
 ,   spawn         = require('child_process').spawn
+,   EventEmitter  = require('events').EventEmitter
+,   AsyncLocalStorage = require('async_hooks').AsyncLocalStorage
+,   AsyncResource = require('async_hooks').AsyncResource
+,   MemoryRegistry = require('./memory')
+,   regfile       = require('./regfile')
+,   codepage      = require('./codepage')
+,   parser        = require('./parser')
 
 /* set to console.log for debugging */
 ,   log           = function () {}
@@ -21,6 +30,15 @@ var util          = require('util')
 ,   HKCC          = 'HKCC'
 ,   HIVES         = [ HKLM, HKCU, HKCR, HKU, HKCC ]
 
+/* long registry hive names (as returned by REG-cli) */
+,   HIVE_NAMES    = {
+      HKEY_LOCAL_MACHINE:  HKLM,
+      HKEY_CURRENT_USER:   HKCU,
+      HKEY_CLASSES_ROOT:   HKCR,
+      HKEY_USERS:          HKU,
+      HKEY_CURRENT_CONFIG: HKCC
+    }
+
 /* registry value type ids */
 ,   REG_SZ        = 'REG_SZ'
 ,   REG_MULTI_SZ  = 'REG_MULTI_SZ'
@@ -31,49 +49,123 @@ var util          = require('util')
 ,   REG_NONE      = 'REG_NONE'
 ,   REG_TYPES     = [ REG_SZ, REG_MULTI_SZ, REG_EXPAND_SZ, REG_DWORD, REG_QWORD, REG_BINARY, REG_NONE ]
 
+/* registry value type ids that are only read (REG ADD doesn't write them) */
+,   REG_DWORD_BIG_ENDIAN = 'REG_DWORD_BIG_ENDIAN'
+,   REG_LINK      = 'REG_LINK'
+,   REG_RESOURCE_LIST = 'REG_RESOURCE_LIST'
+,   REG_FULL_RESOURCE_DESCRIPTOR = 'REG_FULL_RESOURCE_DESCRIPTOR'
+,   REG_RESOURCE_REQUIREMENTS_LIST = 'REG_RESOURCE_REQUIREMENTS_LIST'
+
 /* default registry value name */
 ,   DEFAULT_VALUE = ''
 
-/* general key pattern */
-,   KEY_PATTERN   = /(\\[a-zA-Z0-9_\s]+)*/
+/* localized REG error messages by error type */
+,   ERROR_PATTERNS = {
+      unreachable: /network path was not found|Netzwerkpfad wurde nicht gefunden|chemin réseau est introuvable|ruta de acceso de la red|percorso di rete non trovato|caminho de rede não foi encontrado|netwerkpad is niet gevonden/i,
+      denied:      /access is denied|Zugriff verweigert|accès refusé|acceso denegado|accesso negato|acesso negado|toegang geweigerd/i,
+      notFound:    /unable to find|nicht gefunden|introuvable|pas trouvé|no (se )?(pudo|puede) encontrar|impossibile trovare|não (foi possível|conseguiu) (encontrar|localizar)|niet (worden )?gevonden/i,
+      invalid:     /invalid|ungültig|non valide|no válid|non valid|inválid|ongeldig/i
+    }
+
+/* REG commands that modify the registry */
+,   WRITE_COMMANDS = [ 'ADD', 'DELETE', 'COPY', 'IMPORT', 'RESTORE', 'LOAD', 'UNLOAD' ]
 
-/* key path pattern (as returned by REG-cli) */
-,   PATH_PATTERN  = /^(HKEY_LOCAL_MACHINE|HKEY_CURRENT_USER|HKEY_CLASSES_ROOT|HKEY_USERS|HKEY_CURRENT_CONFIG)(.*)$/
+/* separator of the strings in REG_MULTI_SZ data (as used by REG-cli) */
+,   MULTI_SZ_SEPARATOR = '\\0'
 
-/* registry item pattern */
-,   ITEM_PATTERN  = /^(.*)\s(REG_SZ|REG_MULTI_SZ|REG_EXPAND_SZ|REG_DWORD|REG_QWORD|REG_BINARY|REG_NONE)\s+([^\s].*)$/
+/* limits of key names as documented for the Windows registry */
+,   MAX_KEY_NAME_LENGTH = 255
+,   MAX_KEY_DEPTH = 512
 
 /**
- * Creates an Error object that contains the exit code of the REG.EXE process.
- * This contructor is private. Objects of this type are created internally and returned in the <code>err</code> parameters in case the REG.EXE process doesn't exit cleanly.
+ * Creates an Error object for a failed REG command. This is the base class of all errors of REG commands.
+ * This contructor is private. Objects of this type are created internally and returned in the <code>err</code> parameters.
  *
  * @private
  * @class
  *
  * @param {string} message - the error message
- * @param {number} code - the process exit code
+ * @param {object=} details - the <code>args</code> of the command and its <code>stdout</code> and <code>stderr</code>
  *
  */
-function ProcessUncleanExitError(message, code) {
-  if (!(this instanceof ProcessUncleanExitError))
-    return new ProcessUncleanExitError(message, code);
+function RegistryError(message, details) {
+  if (!(this instanceof RegistryError))
+    return new RegistryError(message, details);
+
+  Error.captureStackTrace(this, this.constructor);
 
-  Error.captureStackTrace(this, ProcessUncleanExitError);
+  details = details || {};
+
+  var args = details.args || []
+  ,   name = this.constructor.name
 
   /**
-   * The error name.
+   * The error name, which is the name of its class.
    * @readonly
-   * @member {string} ProcessUncleanExitError#name
+   * @member {string} RegistryError#name
    */
-  this.__defineGetter__('name', function () { return ProcessUncleanExitError.name; });
+  this.__defineGetter__('name', function () { return name; });
 
   /**
    * The error message.
    * @readonly
-   * @member {string} ProcessUncleanExitError#message
+   * @member {string} RegistryError#message
    */
   this.__defineGetter__('message', function () { return message; });
 
+  /**
+   * The REG command, e.g. QUERY, or null if unknown.
+   * @readonly
+   * @member {?string} RegistryError#command
+   */
+  this.__defineGetter__('command', function () { return args.length > 0 ? args[0] : null; });
+
+  /**
+   * The argument vector of the REG command.
+   * @readonly
+   * @member {array} RegistryError#args
+   */
+  this.__defineGetter__('args', function () { return args; });
+
+  /**
+   * The output of the REG command.
+   * @readonly
+   * @member {string} RegistryError#stdout
+   */
+  this.__defineGetter__('stdout', function () { return details.stdout || ''; });
+
+  /**
+   * The error output of the REG command.
+   * @readonly
+   * @member {string} RegistryError#stderr
+   */
+  this.__defineGetter__('stderr', function () { return details.stderr || ''; });
+
+}
+
+util.inherits(RegistryError, Error);
+
+/**
+ * Creates an Error object that contains the exit code of the REG.EXE process.
+ * This contructor is private. Objects of this type are created internally and returned in the <code>err</code> parameters in case the REG.EXE process doesn't exit cleanly.
+ * Exits caused by known errors are reported by the subclasses {@link KeyNotFoundError}, {@link ValueNotFoundError},
+ * {@link AccessDeniedError}, {@link RemoteHostUnreachableError} and {@link InvalidArgumentError}.
+ *
+ * @private
+ * @class
+ * @extends RegistryError
+ *
+ * @param {string} message - the error message
+ * @param {number} code - the process exit code
+ * @param {object=} details - the <code>args</code> of the command and its <code>stdout</code> and <code>stderr</code>
+ *
+ */
+function ProcessUncleanExitError(message, code, details) {
+  if (!(this instanceof ProcessUncleanExitError))
+    return new ProcessUncleanExitError(message, code, details);
+
+  RegistryError.call(this, message, details);
+
   /**
    * The process exit code.
    * @readonly
@@ -83,32 +175,261 @@ function ProcessUncleanExitError(message, code) {
 
 }
 
-util.inherits(ProcessUncleanExitError, Error);
+util.inherits(ProcessUncleanExitError, RegistryError);
+
+/**
+ * Reports a registry key that doesn't exist.
+ * This contructor is private.
+ *
+ * @private
+ * @class
+ * @extends ProcessUncleanExitError
+ */
+function KeyNotFoundError(message, code, details) {
+  if (!(this instanceof KeyNotFoundError))
+    return new KeyNotFoundError(message, code, details);
+
+  ProcessUncleanExitError.call(this, message, code, details);
+}
+
+util.inherits(KeyNotFoundError, ProcessUncleanExitError);
+
+/**
+ * Reports a value that doesn't exist. REG prints the same message for missing keys and missing values, so commands
+ * that address a value (<code>/v</code> or <code>/ve</code>) report a missing key as missing value as well.
+ * This contructor is private.
+ *
+ * @private
+ * @class
+ * @extends ProcessUncleanExitError
+ */
+function ValueNotFoundError(message, code, details) {
+  if (!(this instanceof ValueNotFoundError))
+    return new ValueNotFoundError(message, code, details);
+
+  ProcessUncleanExitError.call(this, message, code, details);
+}
+
+util.inherits(ValueNotFoundError, ProcessUncleanExitError);
+
+/**
+ * Reports missing permissions for a registry key, a remote registry or a file.
+ * This contructor is private.
+ *
+ * @private
+ * @class
+ * @extends ProcessUncleanExitError
+ */
+function AccessDeniedError(message, code, details) {
+  if (!(this instanceof AccessDeniedError))
+    return new AccessDeniedError(message, code, details);
+
+  ProcessUncleanExitError.call(this, message, code, details);
+}
+
+util.inherits(AccessDeniedError, ProcessUncleanExitError);
+
+/**
+ * Reports a remote host that can't be reached.
+ * This contructor is private.
+ *
+ * @private
+ * @class
+ * @extends ProcessUncleanExitError
+ */
+function RemoteHostUnreachableError(message, code, details) {
+  if (!(this instanceof RemoteHostUnreachableError))
+    return new RemoteHostUnreachableError(message, code, details);
+
+  ProcessUncleanExitError.call(this, message, code, details);
+}
+
+util.inherits(RemoteHostUnreachableError, ProcessUncleanExitError);
+
+/**
+ * Reports an invalid argument of a REG command, e.g. an invalid key name, value or syntax.
+ * This contructor is private.
+ *
+ * @private
+ * @class
+ * @extends ProcessUncleanExitError
+ */
+function InvalidArgumentError(message, code, details) {
+  if (!(this instanceof InvalidArgumentError))
+    return new InvalidArgumentError(message, code, details);
+
+  ProcessUncleanExitError.call(this, message, code, details);
+}
+
+util.inherits(InvalidArgumentError, ProcessUncleanExitError);
+
+/**
+ * Reports that REG.EXE could not be started because it doesn't exist.
+ * This contructor is private.
+ *
+ * @private
+ * @class
+ * @extends RegistryError
+ *
+ * @param {string} message - the error message
+ * @param {object} details - the <code>args</code> of the command
+ * @param {Error} cause - the error of the failed spawn
+ */
+function RegExeMissingError(message, details, cause) {
+  if (!(this instanceof RegExeMissingError))
+    return new RegExeMissingError(message, details, cause);
+
+  RegistryError.call(this, message, details);
+
+  /**
+   * The error of the failed spawn.
+   * @readonly
+   * @member {Error} RegExeMissingError#cause
+   */
+  this.__defineGetter__('cause', function () { return cause; });
+
+}
+
+util.inherits(RegExeMissingError, RegistryError);
+
+/**
+ * Reports a REG command that was killed because it ran longer than its timeout.
+ * This contructor is private.
+ *
+ * @private
+ * @class
+ * @extends RegistryError
+ *
+ * @param {string} message - the error message
+ * @param {object} details - the <code>args</code> of the command
+ * @param {number} timeout - the timeout in milliseconds
+ */
+function TimeoutError(message, details, timeout) {
+  if (!(this instanceof TimeoutError))
+    return new TimeoutError(message, details, timeout);
+
+  RegistryError.call(this, message, details);
+
+  /**
+   * The timeout in milliseconds.
+   * @readonly
+   * @member {number} TimeoutError#timeout
+   */
+  this.__defineGetter__('timeout', function () { return timeout; });
+
+}
+
+util.inherits(TimeoutError, RegistryError);
+
+/**
+ * Reports a REG command that was cancelled or killed because the signal of its call was aborted.
+ * This contructor is private.
+ *
+ * @private
+ * @class
+ * @extends RegistryError
+ *
+ * @param {string} message - the error message
+ * @param {object} details - the <code>args</code> of the command
+ * @param {*} reason - the abort reason of the signal
+ */
+function AbortError(message, details, reason) {
+  if (!(this instanceof AbortError))
+    return new AbortError(message, details, reason);
+
+  RegistryError.call(this, message, details);
+
+  /**
+   * The abort reason of the signal.
+   * @readonly
+   * @member {*} AbortError#reason
+   */
+  this.__defineGetter__('reason', function () { return reason; });
+
+}
+
+util.inherits(AbortError, RegistryError);
 
 /*
  * Captures stdout/stderr for a child process
  */
 function captureOutput(child) {
-  // Use a mutable data structure so we can append as we get new data and have
-  // the calling context see the new data
-  var output = {'stdout': '', 'stderr': ''};
+  // Collect the raw chunks and decode them once the process is done, a multi-byte character
+  // may be split across two 'data' events
+  var output = {'stdout': [], 'stderr': []};
 
-  child.stdout.on('data', function(data) { output["stdout"] += data.toString(); });
-  child.stderr.on('data', function(data) { output["stderr"] += data.toString(); });
+  child.stdout.on('data', function(data) { output["stdout"].push(data); });
+  child.stderr.on('data', function(data) { output["stderr"].push(data); });
 
   return output;
 }
 
 
 /*
- * Returns an error message containing the stdout/stderr of the child process
+ * Returns true if the REG command reads or deletes a single value. A search (QUERY /f) uses /v only as search flag,
+ * it fails for the key.
+ */
+function targetsValue(args) {
+  var named = args.indexOf('/v') != -1 || args.indexOf('/ve') != -1;
+
+  if (args[0] == 'QUERY')
+    return named && args.indexOf('/f') == -1;
+  if (args[0] == 'DELETE')
+    return named;
+  return false;
+}
+
+/*
+ * Returns the error class for the error output of a REG command. REG prints its messages in the language of the
+ * Windows installation, the patterns cover English, German, French, Spanish, Italian, Portuguese and Dutch.
+ */
+function errorClass(args, stderr) {
+  if (ERROR_PATTERNS.unreachable.test(stderr))
+    return RemoteHostUnreachableError;
+  if (ERROR_PATTERNS.denied.test(stderr))
+    return AccessDeniedError;
+  if (ERROR_PATTERNS.notFound.test(stderr))
+    return targetsValue(args) ? ValueNotFoundError : KeyNotFoundError;
+  if (ERROR_PATTERNS.invalid.test(stderr))
+    return InvalidArgumentError;
+  return ProcessUncleanExitError;
+}
+
+/*
+ * Returns an error containing the stdout/stderr of the child process, typed according to the error output
  */
-function mkErrorMsg(registryCommand, code, output) {
+function mkErrorMsg(args, code, output) {
     var stdout = output['stdout'].trim();
     var stderr = output['stderr'].trim();
 
-    var msg = util.format("%s command exited with code %d:\n%s\n%s", registryCommand, code, stdout, stderr);
-    return new ProcessUncleanExitError(msg, code);
+    var msg = util.format("%s command exited with code %d:\n%s\n%s", args[0], code, stdout, stderr);
+    var ErrorClass = errorClass(args, stderr);
+    return new ErrorClass(msg, code, { args: args, stdout: output['stdout'], stderr: output['stderr'] });
+}
+
+/*
+ * Returns the error of an executor that could not run a REG command, spawn failures for a missing REG.EXE become a RegExeMissingError
+ */
+function mkSpawnError(args, err) {
+  if (err && err.code === 'ENOENT')
+    return new RegExeMissingError('REG.EXE not found: ' + err.message, { args: args }, err);
+  return err;
+}
+
+
+/*
+ * Calls fn with a node-style callback and returns a promise that settles with the callback's result.
+ * Used by the registry methods when they are invoked without a callback.
+ */
+function toPromise(fn) {
+  return new Promise(function (resolve, reject) {
+    fn(function (err, result) {
+      if (err)
+        reject(err);
+      else
+        resolve(result);
+    });
+  });
 }
 
 
@@ -147,863 +468,4107 @@ function getRegExePath() {
     }
 }
 
+/**
+ * Quotes a single argument for the command line of a Windows process, following the rules of the Microsoft C runtime
+ * (CommandLineToArgvW). Arguments that are empty or contain whitespace or double quotes are enclosed in double quotes,
+ * double quotes are escaped by backslashes and backslashes are doubled where they precede a double quote.
+ * Since REG.EXE is spawned without a shell characters like %, ^, &, | and &lt; have no special meaning.
+ *
+ * @private
+ *
+ * @param {string} arg - the argument
+ * @returns {string} the quoted argument
+ *
+ * @example
+ * Registry.quoteArgument('say "hi"');   // returns "say \"hi\""
+ * Registry.quoteArgument('C:\\Temp\\'); // returns C:\Temp\ (unchanged)
+ */
+function quoteArgument(arg) {
+  arg = '' + arg;
+
+  if (arg.length > 0 && !/[\s"]/.test(arg))
+    return arg;
+
+  var result = '"'
+  ,   backslashes = 0
+
+  for (var i = 0, l = arg.length; i < l; i++) {
+    var c = arg.charAt(i);
+    if (c == '\\') {
+      ++backslashes;
+    } else if (c == '"') {
+      result += '\\'.repeat(2 * backslashes + 1) + '"';
+      backslashes = 0;
+    } else {
+      result += '\\'.repeat(backslashes) + c;
+      backslashes = 0;
+    }
+  }
+
+  return result + '\\'.repeat(2 * backslashes) + '"';
+}
 
 /**
- * Creates a single registry value record.
- * This contructor is private. Objects of this type are created internally and returned by methods of {@link Registry} objects.
+ * The default command executor. Spawns the system's REG.EXE with the given argument vector and collects its output.
+ * A custom executor has to implement the same signature and can be installed globally through {@link Registry.defaults} or per instance through the <code>executor</code> option of {@link Registry}.
  *
  * @private
- * @class
  *
- * @param {string} host - the hostname
- * @param {string} hive - the hive id
- * @param {string} key - the registry key
- * @param {string} name - the value name
- * @param {string} type - the value type
- * @param {string} value - the value
- * @param {string} arch - the hive architecture ('x86' or 'x64')
+ * @param {array} args - the REG argument vector, e.g. <code>[ 'QUERY', 'HKCU\\Software', '/ve' ]</code>
+ * @param {function (err, result)} cb - callback function
+ * @param {Error=} cb.err - error object if the process could not be started
+ * @param {object=} cb.result - an object with the <code>stdout</code> and <code>stderr</code> strings and the exit <code>code</code> of the process
+ * @returns {ChildProcess} the spawned process. Executors may return any object with a <code>kill</code> method to allow cancelling a running command.
  *
  */
-function RegistryItem (host, hive, key, name, type, value, arch) {
+function spawnExecutor(args, cb) {
 
-  if (!(this instanceof RegistryItem))
-    return new RegistryItem(host, hive, key, name, type, value, arch);
+  var proc = spawnRegExe(args)
+  ,   error = null // null means no error previously reported.
+
+  var output = captureOutput(proc);
+
+  proc.on('close', function (code) {
+    if (error) {
+      return;
+    }
+    decodeOutput(output, function (err, stdout, stderr) {
+      if (err)
+        return cb(err);
+      cb(null, { stdout: stdout, stderr: stderr, code: code });
+    });
+  });
+
+  proc.on('error', function(err) {
+    error = err;
+    cb(err);
+  });
+
+  return proc;
+}
+
+/*
+ * Spawns REG.EXE with the given argument vector. Arguments reach REG.EXE as UTF-16 through
+ * CreateProcessW, so non-ASCII characters don't depend on the console codepage.
+ */
+function spawnRegExe(args) {
+  // no shell is involved, so the arguments only need to be quoted for the command line parser of REG.EXE
+  return spawn(getRegExePath(), process.platform === 'win32' ? args.map(quoteArgument) : args, {
+    cwd: undefined,
+    env: process.env,
+    shell: false,
+    windowsHide: true,
+    windowsVerbatimArguments: true,
+    stdio: [ 'ignore', 'pipe', 'pipe' ]
+  });
+}
+
+/* the OEM codepage of the system, detected by detectOemCodepage before the first command of the spawn executor */
+var oemCodepage = null
+,   oemCallbacks = null
+
+/* the codepage used if the OEM codepage can't be detected, the OEM codepage of US installations */
+,   FALLBACK_OEM_CODEPAGE = 437
+
+/* the timeout of the detection in milliseconds, if Registry.defaults.timeout is disabled */
+,   DETECT_TIMEOUT = 5000
+
+/*
+ * Calls back once the OEM codepage of the system is known, which REG uses for its output unless the console
+ * codepage was changed. It's read once from the registry through the scheduler, outside of the call context of
+ * the caller, and falls back to FALLBACK_OEM_CODEPAGE if that fails or times out.
+ */
+function detectOemCodepage(cb) {
+  if (oemCodepage !== null)
+    return cb(oemCodepage);
+
+  if (oemCallbacks)
+    return oemCallbacks.push(cb);
+
+  oemCallbacks = [ cb ];
+
+  var detector = { executor: spawnExecutor, timeout: defaults.timeout > 0 ? defaults.timeout : DETECT_TIMEOUT }
+  ,   args = [ 'QUERY', 'HKLM\\SYSTEM\\CurrentControlSet\\Control\\Nls\\CodePage', '/v', 'OEMCP' ]
+
+  callContext.run(undefined, function () {
+    runCommand(detector, args, function (err, stdout) {
+      var match = err ? null : /OEMCP\s+REG_SZ\s+([0-9]+)/.exec(stdout)
+      ,   callbacks = oemCallbacks
+
+      oemCodepage = (match && codepage.normalize(+match[1]) !== null) ? +match[1] : FALLBACK_OEM_CODEPAGE;
+      oemCallbacks = null;
+      log('OEM codepage: ' + oemCodepage);
+      callbacks.forEach(function (callback) { callback(oemCodepage); });
+    });
+  });
+}
+
+/*
+ * Decodes the collected output chunks with the encoding of {@link Registry.defaults}.encoding.
+ * 'auto' uses the OEM codepage detected by execute for output that is neither UTF-16LE nor UTF-8.
+ */
+function decodeOutput(output, cb) {
+  var stdout = Buffer.concat(output.stdout)
+  ,   stderr = Buffer.concat(output.stderr)
+  ,   encoding = codepage.normalize(defaults.encoding)
+
+  if (encoding === null)
+    return cb(new Error('unsupported encoding: ' + defaults.encoding));
+
+  function finish(oem) {
+    cb(null, codepage.decode(stdout, encoding, oem), codepage.decode(stderr, encoding, oem));
+  }
+
+  finish(oemCodepage === null ? FALLBACK_OEM_CODEPAGE : oemCodepage);
+}
+
+/**
+ * Limits the number of REG commands that run at the same time. Commands beyond the limit of
+ * {@link Registry.defaults}.concurrency wait in a FIFO queue, writes may be moved ahead of reads
+ * with {@link Registry.defaults}.prioritizeWrites. All REG commands of all registry keys go through a single
+ * scheduler, which is exported as {@link Registry.scheduler}.
+ * This contructor is private.
+ *
+ * @private
+ * @class
+ */
+function Scheduler () {
+
+  if (!(this instanceof Scheduler))
+    return new Scheduler();
 
   /* private members */
-  var _host = host    // hostname
-  ,   _hive = hive    // registry hive
-  ,   _key = key      // registry key
-  ,   _name = name    // property name
-  ,   _type = type    // property type
-  ,   _value = value  // property value
-  ,   _arch = arch    // hive architecture
+  var _queue = []     // the waiting tasks in the order they will be started
+  ,   _running = []   // the running tasks
+  ,   _drained = []   // callbacks waiting for the scheduler to become idle
+  ,   self = this
 
   /* getters/setters */
 
   /**
-   * The hostname.
+   * The number of running commands.
    * @readonly
-   * @member {string} RegistryItem#host
+   * @member {number} Scheduler#running
    */
-  this.__defineGetter__('host', function () { return _host; });
+  this.__defineGetter__('running', function () { return _running.length; });
 
   /**
-   * The hive id.
+   * The number of waiting commands.
    * @readonly
-   * @member {string} RegistryItem#hive
+   * @member {number} Scheduler#pending
    */
-  this.__defineGetter__('hive', function () { return _hive; });
+  this.__defineGetter__('pending', function () { return _queue.length; });
 
   /**
-   * The registry key.
+   * Copies of the argument vectors of the waiting commands in the order they will be started.
    * @readonly
-   * @member {string} RegistryItem#key
+   * @member {array} Scheduler#queue
    */
-  this.__defineGetter__('key', function () { return _key; });
+  this.__defineGetter__('queue', function () {
+    return _queue.map(function (task) { return task.args.slice(); });
+  });
 
-  /**
-   * The value name.
-   * @readonly
-   * @member {string} RegistryItem#name
-   */
-  this.__defineGetter__('name', function () { return _name; });
+  function limit() {
+    var concurrency = defaults.concurrency;
+    return (typeof concurrency === 'number' && concurrency >= 1) ? concurrency : 1;
+  }
 
-  /**
-   * The value type.
-   * @readonly
-   * @member {string} RegistryItem#type
+  function idle() {
+    if (_running.length > 0 || _queue.length > 0)
+      return;
+    _drained.splice(0).forEach(function (cb) {
+      cb(null);
+    });
+  }
+
+  function finish(task) {
+    var index = _running.indexOf(task);
+    if (index == -1)
+      return;
+    _running.splice(index, 1);
+    next();
+  }
+
+  function next() {
+    while (_running.length < limit() && _queue.length > 0) {
+      var task = _queue.shift();
+      _running.push(task);
+      try {
+        task.proc = task.start(finish.bind(null, task));
+      } catch (e) {
+        finish(task);
+        task.cancel(e);
+      }
+    }
+    idle();
+  }
+
+  /*
+   * Queues a task. start is called with a callback to report the end of the task and may return an object
+   * with a kill method, cancel is called with an error if the task is removed from the queue.
+   * Returns a handle whose kill method removes the task from the queue or kills it if it is running.
    */
-  this.__defineGetter__('type', function () { return _type; });
+  this.schedule = function schedule (args, start, cancel) {
+    var task = { args: args, write: WRITE_COMMANDS.indexOf(args[0]) != -1, start: start, cancel: cancel, proc: null }
+    ,   index = _queue.length
+
+    // writes go behind the last waiting write, but ahead of all waiting reads
+    if (task.write && defaults.prioritizeWrites) {
+      while (index > 0 && !_queue[index - 1].write)
+        index--;
+    }
+    _queue.splice(index, 0, task);
+
+    next();
+
+    return {
+      kill: function kill () {
+        var index = _queue.indexOf(task);
+        if (index != -1) {
+          _queue.splice(index, 1);
+          task.cancel(new Error('REG command cancelled.'));
+          idle();
+        } else if (task.proc && typeof task.proc.kill === 'function') {
+          task.proc.kill();
+        }
+      }
+    };
+  };
 
   /**
-   * The value.
-   * @readonly
-   * @member {string} RegistryItem#value
+   * Waits until all queued and running commands are done.
+   * @method Scheduler#drain
+   * @param {function (err)=} cb - callback function
+   * @returns {Scheduler|Promise} this scheduler, or a promise if no callback was given
    */
-  this.__defineGetter__('value', function () { return _value; });
+  this.drain = function drain (cb) {
+    if (typeof cb !== 'function')
+      return toPromise(self.drain.bind(self));
+
+    _drained.push(cb);
+    setImmediate(idle);
+    return self;
+  };
 
   /**
-   * The hive architecture.
-   * @readonly
-   * @member {string} RegistryItem#arch
+   * Removes all waiting commands from the queue, their callbacks receive an error. Running commands are not affected.
+   * @method Scheduler#clear
+   * @returns {number} the number of removed commands
    */
-  this.__defineGetter__('arch', function () { return _arch; });
+  this.clear = function clear () {
+    var removed = _queue.splice(0);
+    removed.forEach(function (task) {
+      task.cancel(new Error('REG command cancelled.'));
+    });
+    idle();
+    return removed.length;
+  };
 
 }
 
-util.inherits(RegistryItem, Object);
+/*
+ * Drops the cached output of the keys a REG command may have modified
+ */
+function invalidateCache(args) {
+  switch (args[0]) {
+    case 'ADD':
+    case 'DELETE':
+    case 'RESTORE':
+    case 'LOAD':
+    case 'UNLOAD':
+      return cache.invalidatePath(args[1]);
+    case 'COPY':
+      return cache.invalidatePath(args[2]);
+    case 'IMPORT':
+      // the keys of a .reg file are unknown here
+      return cache.invalidateAll();
+  }
+}
+
+/* the scheduler of all REG commands */
+var scheduler = new Scheduler();
+
+/*
+ * Returns the time to live of cached queries of the given registry key
+ */
+function cacheTTL(registry) {
+  return (typeof registry.cacheTTL === 'number') ? registry.cacheTTL : defaults.cacheTTL;
+}
 
 /**
- * Creates a registry object, which provides access to a single registry key.
- * Note: This class is returned by a call to ```require('winreg')```.
+ * Caches the output of the REG QUERY commands of {@link Registry#values} and {@link Registry#keys} for the time set by
+ * the <code>cacheTTL</code> option of a registry key or by {@link Registry.defaults}.cacheTTL. REG commands that modify
+ * a key invalidate the cached output of the key, its subkeys and its parent keys. A single cache is shared by all
+ * registry keys, it is exported as {@link Registry.cache}.
+ * This contructor is private.
  *
- * @public
+ * @private
  * @class
- *
- * @param {object} options - the options
- * @param {string=} options.host - the hostname
- * @param {string=} options.hive - the hive id
- * @param {string=} options.key - the registry key
- * @param {string=} options.arch - the optional registry hive architecture ('x86' or 'x64'; only valid on Windows 64 Bit Operating Systems)
- *
- * @example
- * var Registry = require('winreg')
- * ,   autoStartCurrentUser = new Registry({
- *       hive: Registry.HKCU,
- *       key:  '\\Software\\Microsoft\\Windows\\CurrentVersion\\Run'
- *     });
- *
  */
-function Registry (options) {
+function RegistryCache () {
 
-  if (!(this instanceof Registry))
-    return new Registry(options);
+  if (!(this instanceof RegistryCache))
+    return new RegistryCache();
 
   /* private members */
-  var _options = options || {}
-  ,   _host = '' + (_options.host || '')    // hostname
-  ,   _hive = '' + (_options.hive || HKLM)  // registry hive
-  ,   _key  = '' + (_options.key  || '')    // registry key
-  ,   _arch = _options.arch || null         // hive architecture
+  var _entries = new Map()  // maps of the cached entries by lower cased path and arch, by executor
+  ,   _hits = 0             // number of queries answered from the cache
+  ,   _misses = 0           // number of cacheable queries that ran REG
+  ,   _generation = 0       // incremented on each invalidation, so queries that ran meanwhile are not cached
+  ,   self = this
 
   /* getters/setters */
 
   /**
-   * The hostname.
+   * The number of queries answered from the cache.
    * @readonly
-   * @member {string} Registry#host
+   * @member {number} RegistryCache#hits
    */
-  this.__defineGetter__('host', function () { return _host; });
+  this.__defineGetter__('hits', function () { return _hits; });
 
   /**
-   * The hive id.
+   * The number of cacheable queries that had to run REG.
    * @readonly
-   * @member {string} Registry#hive
+   * @member {number} RegistryCache#misses
    */
-  this.__defineGetter__('hive', function () { return _hive; });
+  this.__defineGetter__('misses', function () { return _misses; });
 
   /**
-   * The registry key name.
+   * The number of cached entries, including expired ones that were not evicted yet.
    * @readonly
-   * @member {string} Registry#key
+   * @member {number} RegistryCache#size
    */
-  this.__defineGetter__('key', function () { return _key; });
+  this.__defineGetter__('size', function () {
+    var size = 0;
+    _entries.forEach(function (entries) { size += entries.size; });
+    return size;
+  });
 
-  /**
-   * The full path to the registry key.
-   * @readonly
-   * @member {string} Registry#path
-   */
-  this.__defineGetter__('path', function () { return '"' + (_host.length == 0 ? '' : '\\\\' + _host + '\\') + _hive + _key + '"'; });
+  // returns true if one of the paths is the other path or one of its parent keys
+  function related(a, b) {
+    return a == b || b.indexOf(a + '\\') == 0 || a.indexOf(b + '\\') == 0;
+  }
 
-  /**
-   * The registry hive architecture ('x86' or 'x64').
-   * @readonly
-   * @member {string} Registry#arch
+  /*
+   * Runs a REG QUERY through the cache, cb receives the stdout of the command.
    */
-  this.__defineGetter__('arch', function () { return _arch; });
+  this.query = function query (registry, args, cb) {
+    var ttl = cacheTTL(registry)
+    ,   executor = registry.executor || defaults.executor
+    ,   path = fullPath(registry).toLowerCase()
+    ,   id = path + '|' + (registry.arch || '')
+    ,   generation
+    ,   entries
+    ,   entry
+
+    if (!(ttl > 0))
+      return execute(registry, args, cb);
+
+    if (!_entries.has(executor))
+      _entries.set(executor, new Map());
+    entries = _entries.get(executor);
+    entry = entries.get(id);
+
+    if (entry && entry.expires > Date.now()) {
+      _hits++;
+      setImmediate(function () {
+        cb(null, entry.stdout);
+      });
+      return;
+    }
 
-  /**
-   * Creates a new {@link Registry} instance that points to the parent registry key.
-   * @readonly
-   * @member {Registry} Registry#parent
+    _misses++;
+    entries.delete(id);
+    generation = _generation;
+    execute(registry, args, function (err, stdout) {
+      if (!err && generation == _generation)
+        entries.set(id, { path: path, stdout: stdout, expires: Date.now() + ttl });
+      cb(err, stdout);
+    });
+  };
+
+  /*
+   * Drops the cached output of the given full path, its subkeys and its parent keys for all executors
    */
-  this.__defineGetter__('parent', function () {
-    var i = _key.lastIndexOf('\\')
-    return new Registry({
-      host: this.host,
-      hive: this.hive,
-      key:  (i == -1)?'':_key.substring(0, i),
-      arch: this.arch
+  this.invalidatePath = function invalidatePath (path) {
+    path = path.toLowerCase();
+    _generation++;
+    _entries.forEach(function (entries) {
+      entries.forEach(function (entry, id) {
+        if (related(path, entry.path))
+          entries.delete(id);
+      });
     });
-  });
+  };
 
-  // validate options...
-  if (HIVES.indexOf(_hive) == -1)
-    throw new Error('illegal hive specified.');
+  /*
+   * Drops all cached output for all executors, but keeps the statistics
+   */
+  this.invalidateAll = function invalidateAll () {
+    _generation++;
+    _entries.clear();
+  };
 
-  if (!KEY_PATTERN.test(_key))
-    throw new Error('illegal key specified.');
+  /**
+   * Drops the cached output of a registry key, its subkeys and its parent keys.
+   * @method RegistryCache#invalidate
+   * @param {(Registry|string)} path - the registry key or its full path, e.g. <code>HKCU\Software\MyApp</code>
+   * @returns {RegistryCache} this cache
+   */
+  this.invalidate = function invalidate (path) {
+    if (typeof path === 'string')
+      path = Registry.fromPath(path);
+    if (!(path instanceof Registry))
+      throw new Error('illegal path specified.');
+    self.invalidatePath(fullPath(path));
+    return self;
+  };
 
-  if (_arch && _arch != 'x64' && _arch != 'x86')
-    throw new Error('illegal architecture specified (use x86 or x64)');
+  /**
+   * Drops all cached output and resets the statistics.
+   * @method RegistryCache#clear
+   * @returns {RegistryCache} this cache
+   */
+  this.clear = function clear () {
+    self.invalidateAll();
+    _hits = 0;
+    _misses = 0;
+    return self;
+  };
 
 }
 
-/**
- * Registry hive key HKEY_LOCAL_MACHINE.
- * Note: For writing to this hive your program has to run with admin privileges.
- * @type {string}
- */
-Registry.HKLM = HKLM;
+/* the cache of REG QUERY output */
+var cache = new RegistryCache();
 
 /**
- * Registry hive key HKEY_CURRENT_USER.
- * @type {string}
+ * The options that all registry methods accept to limit the REG commands they run, including the commands of other
+ * methods they call internally.
+ * @typedef {object} CallOptions
+ * @property {number=} timeout - the time in milliseconds each REG command may run before it is killed and the call fails
+ *   with a {@link TimeoutError}, 0 disables the timeout. Overrides the <code>timeout</code> option of the key and {@link Registry.defaults}.timeout.
+ * @property {AbortSignal=} signal - a signal that cancels the waiting REG command or kills the running one and fails the call with an {@link AbortError}
  */
-Registry.HKCU = HKCU;
 
-/**
- * Registry hive key HKEY_CLASSES_ROOT.
- * Note: For writing to this hive your program has to run with admin privileges.
- * @type {string}
+/*
+ * Stands in for AsyncLocalStorage before Node.js 12.17. The store is only visible to synchronous code, so only the
+ * timeout of watchers and rollbacks works there and enterCall refuses the call options.
  */
-Registry.HKCR = HKCR;
+function SyncLocalStorage () {
+  var _store;
+
+  this.getStore = function getStore () {
+    return _store;
+  };
+
+  this.run = function run (store, fn) {
+    var outer = _store;
+    _store = store;
+    try {
+      return fn.apply(null, Array.prototype.slice.call(arguments, 2));
+    } finally {
+      _store = outer;
+    }
+  };
 
-/**
- * Registry hive key HKEY_USERS.
- * Note: For writing to this hive your program has to run with admin privileges.
- * @type {string}
- */
-Registry.HKU = HKU;
+  this.exit = function exit (fn) {
+    return this.run.apply(this, [ undefined ].concat(Array.prototype.slice.call(arguments)));
+  };
+}
 
-/**
- * Registry hive key HKEY_CURRENT_CONFIG.
- * Note: For writing to this hive your program has to run with admin privileges.
- * @type {string}
- */
-Registry.HKCC = HKCC;
+/* the timeout and signals of the running registry method calls, see enterCall */
+var callContext = AsyncLocalStorage ? new AsyncLocalStorage() : new SyncLocalStorage();
 
-/**
- * Collection of available registry hive keys.
- * @type {array}
+/*
+ * Returns a function that calls fn within the call context of the caller of bindCall, or outside of any call context.
+ * The resource is used explicitly, since AsyncResource.bind doesn't pass the arguments through before Node.js 16.
  */
-Registry.HIVES = HIVES;
+function bindCall(fn) {
+  var resource = callContext.getStore() ? new AsyncResource('WINREG_CALL') : null;
 
-/**
- * Registry value type STRING.
- * @type {string}
- */
-Registry.REG_SZ = REG_SZ;
+  return function () {
+    var args = Array.prototype.slice.call(arguments);
 
-/**
- * Registry value type MULTILINE_STRING.
- * @type {string}
- */
-Registry.REG_MULTI_SZ = REG_MULTI_SZ;
+    if (resource)
+      return resource.runInAsyncScope.apply(resource, [ fn, null ].concat(args));
+    return callContext.exit.apply(callContext, [ fn ].concat(args));
+  };
+}
 
-/**
- * Registry value type EXPANDABLE_STRING.
- * @type {string}
+/*
+ * A minimal AbortSignal to cancel the commands of a call internally, AbortController is only a global since Node.js 15
  */
-Registry.REG_EXPAND_SZ = REG_EXPAND_SZ;
+function CallSignal () {
+  var _aborted = false
+  ,   _reason
+  ,   _listeners = []
+  ,   self = this
 
-/**
- * Registry value type DOUBLE_WORD.
- * @type {string}
- */
-Registry.REG_DWORD = REG_DWORD;
+  this.__defineGetter__('aborted', function () { return _aborted; });
+  this.__defineGetter__('reason', function () { return _reason; });
 
-/**
- * Registry value type QUAD_WORD.
- * @type {string}
- */
-Registry.REG_QWORD = REG_QWORD;
+  this.addEventListener = function addEventListener (type, listener) {
+    if (type == 'abort')
+      _listeners.push(listener);
+  };
 
-/**
- * Registry value type BINARY.
- * @type {string}
- */
-Registry.REG_BINARY = REG_BINARY;
+  this.removeEventListener = function removeEventListener (type, listener) {
+    var index = _listeners.indexOf(listener);
+    if (type == 'abort' && index != -1)
+      _listeners.splice(index, 1);
+  };
 
-/**
- * Registry value type UNKNOWN.
- * @type {string}
- */
-Registry.REG_NONE = REG_NONE;
+  this.abort = function abort (reason) {
+    if (_aborted)
+      return;
+    _aborted = true;
+    _reason = reason;
+    _listeners.splice(0).forEach(function (listener) { listener.call(self, { type: 'abort' }); });
+  };
+}
 
-/**
- * Collection of available registry value types.
- * @type {array}
+/*
+ * Returns true if the value can be used as AbortSignal
  */
-Registry.REG_TYPES = REG_TYPES;
+function isSignal(signal) {
+  return !!signal && typeof signal.aborted === 'boolean' && typeof signal.addEventListener === 'function';
+}
 
-/**
- * The name of the default value. May be used instead of the empty string literal for better readability.
- * @type {string}
+/*
+ * Throws if the timeout or signal of the call options are invalid
  */
-Registry.DEFAULT_VALUE = DEFAULT_VALUE;
+function checkCallOptions(options) {
+  if (options.timeout !== undefined && (typeof options.timeout !== 'number' || !(options.timeout >= 0)))
+    throw new Error('illegal timeout specified.');
 
-/**
- * Retrieve all values from this registry key.
- * @param {valuesCallback} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @param {array=} cb.items - an array of {@link RegistryItem} objects
- * @returns {Registry} this registry key object
+  if (options.signal !== undefined && !isSignal(options.signal))
+    throw new Error('illegal signal specified.');
+}
+
+/*
+ * Applies the timeout and signal of the call options of a registry method to all REG commands the method runs.
+ * Returns false if the method can go on, because the options have neither or they are applied already. Otherwise run
+ * is called with the callback within a new call context and true is returned. The callback is bound to the context of
+ * the caller, so commands that the caller starts from the callback don't inherit the timeout and signal.
  */
-Registry.prototype.values = function values (cb) {
+function enterCall(options, cb, run) {
+  var outer = callContext.getStore()
 
-  if (typeof cb !== 'function')
-    throw new TypeError('must specify a callback');
+  if (options.timeout === undefined && options.signal === undefined)
+    return false;
 
-  var args = [ 'QUERY', this.path ];
+  if (outer && outer.options === options)
+    return false;
 
-  pushArch(args, this.arch);
+  checkCallOptions(options);
 
-  var proc = spawn(getRegExePath(), args, {
-        cwd: undefined,
-        env: process.env,
-        shell: true,
-        windowsHide: true,
-        stdio: [ 'ignore', 'pipe', 'pipe' ]
-      })
-  ,   buffer = ''
-  ,   self = this
-  ,   error = null // null means no error previously reported.
+  if (!AsyncLocalStorage)
+    throw new Error('timeout and signal options require Node.js 12.17 or later.');
 
-  var output = captureOutput(proc);
+  callContext.run({
+    options: options,
+    timeout: options.timeout !== undefined ? options.timeout : (outer ? outer.timeout : undefined),
+    signals: (outer ? outer.signals : []).concat(options.signal ? [ options.signal ] : []),
+    onStart: outer ? outer.onStart : undefined
+  }, run, bindCall(cb));
 
-  proc.on('close', function (code) {
-    if (error) {
-      return;
-    } else if (code !== 0) {
-      log('process exited with code ' + code);
-      cb(mkErrorMsg('QUERY', code, output), null);
-    } else {
-      var items = []
-      ,   result = []
-      ,   lines = buffer.split('\n')
-      ,   lineNumber = 0
-
-      for (var i = 0, l = lines.length; i < l; i++) {
-        var line = lines[i].trim();
-        if (line.length > 0) {
-          log(line);
-          if (lineNumber != 0) {
-            items.push(line);
-          }
-          ++lineNumber;
-        }
-      }
+  return true;
+}
 
-      for (var i = 0, l = items.length; i < l; i++) {
+/*
+ * Runs fn with the timeout of the current call but without its signals, so cleanups like rollbacks and unloads still
+ * run once the call was aborted.
+ */
+function ignoreSignals(fn) {
+  var call = callContext.getStore();
 
-        var match = ITEM_PATTERN.exec(items[i])
-        ,   name
-        ,   type
-        ,   value
+  if (!call || call.signals.length == 0)
+    return fn();
 
-        if (match) {
-          name = match[1].trim();
-          type = match[2].trim();
-          value = match[3];
-          result.push(new RegistryItem(self.host, self.hive, self.key, name, type, value, self.arch));
-        }
-      }
+  return callContext.run({ options: null, timeout: call.timeout, signals: [], onStart: call.onStart }, fn);
+}
 
-      cb(null, result);
+/*
+ * Returns the timeout in milliseconds of a REG command: the timeout of the call, of the registry key or the global one
+ */
+function commandTimeout(registry, call) {
+  if (call && call.timeout !== undefined)
+    return call.timeout;
+  return (typeof registry.timeout === 'number') ? registry.timeout : defaults.timeout;
+}
 
-    }
+/*
+ * Runs a REG command through the executor of the given registry key, once the scheduler lets it start.
+ * The callback receives the stdout of the command or an error if the command could not be run or didn't exit cleanly
+ * (along with the stdout). Returns a handle with a kill method that cancels the command.
+ * The first command of the spawn executor waits for the detection of the OEM codepage, which can't run while the
+ * command holds its slot of the scheduler.
+ */
+function execute(registry, args, cb) {
+  var call = callContext.getStore()
+  ,   handle = null
+  ,   killed = false
+
+  if ((registry.executor || defaults.executor) !== spawnExecutor || oemCodepage !== null || codepage.normalize(defaults.encoding) !== 'auto')
+    return runCommand(registry, args, cb);
+
+  detectOemCodepage(function () {
+    if (killed)
+      return cb(new Error('REG command cancelled.'));
+    callContext.run(call, function () {
+      handle = runCommand(registry, args, cb);
+    });
   });
 
-  proc.stdout.on('data', function (data) {
-    buffer += data.toString();
-  });
+  return {
+    kill: function kill () {
+      killed = true;
+      if (handle)
+        handle.kill();
+    }
+  };
+}
 
-  proc.on('error', function(err) {
-    error = err;
-    cb(err);
-  });
+/*
+ * Runs a REG command for execute once the scheduler lets it start.
+ * The command is killed once it runs longer than its timeout or a signal of the call is aborted.
+ */
+function runCommand(registry, args, cb) {
+
+  var executor = registry.executor || defaults.executor
+  ,   call = callContext.getStore()
+  ,   signals = call ? call.signals : []
+  ,   timeout = commandTimeout(registry, call)
+  ,   reported = false // true if the result was already reported.
+  ,   finish = null    // reports the end of the started command to the scheduler
+  ,   timer = null
+  ,   handle
+
+  function report() {
+    if (reported) {
+      return false;
+    }
+    reported = true;
+    clearTimeout(timer);
+    signals.forEach(function (signal) { signal.removeEventListener('abort', abort); });
+    cb.apply(null, arguments);
+    return true;
+  }
 
-  return this;
-};
+  // the error is reported before the command is killed, so the cancellation of a waiting command isn't reported
+  function fail(err) {
+    if (!report(err)) {
+      return;
+    }
+    handle.kill();
+    if (finish) {
+      invalidateCache(args);
+      finish();
+    }
+  }
 
-/**
- * Retrieve all subkeys from this registry key.
- * @param {function (err, items)} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @param {array=} cb.items - an array of {@link Registry} objects
- * @returns {Registry} this registry key object
- */
-Registry.prototype.keys = function keys (cb) {
+  function abort() {
+    fail(new AbortError('REG ' + args[0] + ' command aborted.', { args: args }, this.reason));
+  }
 
-  if (typeof cb !== 'function')
-    throw new TypeError('must specify a callback');
+  // the callback continues the call, even if it is invoked by an abort
+  if (call)
+    cb = bindCall(cb);
 
-  var args = [ 'QUERY', this.path ];
+  for (var i = 0, l = signals.length; i < l; i++) {
+    if (signals[i].aborted) {
+      handle = { kill: function kill () {} };
+      setImmediate(abort.bind(signals[i]));
+      return handle;
+    }
+  }
 
-  pushArch(args, this.arch);
+  handle = scheduler.schedule(args, function (done) {
+    finish = done;
 
-  var proc = spawn(getRegExePath(), args, {
-        cwd: undefined,
-        env: process.env,
-        shell: true,
-        windowsHide: true,
-        stdio: [ 'ignore', 'pipe', 'pipe' ]
-      })
-  ,   buffer = ''
-  ,   self = this
-  ,   error = null // null means no error previously reported.
+    if (call && call.onStart)
+      call.onStart();
 
-  var output = captureOutput(proc);
+    if (timeout > 0) {
+      timer = setTimeout(function () {
+        fail(new TimeoutError('REG ' + args[0] + ' command timed out after ' + timeout + ' ms.', { args: args }, timeout));
+      }, timeout);
+    }
 
-  proc.on('close', function (code) {
-    if (error) {
+    return executor(args, function (err, result) {
+      done();
+      if (reported) {
+        return;
+      }
+      invalidateCache(args);
+
+      if (err) {
+        report(mkSpawnError(args, err));
+      } else if (result.code !== 0) {
+        log('process exited with code ' + result.code);
+        report(mkErrorMsg(args, result.code, result), result.stdout);
+      } else {
+        log(result.stdout);
+        report(null, result.stdout);
+      }
+    });
+  }, function (err) {
+    report(err);
+  });
+
+  if (!reported) {
+    signals.forEach(function (signal) { signal.addEventListener('abort', abort); });
+  }
+
+  return handle;
+}
+
+/*
+ * Returns the unquoted full path to the given registry key
+ */
+function fullPath(registry) {
+  return (registry.host.length == 0 ? '' : '\\\\' + registry.host + '\\') + registry.hive + registry.key;
+}
+
+/*
+ * Validates a registry key against the rules of Windows, returns a description of the problem or null if the key is valid.
+ * Key names may contain any printable character except the backslash, which separates them.
+ */
+function validateKey(key) {
+  if (key.length == 0)
+    return null;
+
+  if (key.charAt(0) != '\\')
+    return 'the key has to start with a backslash (' + key + ')';
+
+  var names = key.substring(1).split('\\');
+
+  if (names.length > MAX_KEY_DEPTH)
+    return 'the key is nested deeper than ' + MAX_KEY_DEPTH + ' levels';
+
+  for (var i = 0, l = names.length; i < l; i++) {
+    if (names[i].length == 0)
+      return 'empty key name at level ' + (i + 1) + ' (' + key + ')';
+    if (names[i].length > MAX_KEY_NAME_LENGTH)
+      return 'the key name at level ' + (i + 1) + ' is longer than ' + MAX_KEY_NAME_LENGTH + ' characters';
+    if (/[\u0000-\u001f\u007f]/.test(names[i]))
+      return 'the key name at level ' + (i + 1) + ' contains control characters';
+  }
+
+  return null;
+}
+
+/*
+ * Creates a new registry object for another key that shares the host, hive and options of the given registry key.
+ * The host is only replaced if one is given.
+ */
+function derive(registry, key, host) {
+  return new Registry({
+    host:     host === undefined ? registry.host : host,
+    hive:     registry.hive,
+    key:      key,
+    arch:     registry.arch,
+    executor: registry.executor,
+    cacheTTL: registry.cacheTTL === null ? undefined : registry.cacheTTL,
+    timeout:  registry.timeout === null ? undefined : registry.timeout
+  });
+}
+
+/* global settings, exported as Registry.defaults */
+var defaults = {
+  executor: spawnExecutor,
+  concurrency: 4,
+  prioritizeWrites: false,
+  cacheTTL: 0,
+  encoding: 'auto',
+  timeout: 0
+};
+
+
+/**
+ * Creates a single registry value record.
+ * This contructor is private. Objects of this type are created internally and returned by methods of {@link Registry} objects.
+ *
+ * @private
+ * @class
+ *
+ * @param {string} host - the hostname
+ * @param {string} hive - the hive id
+ * @param {string} key - the registry key
+ * @param {string} name - the value name
+ * @param {string} type - the value type
+ * @param {string} value - the value
+ * @param {string} arch - the hive architecture ('x86' or 'x64')
+ *
+ */
+function RegistryItem (host, hive, key, name, type, value, arch) {
+
+  if (!(this instanceof RegistryItem))
+    return new RegistryItem(host, hive, key, name, type, value, arch);
+
+  /* private members */
+  var _host = host    // hostname
+  ,   _hive = hive    // registry hive
+  ,   _key = key      // registry key
+  ,   _name = name    // property name
+  ,   _type = type    // property type
+  ,   _value = value  // property value
+  ,   _arch = arch    // hive architecture
+
+  /* getters/setters */
+
+  /**
+   * The hostname.
+   * @readonly
+   * @member {string} RegistryItem#host
+   */
+  this.__defineGetter__('host', function () { return _host; });
+
+  /**
+   * The hive id.
+   * @readonly
+   * @member {string} RegistryItem#hive
+   */
+  this.__defineGetter__('hive', function () { return _hive; });
+
+  /**
+   * The registry key.
+   * @readonly
+   * @member {string} RegistryItem#key
+   */
+  this.__defineGetter__('key', function () { return _key; });
+
+  /**
+   * The value name.
+   * @readonly
+   * @member {string} RegistryItem#name
+   */
+  this.__defineGetter__('name', function () { return _name; });
+
+  /**
+   * The value type.
+   * @readonly
+   * @member {string} RegistryItem#type
+   */
+  this.__defineGetter__('type', function () { return _type; });
+
+  /**
+   * The value.
+   * @readonly
+   * @member {string} RegistryItem#value
+   */
+  this.__defineGetter__('value', function () { return _value; });
+
+  /**
+   * The value decoded according to its type, see {@link RegistryItem#decode}.
+   * @readonly
+   * @member {(string|number|BigInt|Buffer|array)} RegistryItem#data
+   */
+  this.__defineGetter__('data', function () { return decodeValue(_type, _value, false); });
+
+  /**
+   * The hive architecture.
+   * @readonly
+   * @member {string} RegistryItem#arch
+   */
+  this.__defineGetter__('arch', function () { return _arch; });
+
+}
+
+util.inherits(RegistryItem, Object);
+
+/*
+ * Expands %NAME% references to environment variables, unknown variables are kept as they are
+ */
+function expandEnvironment(value) {
+  return value.replace(/%([^%]+)%/g, function (reference, name) {
+    return process.env.hasOwnProperty(name) ? process.env[name] : reference;
+  });
+}
+
+/*
+ * Decodes the value string of a registry item as printed by REG according to its type
+ */
+function decodeValue(type, value, expand) {
+  switch (type) {
+    case REG_DWORD:
+    case REG_DWORD_BIG_ENDIAN:
+      return parseInt(value, 16);
+    case REG_QWORD:
+      return BigInt(value);
+    case REG_BINARY:
+    case REG_NONE:
+    case REG_RESOURCE_LIST:
+    case REG_FULL_RESOURCE_DESCRIPTOR:
+    case REG_RESOURCE_REQUIREMENTS_LIST:
+      return Buffer.from(value, 'hex');
+    case REG_MULTI_SZ:
+      return value.length == 0 ? [] : value.split(MULTI_SZ_SEPARATOR);
+    case REG_EXPAND_SZ:
+      return expand ? expandEnvironment(value) : value;
+    default:
+      return value;
+  }
+}
+
+/*
+ * Checks that a number, BigInt or numeric string is an unsigned integer of the given bit width and returns it as decimal string
+ */
+function encodeInteger(type, value, bits) {
+  var number;
+
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value))
+      throw Error('illegal ' + type + ' value specified: ' + value + ' is not a safe integer.');
+    number = BigInt(value);
+  } else if (typeof value === 'bigint') {
+    number = value;
+  } else if (typeof value === 'string' && /^(0x[0-9a-f]+|[0-9]+)$/i.test(value)) {
+    number = BigInt(value);
+  } else {
+    throw Error('illegal ' + type + ' value specified: ' + value + ' is not an integer.');
+  }
+
+  if (number < BigInt(0) || number >= (BigInt(1) << BigInt(bits)))
+    throw Error('illegal ' + type + ' value specified: ' + value + ' is out of the ' + bits + ' bit unsigned range.');
+
+  return number.toString();
+}
+
+/*
+ * Validates a value against its type and encodes it as data argument for REG ADD
+ */
+function encodeValue(type, value, separator) {
+  switch (type) {
+    case REG_DWORD:
+      return encodeInteger(type, value, 32);
+    case REG_QWORD:
+      return encodeInteger(type, value, 64);
+    case REG_BINARY:
+    case REG_NONE:
+      if (value instanceof Uint8Array)
+        return Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('hex').toUpperCase();
+      if (typeof value === 'string' && /^([0-9a-f]{2})*$/i.test(value))
+        return value;
+      throw Error('illegal ' + type + ' value specified: use a Buffer, an Uint8Array or a string of hex digits.');
+    case REG_MULTI_SZ:
+      if (typeof value === 'string')
+        return value;
+      if (!Array.isArray(value))
+        throw Error('illegal ' + type + ' value specified: use an array of strings.');
+      for (var i = 0, l = value.length; i < l; i++) {
+        if (typeof value[i] !== 'string' || value[i].length == 0)
+          throw Error('illegal ' + type + ' value specified: element ' + i + ' is not a non-empty string.');
+        if (value[i].indexOf(separator) != -1 || value[i].indexOf('\u0000') != -1)
+          throw Error('illegal ' + type + ' value specified: element ' + i + ' contains the separator ' + separator + '.');
+      }
+      return value.join(separator);
+    default:
+      if (typeof value === 'number')
+        value = '' + value;
+      if (typeof value !== 'string')
+        throw Error('illegal ' + type + ' value specified: use a string.');
+      if (value.indexOf('\u0000') != -1)
+        throw Error('illegal ' + type + ' value specified: strings must not contain null characters.');
+      return value;
+  }
+}
+
+/**
+ * Decodes the value according to its type. REG_DWORD and REG_DWORD_BIG_ENDIAN values are returned as number, REG_QWORD values as BigInt,
+ * REG_BINARY, REG_NONE and the resource list types as Buffer and REG_MULTI_SZ values as array of strings. All other values are returned as string.
+ * @param {object=} options - the options
+ * @param {boolean=} options.expand - expand references to environment variables in REG_EXPAND_SZ values
+ * @returns {(string|number|BigInt|Buffer|array)} the decoded value
+ */
+RegistryItem.prototype.decode = function decode (options) {
+  return decodeValue(this.type, this.value, (options || {}).expand);
+};
+
+/**
+ * Creates a registry object, which provides access to a single registry key.
+ * Note: This class is returned by a call to ```require('winreg')```.
+ *
+ * @public
+ * @class
+ *
+ * @param {object} options - the options
+ * @param {string=} options.host - the hostname
+ * @param {string=} options.hive - the hive id
+ * @param {string=} options.key - the registry key, starting with a backslash; key names may contain any printable character except the backslash and are limited to 255 characters and 512 levels
+ * @param {string=} options.arch - the optional registry hive architecture ('x86' or 'x64'; only valid on Windows 64 Bit Operating Systems)
+ * @param {function=} options.executor - the optional command executor used instead of {@link Registry.defaults}.executor (see {@link spawnExecutor})
+ * @param {number=} options.cacheTTL - the optional time in milliseconds that values and subkeys of this key are cached, overrides {@link Registry.defaults}.cacheTTL (see {@link RegistryCache})
+ * @param {number=} options.timeout - the optional time in milliseconds that REG commands of this key may run, overrides {@link Registry.defaults}.timeout (see {@link CallOptions})
+ *
+ * @example
+ * var Registry = require('winreg')
+ * ,   autoStartCurrentUser = new Registry({
+ *       hive: Registry.HKCU,
+ *       key:  '\\Software\\Microsoft\\Windows\\CurrentVersion\\Run'
+ *     });
+ *
+ */
+function Registry (options) {
+
+  if (!(this instanceof Registry))
+    return new Registry(options);
+
+  /* private members */
+  var _options = options || {}
+  ,   _host = '' + (_options.host || '')    // hostname
+  ,   _hive = '' + (_options.hive || HKLM)  // registry hive
+  ,   _key  = '' + (_options.key  || '')    // registry key
+  ,   _arch = _options.arch || null         // hive architecture
+  ,   _executor = _options.executor || null // command executor
+  ,   _cacheTTL = (_options.cacheTTL === undefined) ? null : _options.cacheTTL  // time to live of cached queries in ms
+  ,   _timeout = (_options.timeout === undefined) ? null : _options.timeout     // timeout of REG commands in ms
+
+  /* getters/setters */
+
+  /**
+   * The hostname.
+   * @readonly
+   * @member {string} Registry#host
+   */
+  this.__defineGetter__('host', function () { return _host; });
+
+  /**
+   * The hive id.
+   * @readonly
+   * @member {string} Registry#hive
+   */
+  this.__defineGetter__('hive', function () { return _hive; });
+
+  /**
+   * The registry key name.
+   * @readonly
+   * @member {string} Registry#key
+   */
+  this.__defineGetter__('key', function () { return _key; });
+
+  /**
+   * The full path to the registry key.
+   * @readonly
+   * @member {string} Registry#path
+   */
+  this.__defineGetter__('path', function () { return '"' + fullPath(this) + '"'; });
+
+  /**
+   * The registry hive architecture ('x86' or 'x64').
+   * @readonly
+   * @member {string} Registry#arch
+   */
+  this.__defineGetter__('arch', function () { return _arch; });
+
+  /**
+   * The command executor of this registry key or null if {@link Registry.defaults}.executor is used.
+   * @readonly
+   * @member {function} Registry#executor
+   */
+  this.__defineGetter__('executor', function () { return _executor; });
+
+  /**
+   * The time in milliseconds that the values and subkeys of this key are cached, or null if {@link Registry.defaults}.cacheTTL is used.
+   * @readonly
+   * @member {number} Registry#cacheTTL
+   */
+  this.__defineGetter__('cacheTTL', function () { return _cacheTTL; });
+
+  /**
+   * The time in milliseconds that REG commands of this key may run, or null if {@link Registry.defaults}.timeout is used.
+   * @readonly
+   * @member {number} Registry#timeout
+   */
+  this.__defineGetter__('timeout', function () { return _timeout; });
+
+  /**
+   * Creates a new {@link Registry} instance that points to the parent registry key.
+   * @readonly
+   * @member {Registry} Registry#parent
+   */
+  this.__defineGetter__('parent', function () {
+    var i = _key.lastIndexOf('\\')
+    return derive(this, (i == -1)?'':_key.substring(0, i));
+  });
+
+  // validate options...
+  if (HIVES.indexOf(_hive) == -1)
+    throw new Error('illegal hive specified.');
+
+  var keyError = validateKey(_key);
+  if (keyError)
+    throw new Error('illegal key specified: ' + keyError);
+
+  if (_arch && _arch != 'x64' && _arch != 'x86')
+    throw new Error('illegal architecture specified (use x86 or x64)');
+
+  if (_executor && typeof _executor !== 'function')
+    throw new Error('illegal executor specified.');
+
+  if (_cacheTTL !== null && (typeof _cacheTTL !== 'number' || !(_cacheTTL >= 0)))
+    throw new Error('illegal cache TTL specified.');
+
+  if (_timeout !== null && (typeof _timeout !== 'number' || !(_timeout >= 0)))
+    throw new Error('illegal timeout specified.');
+
+}
+
+/**
+ * Registry hive key HKEY_LOCAL_MACHINE.
+ * Note: For writing to this hive your program has to run with admin privileges.
+ * @type {string}
+ */
+Registry.HKLM = HKLM;
+
+/**
+ * Registry hive key HKEY_CURRENT_USER.
+ * @type {string}
+ */
+Registry.HKCU = HKCU;
+
+/**
+ * Registry hive key HKEY_CLASSES_ROOT.
+ * Note: For writing to this hive your program has to run with admin privileges.
+ * @type {string}
+ */
+Registry.HKCR = HKCR;
+
+/**
+ * Registry hive key HKEY_USERS.
+ * Note: For writing to this hive your program has to run with admin privileges.
+ * @type {string}
+ */
+Registry.HKU = HKU;
+
+/**
+ * Registry hive key HKEY_CURRENT_CONFIG.
+ * Note: For writing to this hive your program has to run with admin privileges.
+ * @type {string}
+ */
+Registry.HKCC = HKCC;
+
+/**
+ * Collection of available registry hive keys.
+ * @type {array}
+ */
+Registry.HIVES = HIVES;
+
+/**
+ * Registry value type STRING.
+ * @type {string}
+ */
+Registry.REG_SZ = REG_SZ;
+
+/**
+ * Registry value type MULTILINE_STRING.
+ * @type {string}
+ */
+Registry.REG_MULTI_SZ = REG_MULTI_SZ;
+
+/**
+ * Registry value type EXPANDABLE_STRING.
+ * @type {string}
+ */
+Registry.REG_EXPAND_SZ = REG_EXPAND_SZ;
+
+/**
+ * Registry value type DOUBLE_WORD.
+ * @type {string}
+ */
+Registry.REG_DWORD = REG_DWORD;
+
+/**
+ * Registry value type QUAD_WORD.
+ * @type {string}
+ */
+Registry.REG_QWORD = REG_QWORD;
+
+/**
+ * Registry value type BINARY.
+ * @type {string}
+ */
+Registry.REG_BINARY = REG_BINARY;
+
+/**
+ * Registry value type UNKNOWN.
+ * @type {string}
+ */
+Registry.REG_NONE = REG_NONE;
+
+/**
+ * Registry value type DWORD_BIG_ENDIAN. Returned by queries, but can't be written.
+ * @type {string}
+ */
+Registry.REG_DWORD_BIG_ENDIAN = REG_DWORD_BIG_ENDIAN;
+
+/**
+ * Registry value type LINK. Returned by queries, but can't be written.
+ * @type {string}
+ */
+Registry.REG_LINK = REG_LINK;
+
+/**
+ * Registry value type RESOURCE_LIST. Returned by queries, but can't be written.
+ * @type {string}
+ */
+Registry.REG_RESOURCE_LIST = REG_RESOURCE_LIST;
+
+/**
+ * Registry value type FULL_RESOURCE_DESCRIPTOR. Returned by queries, but can't be written.
+ * @type {string}
+ */
+Registry.REG_FULL_RESOURCE_DESCRIPTOR = REG_FULL_RESOURCE_DESCRIPTOR;
+
+/**
+ * Registry value type RESOURCE_REQUIREMENTS_LIST. Returned by queries, but can't be written.
+ * @type {string}
+ */
+Registry.REG_RESOURCE_REQUIREMENTS_LIST = REG_RESOURCE_REQUIREMENTS_LIST;
+
+/**
+ * Collection of the registry value types that can be written.
+ * @type {array}
+ */
+Registry.REG_TYPES = REG_TYPES;
+
+/**
+ * The name of the default value. May be used instead of the empty string literal for better readability.
+ * @type {string}
+ */
+Registry.DEFAULT_VALUE = DEFAULT_VALUE;
+
+/**
+ * Global settings that apply to all registry keys which don't override them in their options.
+ * @type {object}
+ * @property {function} executor - the command executor used to run REG commands, defaults to {@link spawnExecutor}
+ * @property {number} concurrency - the maximum number of REG commands that run at the same time, defaults to 4
+ * @property {boolean} prioritizeWrites - start waiting writes (ADD, DELETE, ...) before waiting reads, defaults to false
+ * @property {number} cacheTTL - the time in milliseconds that the values and subkeys of keys are cached, defaults to 0 (no caching)
+ * @property {number} timeout - the time in milliseconds that REG commands may run before they are killed, defaults to 0 (no timeout)
+ * @property {(string|number)} encoding - the encoding of the output of REG.EXE: 'auto', 'utf8', 'utf16le' or a codepage
+ *   number like 850 or 'cp850'. 'auto' recognizes UTF-16LE and UTF-8 output and decodes anything else with the OEM codepage
+ *   of the system. Defaults to 'auto'. Only applies to the default executor.
+ *
+ * @example
+ * // run all REG commands through a scripted stand-in
+ * Registry.defaults.executor = function (args, cb) {
+ *   cb(null, { stdout: '', stderr: '', code: 0 });
+ * };
+ */
+Registry.defaults = defaults;
+
+/**
+ * The scheduler that limits the number of concurrently running REG commands, see {@link Scheduler}.
+ * Its <code>running</code>, <code>pending</code> and <code>queue</code> properties allow to inspect the queue,
+ * <code>drain</code> waits until all commands are done and <code>clear</code> cancels the waiting commands.
+ * @type {Scheduler}
+ *
+ * @example
+ * Registry.defaults.concurrency = 2;
+ * keys.forEach(function (key) { key.values(function () {}); });
+ * console.log(Registry.scheduler.running, Registry.scheduler.pending);
+ * Registry.scheduler.drain(function () { console.log('all done'); });
+ */
+Registry.scheduler = scheduler;
+
+/**
+ * The cache of the values and subkeys of registry keys, see {@link RegistryCache}. Caching is enabled through
+ * {@link Registry.defaults}.cacheTTL or the <code>cacheTTL</code> option of a registry key.
+ * @type {RegistryCache}
+ *
+ * @example
+ * Registry.defaults.cacheTTL = 5000;
+ * regKey.get('Setting', function () {});   // runs REG QUERY
+ * regKey.get('Other', function () {});     // served from the cache
+ * Registry.cache.invalidate('HKCU\\Software\\MyApp');
+ */
+Registry.cache = cache;
+
+/**
+ * The default command executor that spawns REG.EXE. May be used to restore {@link Registry.defaults}.executor.
+ * @type {function}
+ */
+Registry.spawnExecutor = spawnExecutor;
+
+/**
+ * The .reg file parser and serializer with the functions <code>parse</code>, <code>stringify</code> and <code>serialize</code>.
+ * @type {object}
+ */
+Registry.regfile = regfile;
+
+/**
+ * The parser of the output of REG QUERY with the functions <code>parse</code> and <code>parseItem</code>,
+ * which is used by all methods that query the registry. <code>TYPES</code> lists the value types it recognizes.
+ * @type {object}
+ */
+Registry.parser = parser;
+
+/**
+ * Quotes an argument for the command line of REG.EXE, see {@link quoteArgument}.
+ * @type {function}
+ */
+Registry.quoteArgument = quoteArgument;
+
+/**
+ * The in-memory registry class, see {@link MemoryRegistry}.
+ * Its <code>executor</code> may be passed to the <code>executor</code> option to run a registry key without REG.EXE.
+ * @type {function}
+ */
+Registry.MemoryRegistry = MemoryRegistry;
+
+/**
+ * The base class of all errors of REG commands, see {@link RegistryError}. Its <code>command</code>, <code>args</code>,
+ * <code>stdout</code> and <code>stderr</code> properties describe the failed command.
+ * @type {function}
+ *
+ * @example
+ * regKey.get('Setting', function (err, item) {
+ *   if (err instanceof Registry.ValueNotFoundError) return useDefault();
+ *   if (err instanceof Registry.AccessDeniedError) return askForElevation();
+ *   if (err) throw err;
+ * });
+ */
+Registry.RegistryError = RegistryError;
+
+/**
+ * The error type of REG commands that exited with a nonzero code, see {@link ProcessUncleanExitError}.
+ * @type {function}
+ */
+Registry.ProcessUncleanExitError = ProcessUncleanExitError;
+
+/**
+ * The error type of REG commands on keys that don't exist.
+ * @type {function}
+ */
+Registry.KeyNotFoundError = KeyNotFoundError;
+
+/**
+ * The error type of REG commands on values that don't exist, see {@link ValueNotFoundError}.
+ * @type {function}
+ */
+Registry.ValueNotFoundError = ValueNotFoundError;
+
+/**
+ * The error type of REG commands that were denied access.
+ * @type {function}
+ */
+Registry.AccessDeniedError = AccessDeniedError;
+
+/**
+ * The error type of REG commands on remote hosts that can't be reached.
+ * @type {function}
+ */
+Registry.RemoteHostUnreachableError = RemoteHostUnreachableError;
+
+/**
+ * The error type of REG commands with invalid key names, values or syntax.
+ * @type {function}
+ */
+Registry.InvalidArgumentError = InvalidArgumentError;
+
+/**
+ * The error type reported if REG.EXE doesn't exist.
+ * @type {function}
+ */
+Registry.RegExeMissingError = RegExeMissingError;
+
+/**
+ * The error type reported if a REG command was killed because it exceeded its timeout.
+ * @type {function}
+ */
+Registry.TimeoutError = TimeoutError;
+
+/**
+ * The error type reported if a REG command was cancelled by the signal of the call.
+ * @type {function}
+ */
+Registry.AbortError = AbortError;
+
+/**
+ * Creates a registry object from a full registry path. The hive may be given by its short id or its long name
+ * (<code>HKLM</code> or <code>HKEY_LOCAL_MACHINE</code>) and the path may start with a <code>\\\\host\\</code> prefix.
+ * @param {string} path - the full registry path, e.g. <code>HKEY_LOCAL_MACHINE\\Software\\MyApp</code>
+ * @param {object=} options - further options of the registry object (see {@link Registry}), except for hive and key,
+ *   the host is only used if the path has no host prefix
+ * @returns {Registry} the registry object
+ *
+ * @example
+ * var regKey = Registry.fromPath('\\\\server\\HKLM\\Software\\MyApp', { arch: 'x64' });
+ */
+Registry.fromPath = function fromPath (path, options) {
+
+  if (typeof path !== 'string')
+    throw new TypeError('must specify a path string');
+
+  var match = /^(?:\\\\([^\\]+)\\)?([^\\]+)((?:\\[^\\]*)*?)\\?$/.exec(path)
+  ,   result = {}
+  ,   hive
+
+  if (!match)
+    throw new Error('illegal path specified: ' + path);
+
+  hive = match[2].toUpperCase();
+  if (HIVE_NAMES.hasOwnProperty(hive))
+    hive = HIVE_NAMES[hive];
+
+  if (HIVES.indexOf(hive) == -1)
+    throw new Error('illegal path specified: unknown hive ' + match[2] + ' in ' + path);
+
+  if (/\\\\/.test(match[3]) || /\\$/.test(match[3]))
+    throw new Error('illegal path specified: empty key name in ' + path);
+
+  options = options || {};
+  for (var name in options) {
+    if (options.hasOwnProperty(name))
+      result[name] = options[name];
+  }
+
+  result.host = match[1] || result.host || '';
+  result.hive = hive;
+  result.key = match[3];
+
+  return new Registry(result);
+};
+
+/**
+ * Creates a new {@link Registry} instance that points to a direct subkey of this registry key.
+ * @param {string} name - the name of the subkey, must not contain backslashes
+ * @returns {Registry} the subkey
+ */
+Registry.prototype.child = function child (name) {
+
+  name = '' + name;
+
+  if (name.length == 0 || name.indexOf('\\') != -1)
+    throw new Error('illegal subkey name specified: ' + name);
+
+  return derive(this, this.key + '\\' + name);
+};
+
+/**
+ * Creates a new {@link Registry} instance that points to a subkey below this registry key.
+ * @param {...string} segments - the path segments of the subkey, each may contain several key names separated by backslashes
+ * @returns {Registry} the subkey
+ *
+ * @example
+ * var run = Registry.fromPath('HKCU\\Software').join('Microsoft\\Windows', 'CurrentVersion', 'Run');
+ */
+Registry.prototype.join = function join () {
+
+  var result = this;
+
+  for (var i = 0, l = arguments.length; i < l; i++) {
+    var names = ('' + arguments[i]).split('\\');
+    for (var j = 0, m = names.length; j < m; j++)
+      result = result.child(names[j]);
+  }
+
+  return result === this ? derive(this, this.key) : result;
+};
+
+/**
+ * Returns the canonical full path of this registry key, e.g. <code>\\\\host\\HKLM\\Software\\MyApp</code>.
+ * The returned string can be passed to {@link Registry.fromPath}.
+ * @returns {string} the full path
+ */
+Registry.prototype.toString = function toString () {
+  return fullPath(this);
+};
+
+/**
+ * Retrieve all values from this registry key.
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {valuesCallback=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {array=} cb.items - an array of {@link RegistryItem} objects
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.values = function values (options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.values.bind(this, options));
+
+  if (enterCall(options, cb, this.values.bind(this, options)))
+    return this;
+
+  var args = [ 'QUERY', fullPath(this) ]
+  ,   self = this
+
+  pushArch(args, this.arch);
+
+  cache.query(this, args, function (err, stdout) {
+    if (err)
+      return cb(err, null);
+
+    var keys = parser.parse(stdout)
+    ,   result = []
+
+    if (keys.length > 0) {
+      keys[0].values.forEach(function (item) {
+        result.push(new RegistryItem(self.host, self.hive, self.key, item.name, item.type, item.data, self.arch));
+      });
+    }
+
+    cb(null, result);
+  });
+
+  return this;
+};
+
+/**
+ * Retrieve all subkeys from this registry key.
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {function (err, items)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {array=} cb.items - an array of {@link Registry} objects
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.keys = function keys (options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.keys.bind(this, options));
+
+  if (enterCall(options, cb, this.keys.bind(this, options)))
+    return this;
+
+  var args = [ 'QUERY', fullPath(this) ]
+  ,   self = this
+
+  pushArch(args, this.arch);
+
+  cache.query(this, args, function (err, stdout) {
+    if (err)
+      return cb(err, null);
+
+    var result = []
+
+    parser.parse(stdout).forEach(function (item) {
+      if (item.key && (item.key !== self.key)) {
+        result.push(derive(self, item.key));
+      }
+    });
+
+    cb(null, result);
+  });
+
+  return this;
+};
+
+/**
+ * Gets a named value from this registry key.
+ * @param {string} name - the value name, use {@link Registry.DEFAULT_VALUE} or an empty string for the default value
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {function (err, item)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {RegistryItem=} cb.item - the retrieved registry item
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.get = function get (name, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.get.bind(this, name, options));
+
+  if (enterCall(options, cb, this.get.bind(this, name, options)))
+    return this;
+
+  var args = ['QUERY', fullPath(this)]
+  ,   self = this
+
+  // serve the value from the cached values of this key, except for the default value: REG prints its name in the
+  // language of the installation, e.g. (Standard), so it's only found reliably with /ve
+  if (cacheTTL(this) > 0 && name != '') {
+    this.values(function (err, items) {
+      // report a missing key as missing value, like REG QUERY /v does
+      if (err instanceof KeyNotFoundError)
+        return cb(mkErrorMsg(args.concat([ '/v', name ]), err.code, { stdout: err.stdout, stderr: err.stderr }), null);
+      if (err)
+        return cb(err, null);
+
+      for (var i = 0, l = items.length; i < l; i++) {
+        if (items[i].name.toLowerCase() == ('' + name).toLowerCase())
+          return cb(null, items[i]);
+      }
+
+      cb(mkErrorMsg(args.concat([ '/v', name ]), 1, { stdout: '', stderr: 'ERROR: The system was unable to find the specified registry key or value.' }), null);
+    });
+    return this;
+  }
+
+  if (name == '')
+    args.push('/ve');
+  else
+    args = args.concat(['/v', name]);
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err, stdout) {
+    if (err)
+      return cb(err, null);
+
+    var keys = parser.parse(stdout)
+    ,   values = keys.length > 0 ? keys[0].values : []
+    ,   item = values[values.length - 1]
+    ,   result = null
+
+    if (item)
+      result = new RegistryItem(self.host, self.hive, self.key, item.name, item.type, item.data, self.arch);
+
+    cb(null, result);
+  });
+
+  return this;
+};
+
+/**
+ * Sets a named value in this registry key, overwriting an already existing value.
+ * Besides strings the value may be given as number or BigInt for REG_DWORD and REG_QWORD, as Buffer or Uint8Array for REG_BINARY and REG_NONE
+ * and as array of strings for REG_MULTI_SZ. The value is validated against the type before REG is run.
+ * @param {string} name - the value name, use {@link Registry.DEFAULT_VALUE} or an empty string for the default value
+ * @param {string} type - the value type
+ * @param {(string|number|BigInt|Buffer|Uint8Array|array)} value - the value
+ * @param {object=} options - the options
+ * @param {string=} options.separator - the single character that separates the strings of a REG_MULTI_SZ value given as string, defaults to <code>\0</code>
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.set = function set (name, type, value, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.set.bind(this, name, type, value, options));
+
+  if (enterCall(options, cb, this.set.bind(this, name, type, value, options)))
+    return this;
+
+  if (REG_TYPES.indexOf(type) == -1)
+    throw Error('illegal type specified.');
+
+  var separator = options.separator
+  ,   data
+
+  if (separator !== undefined && (type != REG_MULTI_SZ || typeof separator !== 'string' || separator.length != 1))
+    throw Error('illegal separator specified (use a single character for REG_MULTI_SZ values).');
+
+  data = encodeValue(type, value, separator || MULTI_SZ_SEPARATOR);
+
+  var args = ['ADD', fullPath(this)];
+  if (name == '')
+    args.push('/ve');
+  else
+    args = args.concat(['/v', name]);
+
+  args = args.concat(['/t', type]);
+
+  if (separator !== undefined)
+    args = args.concat(['/s', separator]);
+
+  args = args.concat(['/d', data, '/f']);
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err) {
+    cb(err || null);
+  });
+
+  return this;
+};
+/**
+ * Remove a named value from this registry key. If name is empty, sets the default value of this key.
+ * Note: This key must be already existing.
+ * @param {string} name - the value name, use {@link Registry.DEFAULT_VALUE} or an empty string for the default value
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.remove = function remove (name, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.remove.bind(this, name, options));
+
+  if (enterCall(options, cb, this.remove.bind(this, name, options)))
+    return this;
+
+  var args = name ? ['DELETE', fullPath(this), '/f', '/v', name] : ['DELETE', fullPath(this), '/f', '/ve'];
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err) {
+    cb(err || null);
+  });
+
+  return this;
+};
+
+/**
+ * Remove all subkeys and values (including the default value) from this registry key.
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.clear = function clear (options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.clear.bind(this, options));
+
+  if (enterCall(options, cb, this.clear.bind(this, options)))
+    return this;
+
+  var args = ['DELETE', fullPath(this), '/f', '/va'];
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err) {
+    cb(err || null);
+  });
+
+  return this;
+};
+
+/**
+ * Alias for the clear method to keep it backward compatible.
+ * @method
+ * @deprecated Use {@link Registry#clear} or {@link Registry#destroy} in favour of this method.
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.erase = Registry.prototype.clear;
+
+/**
+ * Delete this key and all subkeys from the registry.
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.destroy = function destroy (options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.destroy.bind(this, options));
+
+  if (enterCall(options, cb, this.destroy.bind(this, options)))
+    return this;
+
+  var args = ['DELETE', fullPath(this), '/f'];
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err) {
+    cb(err || null);
+  });
+
+  return this;
+};
+
+/**
+ * Create this registry key. Note that this is a no-op if the key already exists.
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.create = function create (options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.create.bind(this, options));
+
+  if (enterCall(options, cb, this.create.bind(this, options)))
+    return this;
+
+  var args = ['ADD', fullPath(this), '/f'];
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err) {
+    cb(err || null);
+  });
+
+  return this;
+};
+
+/**
+ * Checks if this key already exists.
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {function (err, exists)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {boolean=} cb.exists - true if a registry key with this name already exists
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.keyExists = function keyExists (options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.keyExists.bind(this, options));
+
+  if (enterCall(options, cb, this.keyExists.bind(this, options)))
+    return this;
+
+  this.values(function (err, items) {
+    if (err) {
+      if (err instanceof KeyNotFoundError) {
+        return cb(null, false);
+      }
+      // other error
+      return cb(err);
+    }
+    cb(null, true);
+  });
+
+  return this;
+};
+
+/**
+ * Checks if a value with the given name already exists within this key.
+ * @param {string} name - the value name, use {@link Registry.DEFAULT_VALUE} or an empty string for the default value
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {function (err, exists)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {boolean=} cb.exists - true if a value with the given name was found in this key, false for a default value that isn't set
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.valueExists = function valueExists (name, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.valueExists.bind(this, name, options));
+
+  if (enterCall(options, cb, this.valueExists.bind(this, name, options)))
+    return this;
+
+  this.get(name, function (err, item) {
+    if (err) {
+      if (err instanceof ValueNotFoundError || err instanceof KeyNotFoundError) {
+        return cb(null, false);
+      }
+      // other error
+      return cb(err);
+    }
+    // REG prints a placeholder for a default value that isn't set
+    cb(null, !isUnsetDefault(item));
+  });
+
+  return this;
+};
+
+/**
+ * A node of the tree returned by {@link Registry#tree}.
+ * @typedef {object} RegistryTree
+ * @property {Registry} key - the registry key of this node
+ * @property {array} values - an array of {@link RegistryItem} objects stored in this key
+ * @property {array} keys - an array of {@link RegistryTree} nodes for the subkeys of this key
+ * @property {number} depth - the depth of this node relative to the queried key, which has depth 0
+ */
+
+/*
+ * Tests a key name or value name against a filter, which is either a regular expression or a predicate function
+ */
+function passesFilter(filter, name, subject) {
+  if (!filter)
+    return true;
+  if (filter instanceof RegExp)
+    return filter.test(name);
+  return !!filter(subject);
+}
+
+/*
+ * Builds a tree of the output of REG QUERY /s, starting with the given registry key
+ */
+function parseTree(registry, stdout, options) {
+  var maxDepth = (typeof options.depth === 'number') ? options.depth : Infinity
+  ,   root = { key: registry, values: [], keys: [], depth: 0 }
+  ,   nodes = {}  // nodes by lower cased key, null for keys that were filtered
+  ,   current = null
+  ,   keys = parser.parse(stdout)
+
+  nodes[registry.key.toLowerCase()] = root;
+
+  for (var i = 0, l = keys.length; i < l; i++) {
+    var key = keys[i].key
+    ,   lowerKey = key.toLowerCase()
+    ,   sep = key.lastIndexOf('\\')
+    ,   parent = nodes[key.substring(0, sep == -1 ? 0 : sep).toLowerCase()]
+
+    if (nodes.hasOwnProperty(lowerKey)) {
+      current = nodes[lowerKey];
+    } else if (!parent || parent.depth >= maxDepth) {
+      current = nodes[lowerKey] = null;
+    } else {
+      current = { key: derive(registry, key), values: [], keys: [], depth: parent.depth + 1 };
+      if (passesFilter(options.keys, key.substring(sep + 1), current.key)) {
+        parent.keys.push(current);
+      } else {
+        current = null;
+      }
+      nodes[lowerKey] = current;
+    }
+
+    if (!current)
+      continue;
+
+    keys[i].values.forEach(function (value) {
+      var item = new RegistryItem(registry.host, registry.hive, current.key.key, value.name, value.type, value.data, registry.arch);
+      if (passesFilter(options.values, item.name, item))
+        current.values.push(item);
+    });
+  }
+
+  return root;
+}
+
+/**
+ * Retrieve this registry key with all its values and subkeys recursively, using a single REG QUERY /s command.
+ * @param {object=} options - the options
+ * @param {number=} options.depth - the maximum depth of the returned tree, 0 returns only this key
+ * @param {(RegExp|function)=} options.keys - a key filter that is tested against the subkey names or called with the {@link Registry} of each subkey; subkeys that don't pass are skipped along with their subtree
+ * @param {(RegExp|function)=} options.values - a value filter that is tested against the value names or called with each {@link RegistryItem}
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err, tree)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {RegistryTree=} cb.tree - the root node of the tree
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.tree = function tree (options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.tree.bind(this, options));
+
+  if (enterCall(options, cb, this.tree.bind(this, options)))
+    return this;
+
+  var args = [ 'QUERY', fullPath(this), '/s' ]
+  ,   self = this
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err, stdout) {
+    if (err)
+      return cb(err, null);
+
+    cb(null, parseTree(self, stdout, options));
+  });
+
+  return this;
+};
+
+/**
+ * Visits this registry key and all its subkeys depth-first, using a single REG QUERY /s command.
+ * If no visitor is given an async iterator is returned, that yields a {@link RegistryTree} node for each key.
+ * @param {object=} options - the options, see {@link Registry#tree}
+ * @param {function (key, values, depth)=} visitor - called with the {@link Registry}, its {@link RegistryItem} objects and its depth for each key; returning false skips the subkeys
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise|AsyncIterator} this registry key object, a promise if no callback was given or an async iterator if no visitor was given
+ *
+ * @example
+ * for await (var node of regKey.walk({ depth: 2 })) {
+ *   console.log(node.key.key, node.values.length);
+ * }
+ */
+Registry.prototype.walk = function walk (options, visitor, cb) {
+
+  if (typeof options === 'function') {
+    cb = visitor;
+    visitor = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof visitor !== 'function')
+    return iterateTree(this, options);
+
+  if (typeof cb !== 'function')
+    return toPromise(this.walk.bind(this, options, visitor));
+
+  this.tree(options, function (err, root) {
+    if (err)
+      return cb(err);
+
+    var stack = [ root ];
+    while (stack.length > 0) {
+      var node = stack.pop();
+      if (visitor(node.key, node.values, node.depth) !== false) {
+        for (var i = node.keys.length - 1; i >= 0; i--)
+          stack.push(node.keys[i]);
+      }
+    }
+
+    cb(null);
+  });
+
+  return this;
+};
+
+/*
+ * Creates an async iterator that yields the nodes of the tree of the given registry key depth-first
+ */
+function iterateTree(registry, options) {
+  var stack = []
+  ,   ready = null // settles once the tree was retrieved
+
+  var iterator = {
+    next: function () {
+      ready = ready || registry.tree(options).then(function (root) { stack.push(root); });
+      return ready.then(function () {
+        if (stack.length == 0)
+          return { value: undefined, done: true };
+
+        var node = stack.pop();
+        for (var i = node.keys.length - 1; i >= 0; i--)
+          stack.push(node.keys[i]);
+        return { value: node, done: false };
+      });
+    }
+  };
+
+  iterator[Symbol.asyncIterator] = function () { return iterator; };
+
+  return iterator;
+}
+
+/*
+ * Collects the matching keys and values from the output of REG QUERY /f
+ */
+function parseMatches(registry, stdout, pattern, options) {
+  var searchKeys = options.keys || !(options.values || options.data)
+  ,   keyPattern = parser.searchPattern(pattern, options.caseSensitive, options.exact)
+  ,   result = { keys: [], values: [] }
+  ,   seen = {}   // lower cased keys that were already added to the result
+  ,   current = null
+  ,   keys = parser.parse(stdout)
+
+  function flush() {
+    if (!current)
       return;
-    } else if (code !== 0) {
-      log('process exited with code ' + code);
-      cb(mkErrorMsg('QUERY', code, output), null);
+    var name = current.key.substring(current.key.lastIndexOf('\\') + 1)
+    ,   lowerKey = current.key.toLowerCase()
+    if ((current.values == 0 || (searchKeys && keyPattern.test(name))) && !seen[lowerKey]) {
+      seen[lowerKey] = true;
+      result.keys.push(derive(registry, current.key));
+    }
+  }
+
+  for (var i = 0, l = keys.length; i < l; i++) {
+    flush();
+    current = { key: keys[i].key, values: keys[i].values.length };
+    keys[i].values.forEach(function (value) {
+      result.values.push(new RegistryItem(registry.host, registry.hive, current.key, value.name, value.type, value.data, registry.arch));
+    });
+  }
+
+  flush();
+
+  return result;
+}
+
+/**
+ * Searches this registry key for subkeys, value names or value data that match a pattern, using REG QUERY /f.
+ * Without any of the options keys, values or data all three are searched.
+ * @param {string} pattern - the search pattern, may contain the wildcards * and ?
+ * @param {object=} options - the options
+ * @param {boolean=} options.recursive - search all subkeys recursively
+ * @param {boolean=} options.keys - search in key names
+ * @param {boolean=} options.values - search in value names
+ * @param {boolean=} options.data - search in value data
+ * @param {boolean=} options.caseSensitive - search case-sensitive
+ * @param {boolean=} options.exact - return only exact matches
+ * @param {string=} options.type - return only values of this type
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err, matches)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {object=} cb.matches - an object with an array of the matching {@link Registry} keys as <code>keys</code> and an array of the matching {@link RegistryItem} objects as <code>values</code>
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ *
+ * @example
+ * new Registry({ hive: Registry.HKLM, key: '\\Software' }).find('MyProduct', { recursive: true, data: true }, function (err, matches) {
+ *   matches.values.forEach(function (item) { console.log(item.key, item.name, item.value); });
+ * });
+ */
+Registry.prototype.find = function find (pattern, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.find.bind(this, pattern, options));
+
+  if (enterCall(options, cb, this.find.bind(this, pattern, options)))
+    return this;
+
+  if (options.type && REG_TYPES.indexOf(options.type) == -1)
+    throw Error('illegal type specified.');
+
+  var args = [ 'QUERY', fullPath(this), '/f', '' + pattern ]
+  ,   self = this
+
+  if (options.keys)
+    args.push('/k');
+  if (options.values)
+    args.push('/v');
+  if (options.data)
+    args.push('/d');
+  if (options.caseSensitive)
+    args.push('/c');
+  if (options.exact)
+    args.push('/e');
+  if (options.type)
+    args.push('/t', options.type);
+  if (options.recursive)
+    args.push('/s');
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err, stdout) {
+    if (err) {
+      // REG exits with code 1 if nothing was found, but unlike for missing keys it prints a summary
+      if (err.code == 1 && stdout && stdout.trim().length > 0)
+        return cb(null, { keys: [], values: [] });
+      return cb(err, null);
+    }
+
+    cb(null, parseMatches(self, stdout, '' + pattern, options));
+  });
+
+  return this;
+};
+
+/*
+ * Creates a temporary directory, calls fn with the path of a .reg file in it and removes the file and
+ * the directory once fn reports back through its callback. The results of fn are passed on to cb.
+ */
+function withTempFile(fn, cb) {
+  fs.mkdtemp(path.join(os.tmpdir(), 'winreg-'), function (err, dir) {
+    if (err)
+      return cb(err);
+
+    var file = path.join(dir, 'winreg.reg');
+
+    fn(file, function () {
+      var results = arguments;
+      fs.unlink(file, function () {
+        fs.rmdir(dir, function () {
+          cb.apply(null, results);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Exports this key and all of its subkeys to a .reg file, overwriting an existing file.
+ * @param {string} file - the path of the .reg file to write
+ * @param {object=} options - export options
+ * @param {boolean=} options.overwrite - overwrite an existing file, defaults to true
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.export = function exportKey (file, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.export.bind(this, file, options));
+
+  if (enterCall(options, cb, this.export.bind(this, file, options)))
+    return this;
+
+  var args = ['EXPORT', fullPath(this), '' + file];
+
+  if (options.overwrite !== false)
+    args.push('/y');
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err) {
+    cb(err || null);
+  });
+
+  return this;
+};
+
+/**
+ * Exports this key and all of its subkeys through a temporary file and returns the content of the .reg file.
+ * @param {object=} options - export options
+ * @param {boolean=} options.raw - return the raw bytes of the file instead of its text
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err, content)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {(string|Buffer)=} cb.content - the content of the .reg file
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.exportContent = function exportContent (options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.exportContent.bind(this, options));
+
+  if (enterCall(options, cb, this.exportContent.bind(this, options)))
+    return this;
+
+  var self = this;
+
+  withTempFile(function (file, done) {
+    self.export(file, function (err) {
+      if (err)
+        return done(err, null);
+      fs.readFile(file, function (err, content) {
+        if (err)
+          return done(err, null);
+        done(null, options.raw ? content : regfile.decode(content));
+      });
+    });
+  }, cb);
+
+  return this;
+};
+
+/**
+ * Imports a .reg file into the registry of the local machine.
+ * @param {string} file - the path of the .reg file to import
+ * @param {object=} options - import options
+ * @param {string=} options.arch - the registry view to import into, either 'x86' or 'x64'
+ * @param {function=} options.executor - the command executor to use, defaults to {@link Registry.defaults}.executor
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {undefined|Promise} a promise if no callback was given
+ */
+Registry.import = function importFile (file, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(Registry.import.bind(Registry, file, options));
+
+  if (enterCall(options, cb, Registry.import.bind(Registry, file, options)))
+    return;
+
+  var args = ['IMPORT', '' + file];
+
+  pushArch(args, options.arch);
+
+  execute({ executor: options.executor }, args, function (err) {
+    cb(err || null);
+  });
+};
+
+/**
+ * Imports the content of a .reg file through a temporary file. Strings are written as UTF-16 with a byte order mark,
+ * buffers are written as they are.
+ * @param {(string|Buffer)} content - the content of the .reg file
+ * @param {object=} options - import options, see {@link Registry.import}
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {undefined|Promise} a promise if no callback was given
+ *
+ * @example
+ * var key = new Registry({ hive: Registry.HKCU, key: '\\Software\\MyApp' });
+ * key.exportContent(function (err, backup) {
+ *   key.set('Setting', Registry.REG_SZ, 'risky', function (err) {
+ *     if (err) Registry.importContent(backup, function () {});
+ *   });
+ * });
+ */
+Registry.importContent = function importContent (content, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(Registry.importContent.bind(Registry, content, options));
+
+  if (enterCall(options, cb, Registry.importContent.bind(Registry, content, options)))
+    return;
+
+  if (typeof content === 'string')
+    content = Buffer.from('\uFEFF' + content, 'utf16le');
+  else if (!Buffer.isBuffer(content))
+    throw new Error('illegal content specified.');
+
+  withTempFile(function (file, done) {
+    fs.writeFile(file, content, function (err) {
+      if (err)
+        return done(err);
+      Registry.import(file, options, function (err) {
+        done(err || null);
+      });
+    });
+  }, cb);
+};
+
+/*
+ * Copies a key value by value through REG QUERY and REG ADD, which allows source and destination to use
+ * different registry views. REG COPY only accepts a single /reg switch for both keys.
+ */
+function copyByValue(source, destination, options, cb) {
+
+  source.tree({ depth: options.recursive ? undefined : 0 }, function (err, tree) {
+    if (err)
+      return cb(err);
+
+    var nodes = [];
+
+    (function flatten(node) {
+      nodes.push(node);
+      node.keys.forEach(flatten);
+    })(tree);
+
+    (function next(i) {
+      if (i >= nodes.length)
+        return cb(null);
+
+      var node = nodes[i]
+      ,   target = derive(destination, destination.key + node.key.key.substring(source.key.length))
+
+      target.create(function (err) {
+        if (err)
+          return cb(err);
+
+        (function nextValue(j) {
+          if (j >= node.values.length)
+            return next(i + 1);
+
+          var item = node.values[j]
+          ,   name = parser.valueName(item.name)
+
+          // REG lists a default value that isn't set with a placeholder, which must not be copied
+          if (isUnsetDefault(item))
+            return nextValue(j + 1);
+
+          function write(err, exists) {
+            if (err)
+              return cb(err);
+            if (exists)
+              return nextValue(j + 1);
+            // set throws for types REG ADD can't write, e.g. REG_LINK
+            try {
+              target.set(name, item.type, item.data, function (err) {
+                if (err)
+                  return cb(err);
+                nextValue(j + 1);
+              });
+            } catch (e) {
+              cb(e);
+            }
+          }
+
+          if (options.overwrite)
+            write(null, false);
+          else
+            target.valueExists(name, write);
+        })(0);
+      });
+    })(0);
+  });
+}
+
+/**
+ * Copies the values of this key, and optionally its subkeys, to another key, which is created if it doesn't exist.
+ * @param {(Registry|string)} destination - the destination key, either a registry key object or a path
+ *   like <code>HKCU\Software\MyApp</code> that uses the host, arch and executor of this key
+ * @param {object=} options - copy options
+ * @param {boolean=} options.recursive - copy all subkeys as well (<code>/s</code>)
+ * @param {boolean=} options.overwrite - replace values that already exist in the destination (<code>/f</code>),
+ *   existing values are kept otherwise
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.copy = function copy (destination, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.copy.bind(this, destination, options));
+
+  if (enterCall(options, cb, this.copy.bind(this, destination, options)))
+    return this;
+
+  if (typeof destination === 'string')
+    destination = Registry.fromPath(destination, { host: this.host, arch: this.arch, executor: this.executor });
+  else if (!(destination instanceof Registry))
+    throw new Error('illegal destination specified.');
+
+  if (destination.arch != this.arch) {
+    copyByValue(this, destination, options, cb);
+    return this;
+  }
+
+  var args = ['COPY', fullPath(this), fullPath(destination)];
+
+  if (options.recursive)
+    args.push('/s');
+  if (options.overwrite)
+    args.push('/f');
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err) {
+    cb(err || null);
+  });
+
+  return this;
+};
+
+/**
+ * Moves this key with all of its subkeys to another key. The source is only destroyed if the copy succeeded.
+ * The destination must not be inside this key, since destroying the source would delete the copy as well.
+ * @param {(Registry|string)} destination - the destination key, see {@link Registry#copy}
+ * @param {object=} options - move options
+ * @param {boolean=} options.overwrite - replace values that already exist in the destination
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.move = function move (destination, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.move.bind(this, destination, options));
+
+  if (enterCall(options, cb, this.move.bind(this, destination, options)))
+    return this;
+
+  var self = this
+  ,   target = (typeof destination === 'string') ? Registry.fromPath(destination, { host: this.host, arch: this.arch, executor: this.executor }) : destination
+
+  if (target instanceof Registry && target.host.toLowerCase() == this.host.toLowerCase() && target.hive == this.hive &&
+      (target.key + '\\').toLowerCase().indexOf((this.key + '\\').toLowerCase()) == 0)
+    throw new Error('destination must not be inside the moved key.');
+
+  this.copy(target, { recursive: true, overwrite: options.overwrite }, function (err) {
+    if (err)
+      return cb(err);
+    self.destroy(cb);
+  });
+
+  return this;
+};
+
+/**
+ * A value entry of the diff returned by {@link Registry#compare}.
+ * @typedef {object} RegistryValueDiff
+ * @property {string} key - the path of the key holding the value, relative to the compared keys (empty for the keys themselves)
+ * @property {string} name - the name of the value, {@link Registry.DEFAULT_VALUE} for the default value
+ * @property {?RegistryItem} from - the value in this key, null if the value was added
+ * @property {?RegistryItem} to - the value in the other key, null if the value was removed
+ */
+
+/**
+ * The structured diff returned by {@link Registry#compare}. Keys that exist on one side only are reported once,
+ * their values and subkeys are not listed.
+ * @typedef {object} RegistryDiff
+ * @property {boolean} equal - true if no differences were found
+ * @property {object} keys - an object with arrays of the relative paths of the <code>added</code> and <code>removed</code> subkeys
+ * @property {object} values - an object with arrays of the <code>added</code>, <code>removed</code> and <code>changed</code> {@link RegistryValueDiff} entries
+ */
+
+/*
+ * Creates an empty diff
+ */
+function mkDiff() {
+  return {
+    equal: true,
+    keys: { added: [], removed: [] },
+    values: { added: [], removed: [], changed: [] }
+  };
+}
+
+/*
+ * Adds a value entry to a diff, sorted by what happened to the value
+ */
+function pushValueDiff(diff, key, from, to) {
+  var item = from || to
+  ,   entry = { key: key, name: parser.valueName(item.name), from: from, to: to }
+
+  diff.equal = false;
+  if (!from)
+    diff.values.added.push(entry);
+  else if (!to)
+    diff.values.removed.push(entry);
+  else
+    diff.values.changed.push(entry);
+}
+
+/*
+ * Diffs two trees returned by Registry#tree. Without recursion only the values of the roots and the names of
+ * their direct subkeys are compared.
+ */
+function diffTrees(base, other, recursive) {
+  var diff = mkDiff();
+
+  function byName(list, nameOf) {
+    var result = {};
+    list.forEach(function (entry) {
+      result[nameOf(entry).toLowerCase()] = entry;
+    });
+    return result;
+  }
+
+  function keyName(node) {
+    return node.key.key.substring(node.key.key.lastIndexOf('\\') + 1);
+  }
+
+  // the values of a node without the placeholder of an unset default value
+  function valuesOf(node) {
+    return node.values.filter(function (item) { return !isUnsetDefault(item); });
+  }
+
+  function diffNode(a, b, relative) {
+    var otherValues = byName(valuesOf(b), function (item) { return parser.valueName(item.name); })
+    ,   baseValues = byName(valuesOf(a), function (item) { return parser.valueName(item.name); })
+    ,   otherKeys = byName(b.keys, keyName)
+    ,   baseKeys = byName(a.keys, keyName)
+
+    valuesOf(a).forEach(function (item) {
+      var match = otherValues[parser.valueName(item.name).toLowerCase()];
+      if (!match)
+        pushValueDiff(diff, relative, item, null);
+      else if (match.type != item.type || match.value != item.value)
+        pushValueDiff(diff, relative, item, match);
+    });
+    valuesOf(b).forEach(function (item) {
+      if (!baseValues.hasOwnProperty(parser.valueName(item.name).toLowerCase()))
+        pushValueDiff(diff, relative, null, item);
+    });
+
+    a.keys.forEach(function (node) {
+      var name = keyName(node)
+      ,   match = otherKeys[name.toLowerCase()]
+
+      if (!match) {
+        diff.equal = false;
+        diff.keys.removed.push(relative + '\\' + name);
+      } else if (recursive) {
+        diffNode(node, match, relative + '\\' + name);
+      }
+    });
+    b.keys.forEach(function (node) {
+      var name = keyName(node);
+      if (!baseKeys.hasOwnProperty(name.toLowerCase())) {
+        diff.equal = false;
+        diff.keys.added.push(relative + '\\' + name);
+      }
+    });
+  }
+
+  diffNode(base, other, '');
+
+  return diff;
+}
+
+/*
+ * Parses the output of REG COMPARE into a diff. Lines starting with < describe the first key, lines starting with > the second.
+ */
+function parseComparison(base, other, stdout) {
+  var diff = mkDiff()
+  ,   changed = {}  // values reported by both sides, by lower cased key and name
+  ,   lines = stdout.split('\n')
+
+  // returns the path of a REG output line relative to the given registry key
+  function relativePath(registry, path) {
+    var root = ''
+
+    for (var name in HIVE_NAMES) {
+      if (HIVE_NAMES.hasOwnProperty(name) && HIVE_NAMES[name] == registry.hive && name.length > root.length)
+        root = name;
+    }
+    root += registry.key;
+
+    path = path.replace(/^\\\\[^\\]+\\/, '');
+    if (path.substring(0, root.length).toLowerCase() != root.toLowerCase())
+      return null;
+    return path.substring(root.length);
+  }
+
+  for (var i = 0, l = lines.length; i < l; i++) {
+    var line = lines[i].replace(/\r$/, '')
+    ,   match = /^([<>]) (Key|Value): (.*)$/.exec(line)
+
+    if (!match)
+      continue;
+
+    log(line);
+
+    var registry = match[1] == '<' ? base : other
+    ,   rest = relativePath(registry, match[3])
+    ,   sep
+    ,   item
+
+    if (rest === null)
+      continue;
+
+    if (match[2] == 'Key') {
+      diff.equal = false;
+      diff.keys[match[1] == '<' ? 'removed' : 'added'].push(rest);
+      continue;
     }
+
+    sep = rest.indexOf('  ');
+    item = parser.parseItem(rest.substring(sep + 2), '  ');
+    if (sep == -1 || !item)
+      continue;
+
+    var key = rest.substring(0, sep)
+    ,   id = (key + '\\' + item.name).toLowerCase()
+
+    item = new RegistryItem(registry.host, registry.hive, registry.key + key, item.name, item.type, item.data, registry.arch);
+    if (!changed.hasOwnProperty(id))
+      changed[id] = { key: key, from: null, to: null };
+    changed[id][match[1] == '<' ? 'from' : 'to'] = item;
+  }
+
+  for (var id in changed) {
+    if (changed.hasOwnProperty(id))
+      pushValueDiff(diff, changed[id].key, changed[id].from, changed[id].to);
+  }
+
+  return diff;
+}
+
+/**
+ * Compares this key with another key and reports the added, removed and changed values and subkeys, seen from this key.
+ * Uses REG COMPARE if both keys share the executor and the registry view, otherwise two trees are queried and diffed.
+ * @param {(Registry|string)} other - the key to compare with, either a registry key object or a path
+ *   like <code>HKCU\Software\MyApp</code> that uses the host, arch and executor of this key
+ * @param {object=} options - comparison options
+ * @param {boolean=} options.recursive - compare all subkeys as well (<code>/s</code>)
+ * @param {boolean=} options.native - set to false to diff two trees instead of running REG COMPARE
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err, diff)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {RegistryDiff=} cb.diff - the differences between the keys
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.compare = function compare (other, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.compare.bind(this, other, options));
+
+  if (enterCall(options, cb, this.compare.bind(this, other, options)))
+    return this;
+
+  if (typeof other === 'string')
+    other = Registry.fromPath(other, { host: this.host, arch: this.arch, executor: this.executor });
+  else if (!(other instanceof Registry))
+    throw new Error('illegal key specified for comparison.');
+
+  var self = this
+  ,   args
+
+  if (options.native === false || other.arch != this.arch || other.executor != this.executor) {
+    this.tree({ depth: options.recursive ? undefined : 1 }, function (err, base) {
+      if (err)
+        return cb(err, null);
+      other.tree({ depth: options.recursive ? undefined : 1 }, function (err, tree) {
+        if (err)
+          return cb(err, null);
+        cb(null, diffTrees(base, tree, options.recursive));
+      });
+    });
+    return this;
+  }
+
+  args = ['COMPARE', fullPath(this), fullPath(other), '/od'];
+
+  if (options.recursive)
+    args.push('/s');
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err, stdout) {
+    // REG COMPARE exits with code 0 if the keys are identical and with code 2 if they differ
+    if (err && !(err.code == 2 && stdout))
+      return cb(err, null);
+
+    cb(null, parseComparison(self, other, stdout || ''));
   });
 
-  proc.stdout.on('data', function (data) {
-    buffer += data.toString();
+  return this;
+};
+
+/**
+ * Saves this key with all of its subkeys to a hive file.
+ * @param {string} file - the path of the hive file to write
+ * @param {object=} options - save options
+ * @param {boolean=} options.overwrite - overwrite an existing file, defaults to true
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.save = function save (file, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.save.bind(this, file, options));
+
+  if (enterCall(options, cb, this.save.bind(this, file, options)))
+    return this;
+
+  var args = ['SAVE', fullPath(this), '' + file];
+
+  if (options.overwrite !== false)
+    args.push('/y');
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err) {
+    cb(err || null);
   });
 
-  proc.stdout.on('end', function () {
+  return this;
+};
 
-    var items = []
-    ,   result = []
-    ,   lines = buffer.split('\n')
+/**
+ * Replaces all values and subkeys of this key with the content of a hive file written by {@link Registry#save}.
+ * @param {string} file - the path of the hive file to read
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.restore = function restore (file, options, cb) {
 
-    for (var i = 0, l = lines.length; i < l; i++) {
-      var line = lines[i].trim();
-      if (line.length > 0) {
-        log(line);
-        items.push(line);
-      }
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.restore.bind(this, file, options));
+
+  if (enterCall(options, cb, this.restore.bind(this, file, options)))
+    return this;
+
+  var args = ['RESTORE', fullPath(this), '' + file];
+
+  pushArch(args, this.arch);
+
+  execute(this, args, function (err) {
+    cb(err || null);
+  });
+
+  return this;
+};
+
+/*
+ * Returns the registry key a hive file is loaded into. Hives can only be loaded into keys directly below HKLM or HKU
+ * of the local machine, REG LOAD and REG UNLOAD don't support remote hosts.
+ */
+function mountPoint(mountKey, options) {
+  var key = (typeof mountKey === 'string') ? Registry.fromPath(mountKey, options) : mountKey;
+
+  if (!(key instanceof Registry))
+    throw new Error('illegal mount key specified.');
+
+  if ((key.hive != HKLM && key.hive != HKU) || !/^\\[^\\]+$/.test(key.key))
+    throw new Error('illegal mount key specified: ' + fullPath(key) + ' is not a key directly below HKLM or HKU');
+
+  if (key.host)
+    throw new Error('illegal mount key specified: ' + fullPath(key) + ' is not on the local machine');
+
+  return key;
+}
+
+/**
+ * Loads a hive file, e.g. the NTUSER.DAT of a user profile, into a new key directly below HKLM or HKU.
+ * @param {(Registry|string)} mountKey - the key to load the hive into, e.g. <code>HKU\TempProfile</code>
+ * @param {string} file - the path of the hive file
+ * @param {object=} options - load options, only used if mountKey is a path string
+ * @param {string=} options.arch - the registry view, either 'x86' or 'x64'
+ * @param {function=} options.executor - the command executor to use
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err, key)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {Registry=} cb.key - the root key of the loaded hive
+ * @returns {undefined|Promise} a promise if no callback was given
+ */
+Registry.load = function load (mountKey, file, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(Registry.load.bind(Registry, mountKey, file, options));
+
+  if (enterCall(options, cb, Registry.load.bind(Registry, mountKey, file, options)))
+    return;
+
+  var key = mountPoint(mountKey, options)
+  ,   args = ['LOAD', fullPath(key), '' + file]
+
+  pushArch(args, key.arch);
+
+  execute(key, args, function (err) {
+    if (err)
+      return cb(err, null);
+    cb(null, key);
+  });
+};
+
+/**
+ * Unloads a hive that was loaded with {@link Registry.load}.
+ * @param {(Registry|string)} mountKey - the key the hive was loaded into
+ * @param {object=} options - unload options, only used if mountKey is a path string, see {@link Registry.load}
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {undefined|Promise} a promise if no callback was given
+ */
+Registry.unload = function unload (mountKey, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(Registry.unload.bind(Registry, mountKey, options));
+
+  if (enterCall(options, cb, Registry.unload.bind(Registry, mountKey, options)))
+    return;
+
+  var key = mountPoint(mountKey, options)
+  ,   args = ['UNLOAD', fullPath(key)]
+
+  pushArch(args, key.arch);
+
+  execute(key, args, function (err) {
+    cb(err || null);
+  });
+};
+
+/**
+ * Loads a hive file, passes its root key to fn and unloads the hive once fn is done, even if fn fails.
+ * fn either calls its done callback or returns a promise. The error of fn takes precedence over an error of the unload.
+ * @param {(Registry|string)} mountKey - the key to load the hive into, see {@link Registry.load}
+ * @param {string} file - the path of the hive file
+ * @param {object=} options - load options, see {@link Registry.load}
+ * @param {number=} options.timeout - the timeout of each REG command in milliseconds, including the commands of fn
+ * @param {AbortSignal=} options.signal - a signal that cancels the load and the commands of fn, the hive is unloaded anyway
+ * @param {function (key, done)} fn - called with the root key of the loaded hive
+ * @param {function (err, result)=} cb - callback function
+ * @param {Error=} cb.err - error object or null if successful
+ * @param {*=} cb.result - the result fn passed to done or resolved with
+ * @returns {undefined|Promise} a promise if no callback was given
+ *
+ * @example
+ * Registry.withLoadedHive('HKU\\DefaultProfile', 'C:\\Users\\Default\\NTUSER.DAT', function (root) {
+ *   return root.join('Software', 'MyApp').set('FirstRun', Registry.REG_DWORD, 1);
+ * }).then(function () { console.log('profile seeded'); });
+ */
+Registry.withLoadedHive = function withLoadedHive (mountKey, file, options, fn, cb) {
+
+  if (typeof options === 'function') {
+    cb = fn;
+    fn = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof fn !== 'function')
+    throw new Error('must specify a function to run while the hive is loaded.');
+
+  if (typeof cb !== 'function')
+    return toPromise(Registry.withLoadedHive.bind(Registry, mountKey, file, options, fn));
+
+  if (enterCall(options, cb, Registry.withLoadedHive.bind(Registry, mountKey, file, options, fn)))
+    return;
+
+  Registry.load(mountKey, file, options, function (err, key) {
+    var finished = false  // true once fn reported back
+    ,   returned
+
+    if (err)
+      return cb(err, null);
+
+    function done(err, result) {
+      if (finished)
+        return;
+      finished = true;
+
+      ignoreSignals(function () {
+        Registry.unload(key, function (unloadErr) {
+          if (err || unloadErr)
+            return cb(err || unloadErr, null);
+          cb(null, result);
+        });
+      });
+    }
+
+    try {
+      returned = fn(key, done);
+    } catch (e) {
+      return done(e);
+    }
+
+    if (returned && typeof returned.then === 'function') {
+      returned.then(function (result) {
+        done(null, result);
+      }, function (err) {
+        done(err || new Error('hive function failed.'));
+      });
     }
+  });
+};
+
+/**
+ * Watches a registry key for changes by polling it and diffing the results.
+ * This contructor is private. Objects of this type are created and returned by {@link Registry#watch}.
+ *
+ * @private
+ * @class
+ *
+ * @param {Registry} registry - the watched registry key
+ * @param {object} options - watch options, see {@link Registry#watch}
+ *
+ * @fires RegistryWatcher#ready
+ * @fires RegistryWatcher#valueAdded
+ * @fires RegistryWatcher#valueChanged
+ * @fires RegistryWatcher#valueRemoved
+ * @fires RegistryWatcher#keyAdded
+ * @fires RegistryWatcher#keyRemoved
+ * @fires RegistryWatcher#change
+ * @fires RegistryWatcher#error
+ */
+function RegistryWatcher (registry, options) {
 
-    for (var i = 0, l = items.length; i < l; i++) {
+  if (!(this instanceof RegistryWatcher))
+    return new RegistryWatcher(registry, options);
 
-      var match = PATH_PATTERN.exec(items[i])
-      ,   hive
-      ,   key
+  EventEmitter.call(this);
 
-      if (match) {
-        hive = match[1];
-        key  = match[2];
-        if (key && (key !== self.key)) {
-          result.push(new Registry({
-            host: self.host,
-            hive: self.hive,
-            key:  key,
-            arch: self.arch
-          }));
-        }
+  /* private members */
+  var _interval = (typeof options.interval === 'number') ? options.interval : 1000  // poll interval in ms
+  ,   _debounce = options.debounce || 0         // time in ms the key must stay unchanged before changes are reported
+  ,   _recursive = !!options.recursive          // watch all subkeys
+  ,   _baseline = null                          // the last reported tree
+  ,   _pending = null                           // the latest changed tree while debouncing
+  ,   _timer = null                             // the timer of the next poll
+  ,   _running = null                           // the result of the executor of the running query, e.g. its child process
+  ,   _stopped = false                          // true once stop() was called
+  ,   _call = { options: options, timeout: options.timeout, signals: [] } // the call context of the polls
+  ,   self = this
+
+  /* getters/setters */
+
+  /**
+   * The watched registry key.
+   * @readonly
+   * @member {Registry} RegistryWatcher#key
+   */
+  this.__defineGetter__('key', function () { return registry; });
+
+  /**
+   * True until the watcher is stopped.
+   * @readonly
+   * @member {boolean} RegistryWatcher#active
+   */
+  this.__defineGetter__('active', function () { return !_stopped; });
+
+  function schedule(delay) {
+    if (!_stopped)
+      _timer = setTimeout(poll, delay);
+  }
+
+  function report(base, tree) {
+    var diff = diffTrees(base, tree, _recursive);
+
+    function keyOf(relative) {
+      return derive(registry, registry.key + relative);
+    }
+
+    diff.keys.removed.forEach(function (relative) { self.emit('keyRemoved', keyOf(relative)); });
+    diff.keys.added.forEach(function (relative) { self.emit('keyAdded', keyOf(relative)); });
+    diff.values.removed.forEach(function (entry) { self.emit('valueRemoved', entry.from); });
+    diff.values.added.forEach(function (entry) { self.emit('valueAdded', entry.to); });
+    diff.values.changed.forEach(function (entry) { self.emit('valueChanged', entry.to, entry.from); });
+    self.emit('change', diff);
+  }
+
+  function poll() {
+    var args = [ 'QUERY', fullPath(registry), '/s' ];
+
+    _timer = null;
+    pushArch(args, registry.arch);
+
+    _running = callContext.run(_call, execute, registry, args, function (err, stdout) {
+      var tree;
+
+      _running = null;
+      if (_stopped)
+        return;
+
+      if (err) {
+        // a failing poll doesn't end the watch, the key may come back
+        if (self.listenerCount('error') > 0)
+          self.emit('error', err);
+        return schedule(_interval);
+      }
+
+      tree = parseTree(registry, stdout, { depth: _recursive ? undefined : 1 });
+
+      if (!_baseline) {
+        _baseline = tree;
+        self.emit('ready');
+        return schedule(_interval);
+      }
+
+      if (diffTrees(_baseline, tree, _recursive).equal) {
+        _pending = null;
+        return schedule(_interval);
+      }
+
+      // wait until the key didn't change for the debounce time
+      if (_debounce > 0 && (!_pending || !diffTrees(_pending, tree, _recursive).equal)) {
+        _pending = tree;
+        return schedule(_debounce);
       }
+
+      report(_baseline, tree);
+      _baseline = tree;
+      _pending = null;
+      schedule(_interval);
+    });
+  }
+
+  /**
+   * Stops watching, clears the poll timer and kills a running query.
+   * @method RegistryWatcher#stop
+   * @returns {RegistryWatcher} this watcher
+   */
+  this.stop = function stop () {
+    _stopped = true;
+    if (options.signal)
+      options.signal.removeEventListener('abort', stop);
+    if (_timer) {
+      clearTimeout(_timer);
+      _timer = null;
     }
+    if (_running && typeof _running.kill === 'function')
+      _running.kill();
+    _running = null;
+    return self;
+  };
+
+  if (options.signal) {
+    if (options.signal.aborted)
+      return this.stop();
+    options.signal.addEventListener('abort', this.stop);
+  }
 
-    cb(null, result);
+  // poll asynchronously, so listeners can be attached first
+  schedule(0);
+}
 
-  });
+util.inherits(RegistryWatcher, EventEmitter);
 
-  proc.on('error', function(err) {
-    error = err;
-    cb(err);
+/**
+ * Emitted once the initial state of the watched key was read.
+ * @event RegistryWatcher#ready
+ */
+
+/**
+ * Emitted for each value that was added, with the new {@link RegistryItem}.
+ * @event RegistryWatcher#valueAdded
+ * @type {RegistryItem}
+ */
+
+/**
+ * Emitted for each value whose type or data changed, with the new and the previous {@link RegistryItem}.
+ * @event RegistryWatcher#valueChanged
+ * @type {RegistryItem}
+ */
+
+/**
+ * Emitted for each value that was removed, with the previous {@link RegistryItem}.
+ * @event RegistryWatcher#valueRemoved
+ * @type {RegistryItem}
+ */
+
+/**
+ * Emitted for each subkey that was added, with its {@link Registry} object. Values and subkeys of new keys are not reported separately.
+ * @event RegistryWatcher#keyAdded
+ * @type {Registry}
+ */
+
+/**
+ * Emitted for each subkey that was removed, with its {@link Registry} object.
+ * @event RegistryWatcher#keyRemoved
+ * @type {Registry}
+ */
+
+/**
+ * Emitted after the single events of a poll with the whole {@link RegistryDiff}.
+ * @event RegistryWatcher#change
+ * @type {RegistryDiff}
+ */
+
+/**
+ * Emitted if a poll failed, only if there is a listener for it. The watcher keeps polling.
+ * @event RegistryWatcher#error
+ * @type {ProcessUncleanExitError}
+ */
+
+/**
+ * Watches this key for changes made by other processes. The key is polled with a recursive REG QUERY
+ * and the results are diffed, so changes in between two polls that cancel each other out go unnoticed.
+ * @param {object=} options - watch options
+ * @param {number=} options.interval - the poll interval in milliseconds, defaults to 1000
+ * @param {boolean=} options.recursive - watch all subkeys instead of the values and direct subkeys of this key
+ * @param {number=} options.debounce - report changes only after the key didn't change for this many milliseconds
+ * @param {number=} options.timeout - the timeout of each poll in milliseconds, a poll that times out is reported as error
+ * @param {AbortSignal=} options.signal - a signal that stops the watcher
+ * @returns {RegistryWatcher} an EventEmitter, call its <code>stop</code> method to stop watching
+ *
+ * @example
+ * var watcher = regKey.watch({ interval: 500, recursive: true });
+ * watcher.on('valueChanged', function (item, previous) {
+ *   console.log(item.key, item.name, previous.value, '->', item.value);
+ * });
+ */
+Registry.prototype.watch = function watch (options) {
+  options = options || {};
+  checkCallOptions(options);
+  return new RegistryWatcher(this, options);
+};
+
+/**
+ * A JSON-serializable snapshot of a registry key, returned by {@link Registry#snapshot}.
+ * @typedef {object} RegistrySnapshot
+ * @property {string=} path - the full path of the key, only set for the root of the snapshot
+ * @property {string=} name - the name of the key, only set for subkeys
+ * @property {array} values - the values of the key as objects with <code>name</code>, <code>type</code> and <code>data</code>.
+ *   The data is stored as for {@link Registry#set}: REG_DWORD as number, REG_QWORD as decimal string, REG_BINARY and REG_NONE
+ *   as hex string, REG_MULTI_SZ as array of strings and all other types as string.
+ * @property {array} keys - the {@link RegistrySnapshot} objects of the subkeys
+ */
+
+/*
+ * Converts the decoded data of a registry item into plain JSON data
+ */
+function plainData(type, data) {
+  switch (type) {
+    case REG_QWORD:
+      return data.toString();
+    case REG_BINARY:
+    case REG_NONE:
+    case REG_RESOURCE_LIST:
+    case REG_FULL_RESOURCE_DESCRIPTOR:
+    case REG_RESOURCE_REQUIREMENTS_LIST:
+      return data.toString('hex');
+    default:
+      return data;
+  }
+}
+
+/*
+ * Returns true if the item is the placeholder REG prints for a default value that isn't set
+ */
+function isUnsetDefault(item) {
+  return parser.isUnsetDefault(item.name, item.type, item.value);
+}
+
+/*
+ * Converts a tree returned by Registry#tree into a snapshot node, without the placeholder of an unset default value
+ */
+function snapshotNode(node) {
+  return {
+    values: node.values.filter(function (item) { return !isUnsetDefault(item); }).map(function (item) {
+      return {
+        name: parser.valueName(item.name),
+        type: item.type,
+        data: plainData(item.type, item.data)
+      };
+    }),
+    keys: node.keys.map(function (child) {
+      var result = snapshotNode(child);
+      result.name = child.key.key.substring(child.key.key.lastIndexOf('\\') + 1);
+      return result;
+    })
+  };
+}
+
+/*
+ * Calls the given tasks one after another, stops at the first error
+ */
+function series(tasks, cb) {
+  (function next(i) {
+    if (i >= tasks.length)
+      return cb(null);
+    tasks[i](function (err) {
+      if (err)
+        return cb(err);
+      next(i + 1);
+    });
+  })(0);
+}
+
+/**
+ * Captures this key and all of its subkeys with their typed values in a plain object that can be stored as JSON.
+ * @param {CallOptions=} options - the timeout and signal of the call
+ * @param {function (err, snapshot)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @param {RegistrySnapshot=} cb.snapshot - the snapshot of this key
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ */
+Registry.prototype.snapshot = function snapshot (options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.snapshot.bind(this, options));
+
+  if (enterCall(options, cb, this.snapshot.bind(this, options)))
+    return this;
+
+  var self = this;
+
+  this.tree(function (err, tree) {
+    var result;
+
+    if (err)
+      return cb(err, null);
+
+    result = snapshotNode(tree);
+    result.path = fullPath(self);
+    cb(null, result);
   });
 
   return this;
 };
 
 /**
- * Gets a named value from this registry key.
- * @param {string} name - the value name, use {@link Registry.DEFAULT_VALUE} or an empty string for the default value
- * @param {function (err, item)} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @param {RegistryItem=} cb.item - the retrieved registry item
- * @returns {Registry} this registry key object
+ * Computes the changes that turn one snapshot into another. Unlike the diff of {@link Registry#compare} all keys
+ * and values of added and removed subkeys are listed, and <code>from</code> and <code>to</code> of the value entries
+ * are plain objects with <code>type</code> and <code>data</code> as in the snapshot, so the diff can be stored as JSON
+ * and replayed by {@link Registry#apply}.
+ * @param {RegistrySnapshot} a - the snapshot before the changes
+ * @param {RegistrySnapshot} b - the snapshot after the changes
+ * @returns {RegistryDiff} the changes, with key paths relative to the roots of the snapshots
  */
-Registry.prototype.get = function get (name, cb) {
+Registry.diff = function diff (a, b) {
 
-  if (typeof cb !== 'function')
-    throw new TypeError('must specify a callback');
+  if (!a || !b || !Array.isArray(a.values) || !Array.isArray(b.values))
+    throw new Error('illegal snapshot specified.');
 
-  var args = ['QUERY', this.path];
-  if (name == '')
-    args.push('/ve');
-  else
-    args = args.concat(['/v', name]);
+  var result = mkDiff();
+
+  function byName(list) {
+    var map = {};
+    list.forEach(function (entry) {
+      map[entry.name.toLowerCase()] = entry;
+    });
+    return map;
+  }
+
+  function plain(value) {
+    return { type: value.type, data: value.data };
+  }
+
+  function pushValue(list, key, value, from, to) {
+    result.equal = false;
+    list.push({ key: key, name: value.name, from: from, to: to });
+  }
+
+  // lists a key that exists on one side only with all of its subkeys and values
+  function pushKey(keys, values, node, path, added) {
+    result.equal = false;
+    keys.push(path);
+    node.values.forEach(function (value) {
+      pushValue(values, path, value, added ? null : plain(value), added ? plain(value) : null);
+    });
+    node.keys.forEach(function (child) {
+      pushKey(keys, values, child, path + '\\' + child.name, added);
+    });
+  }
+
+  function diffNode(a, b, path) {
+    var valuesA = byName(a.values)
+    ,   valuesB = byName(b.values)
+    ,   keysA = byName(a.keys)
+    ,   keysB = byName(b.keys)
+
+    a.values.forEach(function (value) {
+      var match = valuesB[value.name.toLowerCase()];
+      if (!match)
+        pushValue(result.values.removed, path, value, plain(value), null);
+      else if (match.type != value.type || JSON.stringify(match.data) != JSON.stringify(value.data))
+        pushValue(result.values.changed, path, value, plain(value), plain(match));
+    });
+    b.values.forEach(function (value) {
+      if (!valuesA.hasOwnProperty(value.name.toLowerCase()))
+        pushValue(result.values.added, path, value, null, plain(value));
+    });
+
+    a.keys.forEach(function (child) {
+      var match = keysB[child.name.toLowerCase()];
+      if (match)
+        diffNode(child, match, path + '\\' + child.name);
+      else
+        pushKey(result.keys.removed, result.values.removed, child, path + '\\' + child.name, false);
+    });
+    b.keys.forEach(function (child) {
+      if (!keysA.hasOwnProperty(child.name.toLowerCase()))
+        pushKey(result.keys.added, result.values.added, child, path + '\\' + child.name, true);
+    });
+  }
+
+  diffNode(a, b, '');
+
+  return result;
+};
+
+/**
+ * Replays a diff returned by {@link Registry.diff} onto this key: removed values and keys are deleted, added keys
+ * are created and added and changed values are set. With <code>reverse</code> the diff is undone instead.
+ * @param {RegistryDiff} diff - the changes to apply, with key paths relative to this key
+ * @param {object=} options - apply options
+ * @param {boolean=} options.reverse - undo the changes of the diff
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the call, see {@link CallOptions}
+ * @param {function (err)=} cb - callback function
+ * @param {RegistryError=} cb.err - error object or null if successful
+ * @returns {Registry|Promise} this registry key object, or a promise if no callback was given
+ *
+ * @example
+ * var before = await regKey.snapshot();
+ * // run the installer
+ * var footprint = Registry.diff(before, await regKey.snapshot());
+ * // undo the installation
+ * await regKey.apply(footprint, { reverse: true });
+ */
+Registry.prototype.apply = function apply (diff, options, cb) {
+
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof cb !== 'function')
+    return toPromise(this.apply.bind(this, diff, options));
 
-  pushArch(args, this.arch);
+  if (enterCall(options, cb, this.apply.bind(this, diff, options)))
+    return this;
 
-  var proc = spawn(getRegExePath(), args, {
-        cwd: undefined,
-        env: process.env,
-        shell: true,
-        windowsHide: true,
-        stdio: [ 'ignore', 'pipe', 'pipe' ]
-      })
-  ,   buffer = ''
-  ,   self = this
-  ,   error = null // null means no error previously reported.
+  if (!diff || !diff.keys || !diff.values)
+    throw new Error('illegal diff specified.');
 
-  var output = captureOutput(proc);
+  var self = this
+  ,   reverse = !!options.reverse
+  ,   addedKeys = reverse ? diff.keys.removed : diff.keys.added
+  ,   removedKeys = reverse ? diff.keys.added : diff.keys.removed
+  ,   addedValues = reverse ? diff.values.removed : diff.values.added
+  ,   removedValues = reverse ? diff.values.added : diff.values.removed
+  ,   tasks = []
 
-  proc.on('close', function (code) {
-    if (error) {
-      return;
-    } else if (code !== 0) {
-      log('process exited with code ' + code);
-      cb(mkErrorMsg('QUERY', code, output), null);
-    } else {
-      var items = []
-      ,   result = null
-      ,   lines = buffer.split('\n')
-      ,   lineNumber = 0
-
-      for (var i = 0, l = lines.length; i < l; i++) {
-        var line = lines[i].trim();
-        if (line.length > 0) {
-          log(line);
-          if (lineNumber != 0) {
-             items.push(line);
-          }
-          ++lineNumber;
-        }
-      }
+  function keyOf(relative) {
+    return derive(self, self.key + relative);
+  }
 
-      //Get last item - so it works in XP where REG QUERY returns with a header
-      var item = items[items.length-1] || ''
-      ,   match = ITEM_PATTERN.exec(item)
-      ,   name
-      ,   type
-      ,   value
-
-      if (match) {
-        name = match[1].trim();
-        type = match[2].trim();
-        value = match[3];
-        result = new RegistryItem(self.host, self.hive, self.key, name, type, value, self.arch);
-      }
+  // true if the given key or one of its parents is removed, which removes its values and subkeys as well
+  function isRemoved(relative, strict) {
+    return removedKeys.some(function (path) {
+      var lower = relative.toLowerCase();
+      path = path.toLowerCase();
+      return (!strict && lower == path) || lower.indexOf(path + '\\') == 0;
+    });
+  }
 
-      cb(null, result);
-    }
+  removedValues.forEach(function (entry) {
+    if (!isRemoved(entry.key, false))
+      tasks.push(function (done) { keyOf(entry.key).remove(entry.name, done); });
   });
 
-  proc.stdout.on('data', function (data) {
-    buffer += data.toString();
+  removedKeys.forEach(function (path) {
+    if (!isRemoved(path, true))
+      tasks.push(function (done) { keyOf(path).destroy(done); });
   });
 
-  proc.on('error', function(err) {
-    error = err;
-    cb(err);
+  addedKeys.slice().sort(function (a, b) { return a.length - b.length; }).forEach(function (path) {
+    tasks.push(function (done) { keyOf(path).create(done); });
+  });
+
+  addedValues.concat(diff.values.changed).forEach(function (entry) {
+    var value = reverse ? entry.from : entry.to;
+    tasks.push(function (done) {
+      // set throws for types REG ADD can't write, e.g. REG_LINK
+      try {
+        keyOf(entry.key).set(entry.name, value.type, value.data, done);
+      } catch (e) {
+        done(e);
+      }
+    });
+  });
+
+  series(tasks, function (err) {
+    cb(err || null);
   });
 
   return this;
 };
 
 /**
- * Sets a named value in this registry key, overwriting an already existing value.
- * @param {string} name - the value name, use {@link Registry.DEFAULT_VALUE} or an empty string for the default value
- * @param {string} type - the value type
- * @param {string} value - the value
- * @param {function (err)} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @returns {Registry} this registry key object
+ * Creates an Error object that describes a failed operation of a {@link RegistryBatch} and the outcome of its rollback.
+ * This contructor is private. Objects of this type are created internally and returned in the <code>err</code> parameter of {@link RegistryBatch#run}.
+ *
+ * @private
+ * @class
+ *
+ * @param {object} operation - the failed operation
+ * @param {Error} cause - the error of the failed operation
+ * @param {array} rollbackErrors - the errors that occurred while rolling back the applied operations
+ *
  */
-Registry.prototype.set = function set (name, type, value, cb) {
+function BatchError(operation, cause, rollbackErrors) {
+  if (!(this instanceof BatchError))
+    return new BatchError(operation, cause, rollbackErrors);
 
-  if (typeof cb !== 'function')
-    throw new TypeError('must specify a callback');
+  Error.captureStackTrace(this, BatchError);
 
-  if (REG_TYPES.indexOf(type) == -1)
-    throw Error('illegal type specified.');
+  var message = 'batch operation ' + operation.index + ' (' + operation.type + ' ' + fullPath(operation.key) +
+        (operation.name === undefined ? '' : ' ' + operation.name) + ') failed: ' + cause.message +
+        (rollbackErrors.length == 0 ? '' : ' (rollback failed: ' + rollbackErrors.length + ' error(s))')
 
-  var args = ['ADD', this.path];
-  if (name == '')
-    args.push('/ve');
-  else
-    args = args.concat(['/v', name]);
+  /**
+   * The error name.
+   * @readonly
+   * @member {string} BatchError#name
+   */
+  this.__defineGetter__('name', function () { return BatchError.name; });
 
-  args = args.concat(['/t', type, '/d', value, '/f']);
+  /**
+   * The error message.
+   * @readonly
+   * @member {string} BatchError#message
+   */
+  this.__defineGetter__('message', function () { return message; });
 
-  pushArch(args, this.arch);
+  /**
+   * The failed operation, an object with its <code>index</code> in the batch, its <code>type</code> (set, remove, create or destroy),
+   * the registry <code>key</code> and for values the <code>name</code>.
+   * @readonly
+   * @member {object} BatchError#operation
+   */
+  this.__defineGetter__('operation', function () { return operation; });
 
-  var proc = spawn(getRegExePath(), args, {
-        cwd: undefined,
-        env: process.env,
-        shell: true,
-        windowsHide: true,
-        stdio: [ 'ignore', 'pipe', 'pipe' ]
-      })
-  ,   error = null // null means no error previously reported.
+  /**
+   * The error of the failed operation.
+   * @readonly
+   * @member {Error} BatchError#cause
+   */
+  this.__defineGetter__('cause', function () { return cause; });
 
-  var output = captureOutput(proc);
+  /**
+   * True if all operations applied before the failed one were rolled back.
+   * @readonly
+   * @member {boolean} BatchError#rolledBack
+   */
+  this.__defineGetter__('rolledBack', function () { return rollbackErrors.length == 0; });
 
-  proc.on('close', function (code) {
-    if(error) {
-      return;
-    } else if (code !== 0) {
-      log('process exited with code ' + code);
-      cb(mkErrorMsg('ADD', code, output, null));
-    } else {
-      cb(null);
-    }
-  });
+  /**
+   * The errors that occurred while rolling back, empty if the rollback succeeded.
+   * @readonly
+   * @member {array} BatchError#rollbackErrors
+   */
+  this.__defineGetter__('rollbackErrors', function () { return rollbackErrors; });
 
-  proc.stdout.on('data', function (data) {
-    // simply discard output
-    log(''+data);
-  });
+}
 
-  proc.on('error', function(err) {
-    error = err;
-    cb(err);
+util.inherits(BatchError, Error);
+
+/**
+ * The error type reported by {@link RegistryBatch#run}.
+ * @type {function}
+ */
+Registry.BatchError = BatchError;
+
+/*
+ * Retrieves the current state of a value: whether its key exists and the item, which is null if the value doesn't exist
+ */
+function captureValue(key, name, cb) {
+  key.keyExists(function (err, exists) {
+    if (err || !exists)
+      return cb(err || null, { keyExisted: false, item: null });
+
+    key.get(name, function (err, item) {
+      if (err && !(err instanceof ValueNotFoundError))
+        return cb(err, null);
+      cb(null, { keyExisted: true, item: (err || isUnsetDefault(item)) ? null : item });
+    });
   });
+}
 
-  return this;
-};
+/*
+ * Calls fn with a callback that is only called once, a synchronous throw of fn is passed to the callback,
+ * e.g. set throws for types REG ADD can't write
+ */
+function guarded(fn, cb) {
+  var called = false;
+
+  function done() {
+    if (called)
+      return;
+    called = true;
+    cb.apply(null, arguments);
+  }
+
+  try {
+    fn(done);
+  } catch (e) {
+    done(e);
+  }
+}
+
+/*
+ * Restores the state of a value retrieved by captureValue
+ */
+function restoreValue(key, name, state, cb) {
+  if (!state.keyExisted)
+    key.destroy(cb);
+  else if (state.item)
+    key.set(name, state.item.type, state.item.data, cb);
+  else
+    key.remove(name, cb);
+}
 
 /**
- * Remove a named value from this registry key. If name is empty, sets the default value of this key.
- * Note: This key must be already existing.
- * @param {string} name - the value name, use {@link Registry.DEFAULT_VALUE} or an empty string for the default value
- * @param {function (err)} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @returns {Registry} this registry key object
+ * Collects registry operations to run them in order and to roll back the applied ones if one of them fails.
+ * The state touched by each operation is captured right before it runs.
+ * This contructor is private. Objects of this type are created and returned by {@link Registry.batch}.
+ *
+ * @private
+ * @class
  */
-Registry.prototype.remove = function remove (name, cb) {
+function RegistryBatch () {
 
-  if (typeof cb !== 'function')
-    throw new TypeError('must specify a callback');
+  if (!(this instanceof RegistryBatch))
+    return new RegistryBatch();
 
-  var args = name ? ['DELETE', this.path, '/f', '/v', name] : ['DELETE', this.path, '/f', '/ve'];
+  /* private members */
+  var _operations = []  // the collected operations
+  ,   self = this
 
-  pushArch(args, this.arch);
+  /* getters/setters */
 
-  var proc = spawn(getRegExePath(), args, {
-        cwd: undefined,
-        env: process.env,
-        shell: true,
-        windowsHide: true,
-        stdio: [ 'ignore', 'pipe', 'pipe' ]
-      })
-  ,   error = null // null means no error previously reported.
+  /**
+   * The number of collected operations.
+   * @readonly
+   * @member {number} RegistryBatch#length
+   */
+  this.__defineGetter__('length', function () { return _operations.length; });
+
+  function add(type, key, name, capture, run, rollback) {
+    if (typeof key === 'string')
+      key = Registry.fromPath(key);
+    if (!(key instanceof Registry))
+      throw new Error('illegal key specified.');
+
+    _operations.push({
+      info: { index: _operations.length, type: type, key: key, name: name },
+      capture: capture.bind(null, key),
+      run: run.bind(null, key),
+      rollback: rollback.bind(null, key)
+    });
+    return self;
+  }
 
-  var output = captureOutput(proc);
+  /**
+   * Adds writing a value, see {@link Registry#set}.
+   * @method RegistryBatch#set
+   * @param {(Registry|string)} key - the registry key or its path
+   * @param {string} name - the value name
+   * @param {string} type - the value type
+   * @param {*} value - the value
+   * @param {object=} options - set options
+   * @returns {RegistryBatch} this batch
+   */
+  this.set = function set (key, name, type, value, options) {
+    return add('set', key, name,
+      function (key, cb) { captureValue(key, name, cb); },
+      function (key, cb) { key.set(name, type, value, options || {}, cb); },
+      function (key, state, cb) { restoreValue(key, name, state, cb); });
+  };
 
-  proc.on('close', function (code) {
-    if(error) {
-      return;
-    } else if (code !== 0) {
-      log('process exited with code ' + code);
-      cb(mkErrorMsg('DELETE', code, output), null);
-    } else {
-      cb(null);
-    }
-  });
+  /**
+   * Adds removing a value, see {@link Registry#remove}.
+   * @method RegistryBatch#remove
+   * @param {(Registry|string)} key - the registry key or its path
+   * @param {string} name - the value name
+   * @returns {RegistryBatch} this batch
+   */
+  this.remove = function remove (key, name) {
+    return add('remove', key, name,
+      function (key, cb) { captureValue(key, name, cb); },
+      function (key, cb) { key.remove(name, cb); },
+      function (key, state, cb) { restoreValue(key, name, state, cb); });
+  };
 
-  proc.stdout.on('data', function (data) {
-    // simply discard output
-    log(''+data);
-  });
+  /**
+   * Adds creating a key, see {@link Registry#create}.
+   * @method RegistryBatch#create
+   * @param {(Registry|string)} key - the registry key or its path
+   * @returns {RegistryBatch} this batch
+   */
+  this.create = function create (key) {
+    return add('create', key, undefined,
+      function (key, cb) { key.keyExists(cb); },
+      function (key, cb) { key.create(cb); },
+      function (key, existed, cb) {
+        if (existed)
+          return cb(null);
+        key.destroy(cb);
+      });
+  };
 
-  proc.on('error', function(err) {
-    error = err;
-    cb(err);
-  });
+  /**
+   * Adds destroying a key with all of its subkeys, see {@link Registry#destroy}. The key is captured with {@link Registry#snapshot}.
+   * @method RegistryBatch#destroy
+   * @param {(Registry|string)} key - the registry key or its path
+   * @returns {RegistryBatch} this batch
+   */
+  this.destroy = function destroy (key) {
+    return add('destroy', key, undefined,
+      function (key, cb) {
+        key.keyExists(function (err, exists) {
+          if (err || !exists)
+            return cb(err || null, null);
+          key.snapshot(cb);
+        });
+      },
+      function (key, cb) { key.destroy(cb); },
+      function (key, snapshot, cb) {
+        if (!snapshot)
+          return cb(null);
+        key.create(function (err) {
+          if (err)
+            return cb(err);
+          key.apply(Registry.diff({ values: [], keys: [] }, snapshot), cb);
+        });
+      });
+  };
 
-  return this;
-};
+  /**
+   * Runs the collected operations in order. If one fails, the operations applied before are rolled back in reverse order.
+   * The rollback ignores the signal of the options, so an aborted batch is rolled back as well.
+   * @method RegistryBatch#run
+   * @param {CallOptions=} options - the timeout and signal of the run
+   * @param {function (err)=} cb - callback function
+   * @param {BatchError=} cb.err - error object or null if all operations succeeded
+   * @returns {RegistryBatch|Promise} this batch, or a promise if no callback was given
+   */
+  this.run = function run (options, cb) {
 
-/**
- * Remove all subkeys and values (including the default value) from this registry key.
- * @param {function (err)} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @returns {Registry} this registry key object
- */
-Registry.prototype.clear = function clear (cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
 
-  if (typeof cb !== 'function')
-    throw new TypeError('must specify a callback');
+    options = options || {};
 
-  var args = ['DELETE', this.path, '/f', '/va'];
+    if (typeof cb !== 'function')
+      return toPromise(self.run.bind(self, options));
 
-  pushArch(args, this.arch);
+    if (enterCall(options, cb, self.run.bind(self, options)))
+      return self;
 
-  var proc = spawn(getRegExePath(), args, {
-        cwd: undefined,
-        env: process.env,
-        shell: true,
-        windowsHide: true,
-        stdio: [ 'ignore', 'pipe', 'pipe' ]
-      })
-  ,   error = null // null means no error previously reported.
+    var operations = _operations.slice()
+    ,   applied = []  // the applied operations with their captured state
 
-  var output = captureOutput(proc);
+    function rollback(failed, cause) {
+      var errors = [];
 
-  proc.on('close', function (code) {
-    if(error) {
-      return;
-    } else if (code !== 0) {
-      log('process exited with code ' + code);
-      cb(mkErrorMsg("DELETE", code, output), null);
-    } else {
-      cb(null);
+      ignoreSignals(function () {
+        (function next(i) {
+          if (i < 0)
+            return cb(new BatchError(failed.info, cause, errors));
+
+          guarded(applied[i].operation.rollback.bind(null, applied[i].state), function (err) {
+            if (err)
+              errors.push(err);
+            next(i - 1);
+          });
+        })(applied.length - 1);
+      });
     }
-  });
 
-  proc.stdout.on('data', function (data) {
-    // simply discard output
-    log(''+data);
-  });
+    (function next(i) {
+      if (i >= operations.length)
+        return cb(null);
 
-  proc.on('error', function(err) {
-    error = err;
-    cb(err);
-  });
+      var operation = operations[i];
 
-  return this;
-};
+      guarded(operation.capture, function (err, state) {
+        if (err)
+          return rollback(operation, err);
+
+        guarded(operation.run, function (err) {
+          if (err)
+            return rollback(operation, err);
+
+          applied.push({ operation: operation, state: state });
+          next(i + 1);
+        });
+      });
+    })(0);
+
+    return self;
+  };
+
+}
 
 /**
- * Alias for the clear method to keep it backward compatible.
- * @method
- * @deprecated Use {@link Registry#clear} or {@link Registry#destroy} in favour of this method.
- * @param {function (err)} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @returns {Registry} this registry key object
+ * Creates a batch to collect set, remove, create and destroy operations that are run in order and rolled back if one of them fails.
+ * Note that this is no real transaction: other processes can see the intermediate state.
+ * @returns {RegistryBatch} an empty batch
+ *
+ * @example
+ * Registry.batch()
+ *   .set(appKey, 'Version', Registry.REG_SZ, '2.0')
+ *   .set('HKLM\\Software\\MyApp', 'InstallDir', Registry.REG_SZ, 'C:\\MyApp')
+ *   .destroy(appKey.child('Legacy'))
+ *   .run(function (err) {
+ *     if (err) console.log(err.operation.index, err.rolledBack);
+ *   });
  */
-Registry.prototype.erase = Registry.prototype.clear;
+Registry.batch = function batch () {
+  return new RegistryBatch();
+};
 
 /**
- * Delete this key and all subkeys from the registry.
- * @param {function (err)} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @returns {Registry} this registry key object
+ * The outcome of {@link Registry.across}, the hosts are identified by their hostnames.
+ * @typedef {object} AcrossResult
+ * @property {object} results - the results of the hosts that succeeded, keyed by hostname
+ * @property {object} errors - the errors of the hosts that failed, keyed by hostname
+ * @property {array} succeeded - the hostnames of the hosts that succeeded, in the order they were given
+ * @property {array} failed - the hostnames of the hosts that failed, in the order they were given
  */
-Registry.prototype.destroy = function destroy (cb) {
-
-  if (typeof cb !== 'function')
-    throw new TypeError('must specify a callback');
-
-  var args = ['DELETE', this.path, '/f'];
-
-  pushArch(args, this.arch);
 
-  var proc = spawn(getRegExePath(), args, {
-        cwd: undefined,
-        env: process.env,
-        shell: true,
-        windowsHide: true,
-        stdio: [ 'ignore', 'pipe', 'pipe' ]
-      })
-  ,   error = null // null means no error previously reported.
+/**
+ * Runs fn on the same key of many remote hosts, a limited number of hosts at a time. fn either calls its done callback
+ * or returns a promise. A failing host doesn't stop the others, its error is reported in the result instead, so the
+ * callback only fails if the arguments are wrong.
+ * @param {array} hosts - the hostnames, duplicates are run once
+ * @param {(Registry|string)} template - the key to run fn on, its host is replaced by each of the hosts
+ * @param {object=} options - options
+ * @param {number=} options.concurrency - the maximum number of hosts fn runs on at the same time, defaults to {@link Registry.defaults}.concurrency
+ * @param {number=} options.hostTimeout - the time in milliseconds fn may take per host, measured from the start of its first
+ *   REG command, before its commands are aborted and the host fails with a {@link TimeoutError}, defaults to 0 (no timeout)
+ * @param {number=} options.timeout - the timeout of each REG command, see {@link CallOptions}
+ * @param {AbortSignal=} options.signal - a signal that aborts the commands on all hosts, see {@link CallOptions}
+ * @param {function (key, done)} fn - called with the key on each host
+ * @param {function (err, result)=} cb - callback function
+ * @param {Error=} cb.err - error object or null if fn ran on all hosts, even if some of them failed
+ * @param {AcrossResult=} cb.result - the results and errors of the hosts
+ * @returns {undefined|Promise} a promise if no callback was given
+ *
+ * @example
+ * Registry.across([ 'ws01', 'ws02', 'ws03' ], 'HKLM\\Software\\MyApp', { hostTimeout: 10000 }, function (key) {
+ *   return key.get('Version');
+ * }).then(function (outcome) {
+ *   outcome.succeeded.forEach(function (host) { console.log(host, outcome.results[host].value); });
+ *   outcome.failed.forEach(function (host) { console.log(host, outcome.errors[host].name); });
+ * });
+ */
+Registry.across = function across (hosts, template, options, fn, cb) {
 
-  var output = captureOutput(proc);
+  if (typeof options === 'function') {
+    cb = fn;
+    fn = options;
+    options = {};
+  }
 
-  proc.on('close', function (code) {
-    if (error) {
-      return;
-    } else if (code !== 0) {
-      log('process exited with code ' + code);
-      cb(mkErrorMsg('DELETE', code, output), null);
-    } else {
-      cb(null);
-    }
-  });
+  options = options || {};
 
-  proc.stdout.on('data', function (data) {
-    // simply discard output
-    log(''+data);
-  });
+  if (!Array.isArray(hosts))
+    throw new Error('must specify an array of hosts.');
 
-  proc.on('error', function(err) {
-    error = err;
-    cb(err);
+  hosts.forEach(function (host) {
+    if (typeof host !== 'string' || host.replace(/^\\\\/, '').length == 0)
+      throw new Error('illegal host specified: ' + host);
   });
 
-  return this;
-};
+  if (typeof template === 'string')
+    template = Registry.fromPath(template);
+  if (!(template instanceof Registry))
+    throw new Error('illegal key specified.');
 
-/**
- * Create this registry key. Note that this is a no-op if the key already exists.
- * @param {function (err)} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @returns {Registry} this registry key object
- */
-Registry.prototype.create = function create (cb) {
+  if (typeof fn !== 'function')
+    throw new Error('must specify a function to run on each host.');
 
-  if (typeof cb !== 'function')
-    throw new TypeError('must specify a callback');
+  if (options.concurrency !== undefined && (typeof options.concurrency !== 'number' || !(options.concurrency >= 1)))
+    throw new Error('illegal concurrency specified.');
 
-  var args = ['ADD', this.path, '/f'];
+  if (options.hostTimeout !== undefined && (typeof options.hostTimeout !== 'number' || !(options.hostTimeout >= 0)))
+    throw new Error('illegal host timeout specified.');
 
-  pushArch(args, this.arch);
+  if (options.hostTimeout > 0 && !AsyncLocalStorage)
+    throw new Error('host timeouts require Node.js 12.17 or later.');
 
-  var proc = spawn(getRegExePath(), args, {
-        cwd: undefined,
-        env: process.env,
-        shell: true,
-        windowsHide: true,
-        stdio: [ 'ignore', 'pipe', 'pipe' ]
-      })
-  ,   error = null // null means no error previously reported.
+  if (typeof cb !== 'function')
+    return toPromise(Registry.across.bind(Registry, hosts, template, options, fn));
+
+  if (enterCall(options, cb, Registry.across.bind(Registry, hosts, template, options, fn)))
+    return;
+
+  var names = []      // the unique hostnames
+  ,   results = {}
+  ,   errors = {}
+  ,   concurrency = options.concurrency || defaults.concurrency
+  ,   hostTimeout = options.hostTimeout || 0
+  ,   started = 0
+  ,   running = 0
+
+  hosts.forEach(function (host) {
+    host = host.replace(/^\\\\/, '');
+    if (names.indexOf(host) == -1)
+      names.push(host);
+  });
 
-  var output = captureOutput(proc);
+  function finished() {
+    cb(null, {
+      results: results,
+      errors: errors,
+      succeeded: names.filter(function (host) { return !errors.hasOwnProperty(host); }),
+      failed: names.filter(function (host) { return errors.hasOwnProperty(host); })
+    });
+  }
 
-  proc.on('close', function (code) {
-    if (error) {
-      return;
-    } else if (code !== 0) {
-      log('process exited with code ' + code);
-      cb(mkErrorMsg('ADD', code, output), null);
-    } else {
-      cb(null);
+  function runHost(host) {
+    var signal = new CallSignal()  // aborts the commands of the host once it timed out
+    ,   outer = callContext.getStore()
+    ,   reported = false
+    ,   timer = null
+
+    function done(err, result) {
+      if (reported)
+        return;
+      reported = true;
+      clearTimeout(timer);
+
+      if (err)
+        errors[host] = err;
+      else
+        results[host] = result;
+
+      running--;
+      next();
     }
-  });
 
-  proc.stdout.on('data', function (data) {
-    // simply discard output
-    log(''+data);
-  });
+    // the host timeout starts with the first command of the host, not while it waits for the scheduler
+    function start() {
+      if (timer || reported)
+        return;
+      timer = setTimeout(function () {
+        var err = new TimeoutError('host ' + host + ' timed out after ' + hostTimeout + ' ms.', {}, hostTimeout);
 
-  proc.on('error', function(err) {
-    error = err;
-    cb(err);
-  });
+        done(err);
+        signal.abort(err);
+      }, hostTimeout);
+    }
 
-  return this;
-};
+    function run(done) {
+      var returned;
 
-/**
- * Checks if this key already exists.
- * @param {function (err, exists)} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @param {boolean=} cb.exists - true if a registry key with this name already exists
- * @returns {Registry} this registry key object
- */
-Registry.prototype.keyExists = function keyExists (cb) {
+      try {
+        returned = fn(derive(template, template.key, host), done);
+      } catch (e) {
+        return done(e);
+      }
 
-  this.values(function (err, items) {
-    if (err) {
-      // process should return with code 1 if key not found
-      if (err.code == 1) {
-        return cb(null, false);
+      if (returned && typeof returned.then === 'function') {
+        returned.then(function (result) {
+          done(null, result);
+        }, function (err) {
+          done(err || new Error('host function failed.'));
+        });
       }
-      // other error
-      return cb(err);
     }
-    cb(null, true);
-  });
 
-  return this;
-};
+    if (!(hostTimeout > 0))
+      return run(done);
 
-/**
- * Checks if a value with the given name already exists within this key.
- * @param {string} name - the value name, use {@link Registry.DEFAULT_VALUE} or an empty string for the default value
- * @param {function (err, exists)} cb - callback function
- * @param {ProcessUncleanExitError=} cb.err - error object or null if successful
- * @param {boolean=} cb.exists - true if a value with the given name was found in this key
- * @returns {Registry} this registry key object
- */
-Registry.prototype.valueExists = function valueExists (name, cb) {
+    callContext.run({
+      options: null,
+      timeout: outer ? outer.timeout : undefined,
+      signals: (outer ? outer.signals : []).concat([ signal ]),
+      onStart: start
+    }, run, bindCall(done));
+  }
 
-  this.get(name, function (err, item) {
-    if (err) {
-      // process should return with code 1 if value not found
-      if (err.code == 1) {
-        return cb(null, false);
-      }
-      // other error
-      return cb(err);
+  function next() {
+    if (started == names.length && running == 0)
+      return finished();
+
+    while (started < names.length && running < concurrency) {
+      running++;
+      runHost(names[started++]);
     }
-    cb(null, true);
-  });
+  }
 
-  return this;
+  next();
 };
 
 module.exports = Registry;
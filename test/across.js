@@ -0,0 +1,150 @@
+var test  = require('unit.js');
+
+describe('across', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+
+  // creates an executor for remote hosts that answers REG QUERY with the given version per host,
+  // hosts without version are unreachable and hosts with version null never answer, the others answer after delay ms
+  function network(versions, log, delay) {
+    return function (args, cb) {
+      var host = /^\\\\([^\\]+)\\/.exec(args[1])[1]
+      ,   version = versions[host]
+      ,   timer
+
+      log.push(host);
+
+      if (version === null)
+        return { kill: function kill () {} };
+
+      timer = setTimeout(function () {
+        if (version === undefined)
+          return cb(null, { stdout: '', stderr: 'ERROR: The network path was not found.\r\n', code: 1 });
+        cb(null, {
+          stdout: '\r\n' + args[1].replace(/HKLM/, 'HKEY_LOCAL_MACHINE') + '\r\n    Version    REG_SZ    ' + version + '\r\n\r\n',
+          stderr: '',
+          code: 0
+        });
+      }, delay || 5);
+
+      return { kill: function kill () { clearTimeout(timer); } };
+    };
+  }
+
+  function template(executor) {
+    return new Registry({ hive: Registry.HKLM, key: '\\Software\\MyApp', executor: executor });
+  }
+
+  it('runs on each host and reports results and errors by hostname', async function () {
+
+    var log = []
+    ,   outcome = await Registry.across([ 'ws01', 'ws02', '\\\\ws03', 'ws01' ], template(network({ ws01: '1.0', ws03: '2.0' }, log)), function (key) {
+          return key.get('Version');
+        })
+
+    test.array(outcome.succeeded)
+    . is([ 'ws01', 'ws03' ]);
+    test.array(outcome.failed)
+    . is([ 'ws02' ]);
+
+    test.string(outcome.results.ws01.value)
+    . is('1.0');
+    test.string(outcome.results.ws03.host)
+    . is('ws03');
+    test.object(outcome.errors.ws02)
+    . isInstanceOf(Registry.RemoteHostUnreachableError);
+
+    test.number(log.length)
+    . is(3);
+
+  });
+
+  it('limits the number of hosts at a time', function (done) {
+
+    var running = 0
+    ,   maximum = 0
+
+    Registry.across([ 'a', 'b', 'c', 'd', 'e' ], 'HKLM\\Software\\MyApp', { concurrency: 2 }, function (key, done) {
+      running++;
+      maximum = Math.max(maximum, running);
+      setTimeout(function () {
+        running--;
+        done(null, key.host);
+      }, 5);
+    }, function (err, outcome) {
+      if (err)
+        return done(err);
+
+      test.number(maximum)
+      . is(2);
+      test.array(outcome.succeeded)
+      . is([ 'a', 'b', 'c', 'd', 'e' ]);
+      test.string(outcome.results.e)
+      . is('e');
+      done();
+    });
+
+  });
+
+  it('times out hosts that take too long', async function () {
+
+    var log = []
+    ,   outcome = await Registry.across([ 'fast', 'hung' ], template(network({ fast: '1.0', hung: null }, log)), { hostTimeout: 30 }, function (key) {
+          return key.get('Version');
+        })
+
+    test.array(outcome.succeeded)
+    . is([ 'fast' ]);
+    test.object(outcome.errors.hung)
+    . isInstanceOf(Registry.TimeoutError)
+    . hasProperty('timeout', 30);
+
+  });
+
+  it('starts the host timeout once the first command of the host runs', async function () {
+
+    var savedConcurrency = Registry.defaults.concurrency
+    ,   outcome
+
+    // all hosts start at once, but their commands run one after another
+    Registry.defaults.concurrency = 1;
+    try {
+      outcome = await Registry.across([ 'a', 'b', 'c' ], template(network({ a: '1', b: '2', c: '3' }, [], 25)), { concurrency: 3, hostTimeout: 40 }, function (key) {
+        return key.get('Version');
+      });
+    } finally {
+      Registry.defaults.concurrency = savedConcurrency;
+    }
+
+    test.array(outcome.succeeded)
+    . is([ 'a', 'b', 'c' ]);
+
+  });
+
+  it('reports errors thrown by the function', async function () {
+
+    var outcome = await Registry.across([ 'ws01' ], 'HKLM\\Software\\MyApp', function () {
+          throw new Error('broken');
+        })
+
+    test.string(outcome.errors.ws01.message)
+    . is('broken');
+
+  });
+
+  it('rejects invalid arguments', function () {
+
+    test.exception(function () { Registry.across('ws01', 'HKLM\\Software', function () {}); })
+    . hasMessage('must specify an array of hosts.');
+    test.exception(function () { Registry.across([ '' ], 'HKLM\\Software', function () {}); })
+    . hasMessage('illegal host specified: ');
+    test.exception(function () { Registry.across([ 'ws01' ], 42, function () {}); })
+    . hasMessage('illegal key specified.');
+    test.exception(function () { Registry.across([ 'ws01' ], 'HKLM\\Software', { concurrency: 0 }, function () {}); })
+    . hasMessage('illegal concurrency specified.');
+    test.exception(function () { Registry.across([ 'ws01' ], 'HKLM\\Software'); })
+    . hasMessage('must specify a function to run on each host.');
+
+  });
+
+}); // end - describe across
@@ -0,0 +1,201 @@
+var test  = require('unit.js');
+
+describe('batch', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   helpers = require(__dirname+'/helpers.js')
+  ,   denied = []
+  ,   fixture = helpers.recordingRegistry(function (args, cb) {
+        // simulate access denied for writes to the given paths
+        if (args[0] == 'QUERY' || denied.indexOf(args[1]) == -1)
+          return false;
+        if (denied.onDenied)
+          denied.onDenied();
+        setImmediate(function () { cb(null, { stdout: '', stderr: 'ERROR: Access is denied.\r\n', code: 1 }); });
+        return true;
+      })
+  ,   memory = fixture.memory
+  ,   executor = fixture.executor
+  ,   appKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\BatchTest', executor: executor })
+  ,   machineKey = new Registry({ hive: Registry.HKLM, key: '\\Software\\BatchTest', executor: executor })
+
+  beforeEach(async function () {
+    memory.reset();
+    denied.length = 0;
+    denied.onDenied = null;
+    await appKey.set('Name', Registry.REG_SZ, 'initial');
+    await appKey.set('Obsolete', Registry.REG_DWORD, 1);
+    await appKey.child('Legacy').set('Level', Registry.REG_DWORD, 7);
+    await appKey.join('Legacy', 'Nested').create();
+  });
+
+  it('runs the operations in order', async function () {
+
+    var batch = Registry.batch()
+      .set(appKey, 'Name', Registry.REG_SZ, 'configured')
+      .remove(appKey, 'Obsolete')
+      .create(appKey.child('Plugins'))
+      .destroy(appKey.child('Legacy'))
+
+    test.number(batch.length)
+    . is(4);
+
+    await batch.run();
+
+    test.string((await appKey.get('Name')).data)
+    . is('configured');
+    test.bool(await appKey.valueExists('Obsolete'))
+    . isFalse();
+    test.bool(await appKey.child('Plugins').keyExists())
+    . isTrue();
+    test.bool(await appKey.child('Legacy').keyExists())
+    . isFalse();
+
+  });
+
+  it('rolls back the applied operations if one fails', async function () {
+
+    var before = await appKey.snapshot()
+    ,   error = null
+
+    denied.push('HKLM\\Software\\BatchTest');
+
+    try {
+      await Registry.batch()
+        .set(appKey, 'Name', Registry.REG_SZ, 'configured')
+        .set(appKey, 'Added', Registry.REG_DWORD, 1)
+        .set(appKey.child('New'), 'Value', Registry.REG_SZ, 'x')
+        .remove(appKey, 'Obsolete')
+        .create(appKey.child('Plugins'))
+        .destroy(appKey.child('Legacy'))
+        .set(machineKey, 'Path', Registry.REG_SZ, 'C:\\MyApp')
+        .set(appKey, 'Never', Registry.REG_SZ, 'x')
+        .run();
+    } catch (e) {
+      error = e;
+    }
+
+    test.object(error)
+    . isInstanceOf(Registry.BatchError)
+    . isInstanceOf(Error);
+    test.object(error.operation)
+    . hasProperty('index', 6)
+    . hasProperty('type', 'set')
+    . hasProperty('name', 'Path');
+    test.number(error.cause.code)
+    . is(1);
+    test.bool(error.rolledBack)
+    . isTrue();
+    test.string(error.message)
+    . contains('HKLM\\Software\\BatchTest');
+
+    test.bool(Registry.diff(before, await appKey.snapshot()).equal)
+    . isTrue();
+    test.bool(await appKey.valueExists('Never'))
+    . isFalse();
+
+  });
+
+  it('reports a failed rollback', async function () {
+
+    var error = null;
+
+    // the failing write also makes the rollback of the app key fail
+    denied.push('HKLM\\Software\\BatchTest');
+    denied.onDenied = function () { denied.push('HKCU\\Software\\BatchTest'); };
+
+    try {
+      await Registry.batch()
+        .set(appKey, 'Name', Registry.REG_SZ, 'configured')
+        .set(appKey, 'Added', Registry.REG_SZ, 'x')
+        .set(machineKey, 'Path', Registry.REG_SZ, 'C:\\MyApp')
+        .run();
+    } catch (e) {
+      error = e;
+    }
+
+    test.bool(error.rolledBack)
+    . isFalse();
+    test.number(error.rollbackErrors.length)
+    . is(2);
+    test.string(error.message)
+    . contains('rollback failed');
+
+  });
+
+  // returns the app key with an executor that answers the REG QUERY commands with the given value line
+  function answering(line) {
+    return new Registry({
+      hive:     Registry.HKCU,
+      key:      '\\Software\\BatchTest',
+      executor: function (args, cb) {
+        if (args[0] != 'QUERY' || (args.indexOf('/v') == -1 && args.indexOf('/ve') == -1))
+          return executor(args, cb);
+        setImmediate(function () {
+          cb(null, { stdout: '\r\nHKEY_CURRENT_USER\\Software\\BatchTest\r\n' + line + '\r\n\r\n', stderr: '', code: 0 });
+        });
+      }
+    });
+  }
+
+  it('reports the rollback of values it can\'t write', async function () {
+
+    var error = null;
+
+    denied.push('HKLM\\Software\\BatchTest');
+
+    try {
+      await Registry.batch()
+        .set(answering('    Link    REG_LINK    \\Registry\\Machine\\SYSTEM'), 'Link', Registry.REG_SZ, 'x')
+        .set(machineKey, 'Path', Registry.REG_SZ, 'C:\\MyApp')
+        .run();
+    } catch (e) {
+      error = e;
+    }
+
+    test.number(error.rollbackErrors.length)
+    . is(1);
+    test.string(error.rollbackErrors[0].message)
+    . is('illegal type specified.');
+
+  });
+
+  it('removes a default value that wasn\'t set on rollback', async function () {
+
+    var error = null;
+
+    denied.push('HKLM\\Software\\BatchTest');
+
+    try {
+      await Registry.batch()
+        .set(appKey, Registry.DEFAULT_VALUE, Registry.REG_SZ, 'product')
+        .set(machineKey, 'Path', Registry.REG_SZ, 'C:\\MyApp')
+        .run();
+    } catch (e) {
+      error = e;
+    }
+
+    test.bool(error.rolledBack)
+    . isTrue();
+    test.bool(await appKey.valueExists(Registry.DEFAULT_VALUE))
+    . isFalse();
+
+  });
+
+  it('reports which operation failed in the callback', function (done) {
+
+    denied.push('HKCU\\Software\\BatchTest');
+
+    Registry.batch()
+      .set(appKey, 'Name', Registry.REG_SZ, 'configured')
+      .run(function (err) {
+        test.number(err.operation.index)
+        . is(0);
+        test.bool(err.rolledBack)
+        . isTrue();
+        done();
+      });
+
+  });
+
+}); // end - describe batch
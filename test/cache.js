@@ -0,0 +1,226 @@
+var test  = require('unit.js');
+
+describe('cache', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   helpers = require(__dirname+'/helpers.js')
+  ,   fixture = helpers.recordingRegistry()
+  ,   memory = fixture.memory
+  ,   calls = fixture.calls
+  ,   executor = fixture.executor
+  ,   appKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\CacheTest', executor: executor, cacheTTL: 60000 })
+  ,   uncachedKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\CacheTest', executor: executor })
+
+  // counts the REG QUERY commands that were run
+  function queries() {
+    return calls.filter(function (args) { return args[0] == 'QUERY'; }).length;
+  }
+
+  beforeEach(async function () {
+    memory.reset();
+    Registry.cache.clear();
+    await uncachedKey.set(Registry.DEFAULT_VALUE, Registry.REG_SZ, 'product');
+    await uncachedKey.set('Name', Registry.REG_SZ, 'initial');
+    await uncachedKey.child('Sub').set('Level', Registry.REG_DWORD, 1);
+    calls.length = 0;
+  });
+
+  it('serves values(), keys() and get() from a single query', async function () {
+
+    await appKey.values();
+    await appKey.keys();
+    test.string((await appKey.get('name')).data)
+    . is('initial');
+
+    test.number(queries())
+    . is(1);
+    test.number(Registry.cache.misses)
+    . is(1);
+    test.number(Registry.cache.hits)
+    . is(2);
+
+  });
+
+  it('queries the default value with /ve, since REG localizes its name', async function () {
+
+    var germanKey = new Registry({
+          hive:     Registry.HKCU,
+          key:      '\\Software\\CacheTest',
+          cacheTTL: 60000,
+          executor: function (args, cb) {
+            calls.push(args);
+            setImmediate(function () {
+              cb(null, { stdout: '\r\nHKEY_CURRENT_USER\\Software\\CacheTest\r\n    (Standard)    REG_SZ    product\r\n\r\n', stderr: '', code: 0 });
+            });
+          }
+        })
+
+    await germanKey.values();
+    test.string((await germanKey.get(Registry.DEFAULT_VALUE)).data)
+    . is('product');
+
+    test.array(calls[1])
+    . is([ 'QUERY', 'HKCU\\Software\\CacheTest', '/ve' ]);
+
+  });
+
+  it('reports missing values like REG', async function () {
+
+    var error = null;
+
+    test.bool(await appKey.valueExists('Missing'))
+    . isFalse();
+
+    try {
+      await appKey.get('Missing');
+    } catch (e) {
+      error = e;
+    }
+
+    test.object(error)
+    . isInstanceOf(Registry.ValueNotFoundError)
+    . hasProperty('code', 1);
+
+  });
+
+  it('reports values of missing keys as missing values, like without cache', async function () {
+
+    var cached = null
+    ,   uncached = null
+
+    try {
+      await appKey.child('Missing').get('Name');
+    } catch (e) {
+      cached = e;
+    }
+    try {
+      await uncachedKey.child('Missing').get('Name');
+    } catch (e) {
+      uncached = e;
+    }
+
+    test.object(uncached)
+    . isInstanceOf(Registry.ValueNotFoundError);
+    test.object(cached)
+    . isInstanceOf(Registry.ValueNotFoundError)
+    . hasProperty('code', 1)
+    . hasProperty('command', 'QUERY');
+    test.array(cached.args)
+    . is([ 'QUERY', 'HKCU\\Software\\CacheTest\\Missing', '/v', 'Name' ]);
+
+  });
+
+  it('does not cache without a TTL', async function () {
+
+    await uncachedKey.values();
+    await uncachedKey.get('Name');
+
+    test.number(queries())
+    . is(2);
+    test.number(Registry.cache.hits + Registry.cache.misses)
+    . is(0);
+
+  });
+
+  it('uses the global TTL and expires entries', async function () {
+
+    var saved = Registry.defaults.cacheTTL;
+
+    Registry.defaults.cacheTTL = 20;
+    try {
+      await uncachedKey.values();
+      await uncachedKey.values();
+      await new Promise(function (resolve) { setTimeout(resolve, 30); });
+      await uncachedKey.values();
+    } finally {
+      Registry.defaults.cacheTTL = saved;
+    }
+
+    test.number(queries())
+    . is(2);
+
+  });
+
+  it('invalidates the cache on writes to the key, its subkeys and its parents', async function () {
+
+    var parentKey = appKey.parent;
+
+    await appKey.values();
+    await appKey.set('Name', Registry.REG_SZ, 'changed');
+    test.string((await appKey.get('Name')).data)
+    . is('changed');
+
+    await parentKey.keys();
+    await appKey.child('Sub').keys();
+    await appKey.join('Sub', 'Deeper').create();
+    test.number((await appKey.child('Sub').keys()).length)
+    . is(1);
+
+    await parentKey.keys();
+    await parentKey.child('Other').create();
+    test.number((await parentKey.keys()).length)
+    . is(2);
+
+    await appKey.child('Sub').values();
+    await appKey.destroy();
+    test.number((await parentKey.keys()).length)
+    . is(1);
+
+  });
+
+  it('invalidates the cache on writes through other keys', async function () {
+
+    await appKey.values();
+    await uncachedKey.remove('Name');
+
+    test.bool(await appKey.valueExists('Name'))
+    . isFalse();
+
+  });
+
+  it('drops all entries on imports but keeps the statistics', async function () {
+
+    await appKey.values();
+    await appKey.values();
+    await Registry.importContent('Windows Registry Editor Version 5.00\r\n\r\n[HKEY_CURRENT_USER\\Software\\CacheTest]\r\n"Name"="imported"\r\n', { executor: executor });
+
+    test.number(Registry.cache.size)
+    . is(0);
+    test.number(Registry.cache.misses)
+    . is(1);
+    test.number(Registry.cache.hits)
+    . is(1);
+    test.string((await appKey.get('Name')).data)
+    . is('imported');
+
+  });
+
+  it('invalidates the cache manually', async function () {
+
+    await appKey.values();
+    memory.exec([ 'ADD', 'HKCU\\Software\\CacheTest', '/v', 'Name', '/d', 'behind the back', '/f' ]);
+
+    test.string((await appKey.get('Name')).data)
+    . is('initial');
+
+    Registry.cache.invalidate('HKEY_CURRENT_USER\\Software');
+
+    test.string((await appKey.get('Name')).data)
+    . is('behind the back');
+
+  });
+
+  it('keeps the TTL for derived keys', function () {
+
+    test.number(appKey.child('Sub').cacheTTL)
+    . is(60000);
+    test.value(uncachedKey.cacheTTL)
+    . isNull();
+
+    test.exception(function () {
+      new Registry({ cacheTTL: -1 });
+    });
+
+  });
+
+}); // end - describe cache
@@ -0,0 +1,187 @@
+var test  = require('unit.js')
+,   fs    = require('fs')
+,   os    = require('os')
+,   path  = require('path')
+
+describe('codepage', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   codepage = require(__dirname+'/../lib/codepage.js')
+
+  it('decodes OEM codepages', function () {
+
+    test.string(codepage.decode(Buffer.from([ 0x81, 0x62, 0x65, 0x72 ]), 850))
+    . is('über');
+    test.string(codepage.decode(Buffer.from([ 0xd5 ]), 'cp858'))
+    . is('€');
+    test.string(codepage.decode(Buffer.from([ 0xd5 ]), 850))
+    . is('ı');
+    test.string(codepage.decode(Buffer.from([ 0x9e ]), 437))
+    . is('₧');
+    test.string(codepage.decode(Buffer.from([ 0x80, 0x8e ]), 1252))
+    . is('€Ž');
+    test.string(codepage.decode(Buffer.from([ 0x8f, 0xe0 ]), 'ibm866'))
+    . is('Пр');
+
+  });
+
+  it('detects UTF-16LE and UTF-8 output', function () {
+
+    test.string(codepage.decode(Buffer.from('\ufeffGröße', 'utf16le'), 'auto', 850))
+    . is('Größe');
+    test.string(codepage.decode(Buffer.from('Größe', 'utf16le'), 'auto', 850))
+    . is('Größe');
+    test.string(codepage.decode(Buffer.from('Größe', 'utf8'), 'auto', 850))
+    . is('Größe');
+    test.string(codepage.decode(Buffer.from([ 0x47, 0x72, 0x94, 0xe1, 0x65 ]), 'auto', 850))
+    . is('Größe');
+
+    test.bool(codepage.needsCodepage(Buffer.from('Größe', 'utf8')))
+    . isFalse();
+    test.bool(codepage.needsCodepage(Buffer.from([ 0x47, 0x72, 0x94, 0xe1, 0x65 ])))
+    . isTrue();
+
+  });
+
+  it('normalizes encoding names', function () {
+
+    test.value(codepage.normalize('utf8'))
+    . is(65001);
+    test.value(codepage.normalize('UTF-16LE'))
+    . is(1200);
+    test.value(codepage.normalize('cp850'))
+    . is(850);
+    test.value(codepage.normalize('windows-1251'))
+    . is(1251);
+    test.value(codepage.normalize('auto'))
+    . is('auto');
+    test.value(codepage.normalize('cp99999'))
+    . isNull();
+
+  });
+
+  describe('spawnExecutor', function () {
+
+    var dir
+    ,   saved = {}
+    ,   appKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\Test', executor: Registry.spawnExecutor })
+
+    // installs a REG stand-in that prints output in the encoding given by FAKE_REG_MODE
+    before(function () {
+
+      if (process.platform === 'win32') this.skip();
+
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'winreg-codepage-'));
+      fs.writeFileSync(path.join(dir, 'REG'), [
+        '#!/bin/sh',
+        'printf \'%s\\n\' "$@" > "$FAKE_REG_DIR/args"',
+        'if [ "$4" = "OEMCP" ]; then',
+        '  [ "$FAKE_REG_MODE" = "hang" ] && exec sleep 5',
+        '  printf \'\\r\\nHKEY_LOCAL_MACHINE\\\\SYSTEM\\\\CurrentControlSet\\\\Control\\\\Nls\\\\CodePage\\r\\n    OEMCP    REG_SZ    850\\r\\n\\r\\n\'',
+        '  exit 0',
+        'fi',
+        'printf \'\\r\\nHKEY_CURRENT_USER\\\\Software\\\\Test\\r\\n    Name    REG_SZ    \'',
+        'case "$FAKE_REG_MODE" in',
+        '  oem)  printf \'\\201ber\' ;;',
+        '  utf8) printf \'\\342\\202\'; sleep 0.1; printf \'\\254 100\' ;;',
+        'esac',
+        'printf \'\\r\\n\\r\\n\''
+      ].join('\n') + '\n', { mode: 0o755 });
+
+      saved.path = process.env.PATH;
+      saved.encoding = Registry.defaults.encoding;
+      process.env.PATH = dir + path.delimiter + process.env.PATH;
+      process.env.FAKE_REG_DIR = dir;
+
+    });
+
+    after(function () {
+
+      if (!dir)
+        return;
+
+      process.env.PATH = saved.path;
+      delete process.env.FAKE_REG_DIR;
+      delete process.env.FAKE_REG_MODE;
+      fs.rmSync(dir, { recursive: true, force: true });
+
+    });
+
+    afterEach(function () {
+      Registry.defaults.encoding = saved.encoding;
+    });
+
+    it('decodes output in the OEM codepage', async function () {
+
+      process.env.FAKE_REG_MODE = 'oem';
+
+      test.string((await appKey.get('Name')).value)
+      . is('über');
+
+    });
+
+    it('decodes multi-byte characters split across chunks', async function () {
+
+      process.env.FAKE_REG_MODE = 'utf8';
+
+      test.string((await appKey.get('Name')).value)
+      . is('€ 100');
+
+    });
+
+    it('uses the configured encoding', async function () {
+
+      process.env.FAKE_REG_MODE = 'oem';
+      Registry.defaults.encoding = 'cp437';
+
+      test.string((await appKey.get('Name')).value)
+      . is('über');
+
+      Registry.defaults.encoding = 'latin1';
+
+      test.string((await appKey.get('Name')).value)
+      . is('\u0081ber');
+
+    });
+
+    it('detects the OEM codepage through the scheduler and falls back to 437', async function () {
+
+      var modulePath = require.resolve(__dirname+'/../lib/registry.js')
+      ,   cached = require.cache[modulePath]
+      ,   Fresh
+      ,   promise
+
+      // a fresh copy of the module, which didn't detect the OEM codepage yet
+      delete require.cache[modulePath];
+      Fresh = require(modulePath);
+      require.cache[modulePath] = cached;
+
+      process.env.FAKE_REG_MODE = 'hang';
+      Fresh.defaults.timeout = 100;
+
+      promise = new Fresh({ hive: Fresh.HKCU, key: '\\Software\\Test', executor: Fresh.spawnExecutor }).get('Name');
+
+      test.array(Fresh.scheduler.queue)
+      . is([]);
+      test.number(Fresh.scheduler.running)
+      . is(1);
+
+      process.env.FAKE_REG_MODE = 'oem';
+
+      test.string((await promise).value)
+      . is('über');
+
+    });
+
+    it('passes non-ASCII arguments intact', async function () {
+
+      await appKey.set('Größe', Registry.REG_SZ, 'Ärger €');
+
+      test.array(fs.readFileSync(path.join(dir, 'args'), 'utf8').split('\n'))
+      . is([ 'ADD', 'HKCU\\Software\\Test', '/v', 'Größe', '/t', 'REG_SZ', '/d', 'Ärger €', '/f', '' ]);
+
+    });
+
+  });
+
+}); // end - describe codepage
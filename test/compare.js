@@ -0,0 +1,189 @@
+var test  = require('unit.js');
+
+describe('compare', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   helpers = require(__dirname+'/helpers.js')
+  ,   fixture = helpers.recordingRegistry()
+  ,   calls = fixture.calls
+  ,   executor = fixture.executor
+  ,   softwareSubKey = helpers.softwareSubKeys(Registry.HKCU, executor)
+
+  // reduces a diff to plain strings that are easy to compare
+  function summarize(diff) {
+    function values(list) {
+      return list.map(function (entry) {
+        return entry.key + '|' + entry.name + '|' + (entry.from ? entry.from.value : '') + '|' + (entry.to ? entry.to.value : '');
+      }).sort();
+    }
+    return {
+      equal: diff.equal,
+      keys: { added: diff.keys.added.slice().sort(), removed: diff.keys.removed.slice().sort() },
+      values: { added: values(diff.values.added), removed: values(diff.values.removed), changed: values(diff.values.changed) }
+    };
+  }
+
+  before(async function () {
+    await softwareSubKey('\\Old').set(Registry.DEFAULT_VALUE, Registry.REG_SZ, 'product');
+    await softwareSubKey('\\Old').set('Name', Registry.REG_SZ, 'old name');
+    await softwareSubKey('\\Old').set('Removed', Registry.REG_DWORD, 1);
+    await softwareSubKey('\\Old\\Shared').set('Level', Registry.REG_DWORD, 1);
+    await softwareSubKey('\\Old\\Gone').set('Value', Registry.REG_SZ, 'x');
+
+    await softwareSubKey('\\New').set(Registry.DEFAULT_VALUE, Registry.REG_SZ, 'product');
+    await softwareSubKey('\\New').set('Name', Registry.REG_SZ, 'new name');
+    await softwareSubKey('\\New').set('Added', Registry.REG_MULTI_SZ, [ 'a', 'b' ]);
+    await softwareSubKey('\\New\\Shared').set('Level', Registry.REG_DWORD, 2);
+    await softwareSubKey('\\New\\Fresh').create();
+
+    await softwareSubKey('\\Copy').set(Registry.DEFAULT_VALUE, Registry.REG_SZ, 'product');
+    await softwareSubKey('\\Copy').set('Name', Registry.REG_SZ, 'old name');
+    await softwareSubKey('\\Copy').set('Removed', Registry.REG_DWORD, 1);
+    await softwareSubKey('\\Copy\\Shared').set('Level', Registry.REG_DWORD, 1);
+    await softwareSubKey('\\Copy\\Gone').set('Value', Registry.REG_SZ, 'x');
+  });
+
+  beforeEach(function () {
+    calls.length = 0;
+  });
+
+  it('runs REG COMPARE with /s if recursive', async function () {
+
+    await softwareSubKey('\\Old').compare(softwareSubKey('\\New'), { recursive: true });
+
+    test.array(calls[0])
+    . is([ 'COMPARE', 'HKCU\\Software\\Old', 'HKCU\\Software\\New', '/od', '/s' ]);
+
+  });
+
+  it('compares a path string on the host of a remote key', async function () {
+
+    var remoteKey = new Registry({ host: 'srv1', hive: Registry.HKCU, key: '\\Software\\Old', executor: executor })
+    ,   error = null
+
+    try {
+      await remoteKey.compare('HKCU\\Software\\New');
+    } catch (e) {
+      error = e;
+    }
+
+    test.array(calls[0])
+    . is([ 'COMPARE', '\\\\srv1\\HKCU\\Software\\Old', '\\\\srv1\\HKCU\\Software\\New', '/od' ]);
+    // the keys only exist on the local machine
+    test.object(error)
+    . hasProperty('code', 1);
+
+  });
+
+  it('reports identical keys', async function () {
+
+    var diff = await softwareSubKey('\\Old').compare('HKCU\\Software\\Copy', { recursive: true });
+
+    test.bool(diff.equal)
+    . isTrue();
+    test.number(diff.values.changed.length + diff.values.added.length + diff.values.removed.length + diff.keys.added.length + diff.keys.removed.length)
+    . is(0);
+
+  });
+
+  it('parses the differences reported by REG COMPARE', async function () {
+
+    var diff = await softwareSubKey('\\Old').compare(softwareSubKey('\\New'), { recursive: true });
+
+    test.object(summarize(diff))
+    . is({
+        equal: false,
+        keys: { added: [ '\\Fresh' ], removed: [ '\\Gone' ] },
+        values: {
+          added: [ '|Added||a\\0b' ],
+          removed: [ '|Removed|0x1|' ],
+          changed: [ '\\Shared|Level|0x1|0x2', '|Name|old name|new name' ].sort()
+        }
+      });
+
+    test.string(diff.values.changed.filter(function (entry) { return entry.name == 'Level'; })[0].to.key)
+    . is('\\Software\\New\\Shared');
+
+  });
+
+  it('compares only the direct subkeys if not recursive', async function () {
+
+    var diff = await softwareSubKey('\\Old').compare(softwareSubKey('\\New'));
+
+    test.number(diff.values.changed.length)
+    . is(1);
+    test.array(diff.keys.added)
+    . is([ '\\Fresh' ]);
+
+  });
+
+  it('gives the same result when diffing trees', async function () {
+
+    var native = await softwareSubKey('\\Old').compare(softwareSubKey('\\New'), { recursive: true })
+    ,   shallow = await softwareSubKey('\\Old').compare(softwareSubKey('\\New'))
+
+    calls.length = 0;
+
+    test.object(summarize(await softwareSubKey('\\Old').compare(softwareSubKey('\\New'), { recursive: true, native: false })))
+    . is(summarize(native));
+    test.object(summarize(await softwareSubKey('\\Old').compare(softwareSubKey('\\New'), { native: false })))
+    . is(summarize(shallow));
+    test.bool(calls.some(function (args) { return args[0] == 'COMPARE'; }))
+    . isFalse();
+
+  });
+
+  it('diffs trees if the keys use different executors', async function () {
+
+    var other = new Registry.MemoryRegistry()
+    ,   otherKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\Old', executor: other.executor })
+    ,   diff
+
+    await otherKey.set('Name', Registry.REG_SZ, 'old name');
+
+    diff = await softwareSubKey('\\Old').compare(otherKey);
+
+    test.number(diff.values.removed.length)
+    . is(2);
+    test.array(diff.keys.removed.sort())
+    . is([ '\\Gone', '\\Shared' ]);
+
+  });
+
+  it('recognizes the localized default value when diffing trees', async function () {
+
+    var germanKey = new Registry({
+          hive:     Registry.HKCU,
+          key:      '\\Software\\Old',
+          executor: function (args, cb) {
+            setImmediate(function () {
+              cb(null, { stdout: '\r\nHKEY_CURRENT_USER\\Software\\Old\r\n    (Standard)    REG_SZ    produkt\r\n\r\n' +
+                'HKEY_CURRENT_USER\\Software\\Old\\Fresh\r\n    (Standard)    REG_SZ    (Wert nicht festgelegt)\r\n\r\n', stderr: '', code: 0 });
+            });
+          }
+        })
+    ,   diff = await germanKey.compare(softwareSubKey('\\New'), { recursive: true })
+
+    test.array(diff.values.changed.map(function (entry) { return entry.key + '|' + entry.name + '|' + entry.from.value + '|' + entry.to.value; }))
+    . is([ '||produkt|product' ]);
+    test.array(diff.values.removed)
+    . is([]);
+
+  });
+
+  it('reports errors of missing keys', async function () {
+
+    var error = null;
+
+    try {
+      await softwareSubKey('\\Old').compare(softwareSubKey('\\Missing'));
+    } catch (e) {
+      error = e;
+    }
+
+    test.object(error)
+    . hasProperty('code', 1);
+
+  });
+
+}); // end - describe compare
@@ -0,0 +1,245 @@
+var test  = require('unit.js');
+
+describe('copy and move', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   helpers = require(__dirname+'/helpers.js')
+  ,   fixture = helpers.recordingRegistry()
+  ,   memory = fixture.memory
+  ,   calls = fixture.calls
+  ,   executor = fixture.executor
+  ,   softwareSubKey = helpers.softwareSubKeys(Registry.HKCU, executor)
+
+  beforeEach(async function () {
+    memory.reset();
+    await softwareSubKey('\\OldProduct').set('Name', Registry.REG_SZ, 'old');
+    await softwareSubKey('\\OldProduct').set('Count', Registry.REG_DWORD, 3);
+    await softwareSubKey('\\OldProduct\\Settings').set(Registry.DEFAULT_VALUE, Registry.REG_SZ, 'nested');
+    calls.length = 0;
+  });
+
+  it('maps the options onto REG COPY /s /f', async function () {
+
+    await softwareSubKey('\\OldProduct', 'x64').copy(softwareSubKey('\\NewProduct', 'x64'), { recursive: true, overwrite: true });
+
+    test.array(calls[0])
+    . is([ 'COPY', 'HKCU\\Software\\OldProduct', 'HKCU\\Software\\NewProduct', '/s', '/f', '/reg:64' ]);
+
+  });
+
+  it('accepts a path string as destination', async function () {
+
+    await softwareSubKey('\\OldProduct').copy('HKEY_CURRENT_USER\\Software\\NewProduct');
+
+    test.array(calls[0])
+    . is([ 'COPY', 'HKCU\\Software\\OldProduct', 'HKCU\\Software\\NewProduct' ]);
+    test.string((await softwareSubKey('\\NewProduct').get('Name')).data)
+    . is('old');
+
+  });
+
+  it('copies subkeys only if recursive', async function () {
+
+    await softwareSubKey('\\OldProduct').copy(softwareSubKey('\\Flat'));
+    await softwareSubKey('\\OldProduct').copy(softwareSubKey('\\Deep'), { recursive: true });
+
+    test.bool(await softwareSubKey('\\Flat\\Settings').keyExists())
+    . isFalse();
+    test.string((await softwareSubKey('\\Deep\\Settings').get(Registry.DEFAULT_VALUE)).data)
+    . is('nested');
+
+  });
+
+  it('keeps existing values unless overwrite is given', async function () {
+
+    await softwareSubKey('\\NewProduct').set('Name', Registry.REG_SZ, 'new');
+
+    await softwareSubKey('\\OldProduct').copy(softwareSubKey('\\NewProduct'));
+    test.string((await softwareSubKey('\\NewProduct').get('Name')).data)
+    . is('new');
+    test.number((await softwareSubKey('\\NewProduct').get('Count')).data)
+    . is(3);
+
+    await softwareSubKey('\\OldProduct').copy(softwareSubKey('\\NewProduct'), { overwrite: true });
+    test.string((await softwareSubKey('\\NewProduct').get('Name')).data)
+    . is('old');
+
+  });
+
+  it('copies across hives', async function () {
+
+    var destination = new Registry({ hive: Registry.HKLM, key: '\\Software\\Product', executor: executor });
+
+    await softwareSubKey('\\OldProduct').copy(destination, { recursive: true });
+
+    test.string((await destination.child('Settings').get(Registry.DEFAULT_VALUE)).data)
+    . is('nested');
+
+  });
+
+  it('copies value by value between registry views', async function () {
+
+    var source = new Registry({ hive: Registry.HKLM, key: '\\Software\\Product', arch: 'x86', executor: executor })
+    ,   destination = new Registry({ hive: Registry.HKLM, key: '\\Software\\Product', arch: 'x64', executor: executor })
+
+    await softwareSubKey('\\OldProduct').copy(source, { recursive: true });
+    calls.length = 0;
+
+    await source.copy(destination, { recursive: true });
+
+    test.bool(calls.some(function (args) { return args[0] == 'COPY'; }))
+    . isFalse();
+    test.number((await destination.get('Count')).data)
+    . is(3);
+    test.string((await destination.child('Settings').get(Registry.DEFAULT_VALUE)).data)
+    . is('nested');
+    test.bool(await new Registry({ hive: Registry.HKLM, key: '\\Software\\WOW6432Node\\Product', executor: executor }).keyExists())
+    . isTrue();
+
+  });
+
+  it('fails for values it can\'t write between registry views', async function () {
+
+    var source = new Registry({
+          hive:     Registry.HKLM,
+          key:      '\\HARDWARE\\Legacy',
+          arch:     'x86',
+          executor: function (args, cb) {
+            setImmediate(function () {
+              cb(null, { stdout: '\r\nHKEY_LOCAL_MACHINE\\HARDWARE\\Legacy\r\n    Order    REG_DWORD_BIG_ENDIAN    0x12345678\r\n\r\n', stderr: '', code: 0 });
+            });
+          }
+        })
+    ,   destination = new Registry({ hive: Registry.HKLM, key: '\\Software\\Legacy', arch: 'x64', executor: executor })
+    ,   error = null
+
+    try {
+      await source.copy(destination);
+    } catch (e) {
+      error = e;
+    }
+
+    test.object(error)
+    . hasProperty('message', 'illegal type specified.');
+
+  });
+
+  it('recognizes the localized default value between registry views', async function () {
+
+    var source = new Registry({
+          hive:     Registry.HKLM,
+          key:      '\\Software\\German',
+          arch:     'x86',
+          executor: function (args, cb) {
+            setImmediate(function () {
+              cb(null, { stdout: '\r\nHKEY_LOCAL_MACHINE\\Software\\German\r\n    (Standard)    REG_SZ    hallo\r\n\r\n' +
+                'HKEY_LOCAL_MACHINE\\Software\\German\\Unset\r\n    (Standard)    REG_SZ    (Wert nicht festgelegt)\r\n\r\n', stderr: '', code: 0 });
+            });
+          }
+        })
+    ,   destination = new Registry({ hive: Registry.HKLM, key: '\\Software\\German', arch: 'x64', executor: executor })
+
+    await source.copy(destination, { recursive: true });
+
+    test.string((await destination.get(Registry.DEFAULT_VALUE)).data)
+    . is('hallo');
+    test.bool(await destination.child('Unset').keyExists())
+    . isTrue();
+    test.bool(calls.some(function (args) { return args[0] == 'ADD' && args.indexOf('(Standard)') >= 0; }))
+    . isFalse();
+    test.number(calls.filter(function (args) { return args[0] == 'ADD' && args.indexOf('/ve') >= 0; }).length)
+    . is(1);
+
+  });
+
+  it('moves a key and destroys the source', async function () {
+
+    await softwareSubKey('\\OldProduct').move(softwareSubKey('\\NewProduct'));
+
+    test.bool(await softwareSubKey('\\OldProduct').keyExists())
+    . isFalse();
+    test.string((await softwareSubKey('\\NewProduct\\Settings').get(Registry.DEFAULT_VALUE)).data)
+    . is('nested');
+
+  });
+
+  it('refuses to move a key into itself', async function () {
+
+    var error = null;
+
+    try {
+      await softwareSubKey('\\OldProduct').move('HKCU\\Software\\oldproduct\\Archive');
+    } catch (e) {
+      error = e;
+    }
+
+    test.object(error)
+    . hasProperty('message', 'destination must not be inside the moved key.');
+    test.number(calls.length)
+    . is(0);
+    test.bool(await softwareSubKey('\\OldProduct').keyExists())
+    . isTrue();
+
+  });
+
+  it('keeps a path string destination on the host of a remote key', async function () {
+
+    var remoteKey = function (key) {
+          return new Registry({ host: 'srv1', hive: Registry.HKCU, key: '\\Software' + key, executor: executor });
+        }
+
+    await remoteKey('\\OldProduct').set('Name', Registry.REG_SZ, 'remote');
+    calls.length = 0;
+
+    await remoteKey('\\OldProduct').copy('HKCU\\Software\\Copy');
+    await remoteKey('\\OldProduct').move('HKCU\\Software\\NewProduct');
+
+    test.array(calls[0])
+    . is([ 'COPY', '\\\\srv1\\HKCU\\Software\\OldProduct', '\\\\srv1\\HKCU\\Software\\Copy' ]);
+    test.string((await remoteKey('\\NewProduct').get('Name')).data)
+    . is('remote');
+    test.bool(await remoteKey('\\OldProduct').keyExists())
+    . isFalse();
+    test.bool(await softwareSubKey('\\NewProduct').keyExists())
+    . isFalse();
+    test.string((await softwareSubKey('\\OldProduct').get('Name')).data)
+    . is('old');
+
+  });
+
+  it('refuses to move a remote key into itself', async function () {
+
+    var remoteKey = new Registry({ host: 'srv1', hive: Registry.HKCU, key: '\\Software\\OldProduct', executor: executor })
+    ,   error = null
+
+    try {
+      await remoteKey.move('HKCU\\Software\\OldProduct\\Archive');
+    } catch (e) {
+      error = e;
+    }
+
+    test.object(error)
+    . hasProperty('message', 'destination must not be inside the moved key.');
+    test.number(calls.length)
+    . is(0);
+
+  });
+
+  it('keeps the source if the copy fails', async function () {
+
+    var error = null;
+
+    try {
+      await softwareSubKey('\\Missing').move(softwareSubKey('\\NewProduct'));
+    } catch (e) {
+      error = e;
+    }
+
+    test.object(error)
+    . hasProperty('code', 1);
+    test.bool(calls.some(function (args) { return args[0] == 'DELETE'; }))
+    . isFalse();
+
+  });
+
+}); // end - describe copy and move
@@ -0,0 +1,153 @@
+var test  = require('unit.js');
+
+describe('errors', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+
+  // creates a registry key whose REG commands fail with the given error output
+  function failing(stderr, code) {
+    return new Registry({
+      hive:     Registry.HKCU,
+      key:      '\\Software\\ErrorTest',
+      executor: function (args, cb) {
+        setImmediate(function () {
+          cb(null, { stdout: '', stderr: stderr, code: code === undefined ? 1 : code });
+        });
+      }
+    });
+  }
+
+  // resolves with the error the given promise is rejected with
+  function rejection(promise) {
+    return promise.then(function () {
+      throw new Error('expected the command to fail');
+    }, function (err) {
+      return err;
+    });
+  }
+
+  it('reports missing keys and values', async function () {
+
+    var missing = failing('ERROR: The system was unable to find the specified registry key or value.\r\n')
+    ,   err
+
+    err = await rejection(missing.values());
+    test.object(err)
+    . isInstanceOf(Registry.KeyNotFoundError)
+    . isInstanceOf(Registry.ProcessUncleanExitError)
+    . isInstanceOf(Registry.RegistryError)
+    . isInstanceOf(Error)
+    . hasProperty('name', 'KeyNotFoundError')
+    . hasProperty('code', 1)
+    . hasProperty('command', 'QUERY');
+
+    test.array(err.args)
+    . is([ 'QUERY', 'HKCU\\Software\\ErrorTest' ]);
+    test.string(err.stderr)
+    . contains('unable to find');
+
+    err = await rejection(missing.get('Setting'));
+    test.object(err)
+    . isInstanceOf(Registry.ValueNotFoundError);
+
+    err = await rejection(missing.find('Setting', { values: true }));
+    test.object(err)
+    . isInstanceOf(Registry.KeyNotFoundError);
+
+    err = await rejection(missing.remove('Setting'));
+    test.object(err)
+    . isInstanceOf(Registry.ValueNotFoundError);
+
+    test.bool(await missing.keyExists())
+    . isFalse();
+    test.bool(await missing.valueExists('Setting'))
+    . isFalse();
+
+  });
+
+  it('reports denied access instead of a missing key', async function () {
+
+    var denied = failing('ERROR: Access is denied.\r\n')
+    ,   err
+
+    err = await rejection(denied.keyExists());
+    test.object(err)
+    . isInstanceOf(Registry.AccessDeniedError)
+    . hasProperty('code', 1);
+
+    err = await rejection(denied.valueExists('Setting'));
+    test.object(err)
+    . isInstanceOf(Registry.AccessDeniedError);
+
+  });
+
+  it('reports unreachable remote hosts', async function () {
+
+    var err = await rejection(failing('ERROR: The network path was not found.\r\n').keyExists());
+
+    test.object(err)
+    . isInstanceOf(Registry.RemoteHostUnreachableError);
+
+  });
+
+  it('reports invalid arguments', async function () {
+
+    var err = await rejection(failing('ERROR: Invalid key name.\r\nType "REG QUERY /?" for usage.\r\n').values());
+
+    test.object(err)
+    . isInstanceOf(Registry.InvalidArgumentError);
+
+  });
+
+  it('recognizes the messages of localized installations', async function () {
+
+    test.object(await rejection(failing('FEHLER: Der angegebene Registrierungsschlüssel bzw. Wert wurde nicht gefunden.\r\n').values()))
+    . isInstanceOf(Registry.KeyNotFoundError);
+    test.object(await rejection(failing('FEHLER: Zugriff verweigert\r\n').values()))
+    . isInstanceOf(Registry.AccessDeniedError);
+    test.object(await rejection(failing('Erreur : le chemin réseau est introuvable.\r\n').values()))
+    . isInstanceOf(Registry.RemoteHostUnreachableError);
+    test.object(await rejection(failing('ERROR: Acceso denegado.\r\n').values()))
+    . isInstanceOf(Registry.AccessDeniedError);
+
+  });
+
+  it('keeps unknown errors generic', async function () {
+
+    var err = await rejection(failing('ERROR: Something unexpected happened.\r\n', 5).values());
+
+    test.object(err)
+    . isInstanceOf(Registry.ProcessUncleanExitError)
+    . hasProperty('name', 'ProcessUncleanExitError')
+    . hasProperty('code', 5);
+
+    test.bool(err instanceof Registry.KeyNotFoundError)
+    . isFalse();
+
+  });
+
+  it('reports a missing REG.EXE', async function () {
+
+    var regKey = new Registry({
+          hive:     Registry.HKCU,
+          key:      '\\Software\\ErrorTest',
+          executor: function (args, cb) {
+            var err = new Error('spawn REG ENOENT');
+            err.code = 'ENOENT';
+            err.syscall = 'spawn REG';
+            setImmediate(function () { cb(err); });
+          }
+        })
+    ,   err = await rejection(regKey.values())
+
+    test.object(err)
+    . isInstanceOf(Registry.RegExeMissingError)
+    . isInstanceOf(Registry.RegistryError)
+    . hasProperty('command', 'QUERY');
+
+    test.string(err.cause.code)
+    . is('ENOENT');
+
+  });
+
+}); // end - describe errors
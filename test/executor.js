@@ -0,0 +1,185 @@
+var test  = require('unit.js');
+
+describe('executor', function(){
+  
+  var Registry = require(__dirname+'/../lib/registry.js');
+  
+  // creates an executor that records the argument vectors and answers with canned output
+  function scripted(calls, stdout, stderr, code) {
+    return function (args, cb) {
+      calls.push(args);
+      setImmediate(function () {
+        cb(null, { stdout: stdout, stderr: stderr || '', code: code || 0 });
+      });
+    };
+  }
+  
+  it('spawnExecutor is the default executor', function () {
+    
+    test.function(Registry.defaults.executor)
+    . is(Registry.spawnExecutor);
+    
+  });
+  
+  it('rejects an executor that is not a function', function () {
+    
+    test.exception(function () {
+      new Registry({ hive: Registry.HKCU, key: '\\Software', executor: 'REG' });
+    });
+    
+  });
+  
+  it('receives the unquoted REG argument vector', function (done) {
+    
+    var calls = []
+    ,   regKey = new Registry({
+          hive:     Registry.HKCU,
+          key:      '\\Software\\Some Key',
+          arch:     'x64',
+          executor: scripted(calls, '')
+        });
+    
+    regKey.set('Some Name', Registry.REG_SZ, 'Some Value', function (err) {
+      
+      if (err) throw err;
+      
+      test.array(calls[0])
+      . is([ 'ADD', 'HKCU\\Software\\Some Key', '/v', 'Some Name', '/t', 'REG_SZ', '/d', 'Some Value', '/f', '/reg:64' ]);
+      
+      done();
+      
+    });
+    
+  });
+  
+  it('parses values() output of a custom executor', function (done) {
+    
+    var stdout = [
+          '',
+          'HKEY_CURRENT_USER\\Software\\Test',
+          '    SomeString    REG_SZ    SomeValue',
+          '    SomeNumber    REG_DWORD    0x1f',
+          ''
+        ].join('\r\n')
+    ,   regKey = new Registry({
+          hive:     Registry.HKCU,
+          key:      '\\Software\\Test',
+          executor: scripted([], stdout)
+        });
+    
+    regKey.values(function (err, items) {
+      
+      if (err) throw err;
+      
+      test.number(items.length)
+      . is(2);
+      
+      test.object(items[0])
+      . hasProperty('name', 'SomeString')
+      . hasProperty('type', Registry.REG_SZ)
+      . hasProperty('value', 'SomeValue');
+      
+      test.object(items[1])
+      . hasProperty('name', 'SomeNumber')
+      . hasProperty('type', Registry.REG_DWORD)
+      . hasProperty('value', '0x1f');
+      
+      done();
+      
+    });
+    
+  });
+  
+  it('passes the executor on to subkeys', function (done) {
+    
+    var stdout = [
+          '',
+          'HKEY_CURRENT_USER\\Software',
+          'HKEY_CURRENT_USER\\Software\\Classes',
+          ''
+        ].join('\r\n')
+    ,   executor = scripted([], stdout)
+    ,   regKey = new Registry({
+          hive:     Registry.HKCU,
+          key:      '\\Software',
+          executor: executor
+        });
+    
+    regKey.keys(function (err, keys) {
+      
+      if (err) throw err;
+      
+      test.number(keys.length)
+      . is(1);
+      
+      test.string(keys[0].key)
+      . is('\\Software\\Classes');
+      
+      test.function(keys[0].executor)
+      . is(executor);
+      
+      test.function(keys[0].parent.executor)
+      . is(executor);
+      
+      done();
+      
+    });
+    
+  });
+  
+  it('maps an unclean exit to ProcessUncleanExitError', function () {
+    
+    var regKey = new Registry({
+          hive:     Registry.HKCU,
+          key:      '\\Software\\Missing',
+          executor: scripted([], '', 'ERROR: The system was unable to find the specified registry key or value.', 1)
+        });
+    
+    return regKey.keyExists().then(function (exists) {
+      
+      test.bool(exists)
+      . isFalse();
+      
+      return regKey.values();
+      
+    }).then(function () {
+      
+      throw new Error('expected values() to fail');
+      
+    }, function (err) {
+      
+      test.object(err)
+      . isInstanceOf(Registry.ProcessUncleanExitError)
+      . hasProperty('name', 'KeyNotFoundError')
+      . hasProperty('code', 1);
+      
+      test.string(err.message)
+      . contains('unable to find');
+      
+    });
+    
+  });
+  
+  it('uses Registry.defaults.executor when no executor option is given', function (done) {
+    
+    var calls = []
+    ,   previous = Registry.defaults.executor
+    
+    Registry.defaults.executor = scripted(calls, '');
+    
+    new Registry({ hive: Registry.HKCU, key: '\\Software' }).create(function (err) {
+      
+      Registry.defaults.executor = previous;
+      
+      if (err) throw err;
+      
+      test.array(calls[0])
+      . is([ 'ADD', 'HKCU\\Software', '/f' ]);
+      
+      done();
+      
+    });
+    
+  });
+  
+}); // end - describe executor
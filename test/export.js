@@ -0,0 +1,163 @@
+var test  = require('unit.js')
+,   fs    = require('fs')
+,   os    = require('os')
+,   path  = require('path');
+
+describe('export and import', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   helpers = require(__dirname+'/helpers.js')
+  ,   fixture = helpers.recordingRegistry()
+  ,   calls = fixture.calls
+  ,   executor = fixture.executor
+  ,   appKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\ExportTest', executor: executor })
+  ,   dir
+
+  before(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'winreg-test-'));
+    await appKey.set('Name', Registry.REG_SZ, 'original');
+    await appKey.set('Count', Registry.REG_DWORD, 7);
+    await appKey.set('Blob', Registry.REG_BINARY, Buffer.from([ 1, 2, 255 ]));
+    await appKey.child('Sub').set(Registry.DEFAULT_VALUE, Registry.REG_MULTI_SZ, [ 'a', 'b' ]);
+  });
+
+  after(function () {
+    fs.readdirSync(dir).forEach(function (name) { fs.unlinkSync(path.join(dir, name)); });
+    fs.rmdirSync(dir);
+  });
+
+  beforeEach(function () {
+    calls.length = 0;
+  });
+
+  it('runs REG EXPORT with /y and the arch switch', async function () {
+
+    var key = new Registry({ hive: Registry.HKCU, key: '\\Software\\ExportTest', arch: 'x86', executor: executor })
+    ,   file = path.join(dir, 'arch.reg')
+
+    await key.export(file);
+    await key.export(file, { overwrite: false }).catch(function () {});
+
+    test.array(calls[0])
+    . is([ 'EXPORT', 'HKCU\\Software\\ExportTest', file, '/y', '/reg:32' ]);
+    test.array(calls[1])
+    . is([ 'EXPORT', 'HKCU\\Software\\ExportTest', file, '/reg:32' ]);
+
+  });
+
+  it('runs REG IMPORT with the arch switch', async function () {
+
+    var file = path.join(dir, 'import.reg');
+
+    await appKey.export(file);
+    calls.length = 0;
+    await Registry.import(file, { arch: 'x64', executor: executor });
+
+    test.array(calls[0])
+    . is([ 'IMPORT', file, '/reg:64' ]);
+
+  });
+
+  it('refuses to overwrite an existing file without /y', async function () {
+
+    var file = path.join(dir, 'existing.reg')
+    ,   error = null
+
+    fs.writeFileSync(file, 'keep');
+
+    try {
+      await appKey.export(file, { overwrite: false });
+    } catch (e) {
+      error = e;
+    }
+
+    test.object(error)
+    . hasProperty('code', 1);
+    test.string(fs.readFileSync(file, 'utf8'))
+    . is('keep');
+
+  });
+
+  it('returns the exported content as text or bytes', async function () {
+
+    var text = await appKey.exportContent()
+    ,   bytes = await appKey.exportContent({ raw: true })
+
+    test.string(text)
+    . startsWith('Windows Registry Editor Version 5.00')
+    . contains('[HKEY_CURRENT_USER\\Software\\ExportTest]')
+    . contains('"Count"=dword:00000007')
+    . contains('[HKEY_CURRENT_USER\\Software\\ExportTest\\Sub]');
+
+    test.bool(Buffer.isBuffer(bytes))
+    . isTrue();
+    test.number(bytes[0])
+    . is(0xff);
+
+  });
+
+  it('removes the temporary file', async function () {
+
+    await appKey.exportContent();
+
+    test.bool(fs.existsSync(calls[0][2]))
+    . isFalse();
+    test.bool(fs.existsSync(path.dirname(calls[0][2])))
+    . isFalse();
+
+  });
+
+  it('restores a backup after a failed write', async function () {
+
+    var backup = await appKey.exportContent();
+
+    await appKey.set('Name', Registry.REG_SZ, 'changed');
+    await appKey.child('Sub').destroy();
+
+    await Registry.importContent(backup, { executor: executor });
+
+    test.string((await appKey.get('Name')).data)
+    . is('original');
+    test.array((await appKey.child('Sub').get(Registry.DEFAULT_VALUE)).data)
+    . is([ 'a', 'b' ]);
+    test.bool(Buffer.from([ 1, 2, 255 ]).equals((await appKey.get('Blob')).data))
+    . isTrue();
+
+  });
+
+  it('imports content given as a buffer', async function () {
+
+    await Registry.importContent(Buffer.from('REGEDIT4\r\n\r\n[HKEY_CURRENT_USER\\Software\\ExportTest]\r\n"Name"="from buffer"\r\n', 'latin1'), { executor: executor });
+
+    test.string((await appKey.get('Name')).data)
+    . is('from buffer');
+
+  });
+
+  it('returns nothing from imports called with a callback', function (done) {
+
+    var content = 'REGEDIT4\r\n\r\n[HKEY_CURRENT_USER\\Software\\ExportTest]\r\n'
+
+    test.undefined(Registry.importContent(content, { executor: executor }, function () {}));
+    test.undefined(Registry.importContent(content, { executor: executor, timeout: 1000 }, function (err) {
+      done(err);
+    }));
+
+  });
+
+  it('reports a missing key', async function () {
+
+    var error = null;
+
+    try {
+      await appKey.child('Missing').exportContent();
+    } catch (e) {
+      error = e;
+    }
+
+    test.object(error)
+    . hasProperty('code', 1);
+
+  });
+
+}); // end - describe export and import
@@ -0,0 +1,109 @@
+var test  = require('unit.js');
+
+describe('find', function(){
+  
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   helpers = require(__dirname+'/helpers.js')
+  ,   fixture = helpers.recordingRegistry()
+  ,   calls = fixture.calls
+  ,   executor = fixture.executor
+  ,   softwareSubKey = helpers.softwareSubKeys(Registry.HKLM, executor)
+  ,   softwareKey = new Registry({ hive: Registry.HKLM, key: '\\Software', executor: executor })
+  
+  before(async function () {
+    await softwareSubKey('\\Vendor\\{8BC2A3F4-1111-2222-3333-444455556666}').set('InstallPath', Registry.REG_SZ, 'C:\\Program Files\\Product');
+    await softwareSubKey('\\Vendor\\{8BC2A3F4-1111-2222-3333-444455556666}').set('Version', Registry.REG_DWORD, '3');
+    await softwareSubKey('\\Vendor\\Product').set('ProductCode', Registry.REG_SZ, '{8BC2A3F4-1111-2222-3333-444455556666}');
+    await softwareSubKey('\\Other').create();
+  });
+  
+  beforeEach(function () {
+    calls.length = 0;
+  });
+  
+  it('maps the options onto REG QUERY /f switches', async function () {
+    
+    await softwareKey.find('Product*', { keys: true, values: true, data: true, caseSensitive: true, exact: true, type: Registry.REG_SZ, recursive: true });
+    
+    test.array(calls[0])
+    . is([ 'QUERY', 'HKLM\\Software', '/f', 'Product*', '/k', '/v', '/d', '/c', '/e', '/t', 'REG_SZ', '/s' ]);
+    
+  });
+  
+  it('finds keys and values recursively', async function () {
+    
+    var matches = await softwareKey.find('8BC2A3F4', { recursive: true });
+    
+    test.array(matches.keys.map(function (key) { return key.key; }))
+    . is([ '\\Software\\Vendor\\{8BC2A3F4-1111-2222-3333-444455556666}' ]);
+    
+    test.number(matches.values.length)
+    . is(1);
+    
+    test.object(matches.values[0])
+    . hasProperty('key', '\\Software\\Vendor\\Product')
+    . hasProperty('name', 'ProductCode');
+    
+  });
+  
+  it('searches only the data if requested', async function () {
+    
+    var matches = await softwareKey.find('program files', { recursive: true, data: true });
+    
+    test.number(matches.keys.length)
+    . is(0);
+    
+    test.object(matches.values[0])
+    . hasProperty('key', '\\Software\\Vendor\\{8BC2A3F4-1111-2222-3333-444455556666}')
+    . hasProperty('name', 'InstallPath')
+    . hasProperty('value', 'C:\\Program Files\\Product');
+    
+  });
+  
+  it('searches only direct subkeys without the recursive option', async function () {
+    
+    var matches = await softwareKey.find('Product');
+    
+    test.number(matches.keys.length + matches.values.length)
+    . is(0);
+    
+    matches = await softwareKey.find('Oth');
+    
+    test.array(matches.keys.map(function (key) { return key.key; }))
+    . is([ '\\Software\\Other' ]);
+    
+  });
+  
+  it('returns empty results if nothing matches', async function () {
+    
+    var matches = await softwareKey.find('Nothing', { recursive: true });
+    
+    test.number(matches.keys.length + matches.values.length)
+    . is(0);
+    
+  });
+  
+  it('reports errors of missing keys', function () {
+    
+    return softwareSubKey('\\Missing').find('*').then(function () {
+      
+      throw new Error('expected find() to fail');
+      
+    }, function (err) {
+      
+      test.number(err.code)
+      . is(1);
+      
+    });
+    
+  });
+  
+  it('rejects illegal types', function () {
+    
+    test.exception(function () {
+      softwareKey.find('*', { type: 'REG_FOO' }, function () {});
+    });
+    
+  });
+  
+}); // end - describe find
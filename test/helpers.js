@@ -0,0 +1,34 @@
+/*
+ * helpers.js - fixtures shared by the tests
+ */
+
+var Registry = require(__dirname+'/../lib/registry.js');
+
+/*
+ * Creates an in-memory registry with an executor that records the argument vector of each REG command in calls.
+ * The optional handler may answer a command itself (e.g. to simulate a failure) by returning true.
+ */
+exports.recordingRegistry = function recordingRegistry (handler) {
+  var memory = new Registry.MemoryRegistry()
+  ,   calls = []
+
+  return {
+    memory: memory,
+    calls: calls,
+    executor: function (args, cb) {
+      calls.push(args);
+      if (handler && handler(args, cb))
+        return;
+      memory.executor(args, cb);
+    }
+  };
+};
+
+/*
+ * Returns a function that creates registry keys below \Software of the given hive, which run their commands through the executor
+ */
+exports.softwareSubKeys = function softwareSubKeys (hive, executor) {
+  return function softwareSubKey (key, arch) {
+    return new Registry({ hive: hive, key: '\\Software' + key, arch: arch, executor: executor });
+  };
+};
@@ -0,0 +1,181 @@
+var test  = require('unit.js')
+,   fs    = require('fs')
+,   os    = require('os')
+,   path  = require('path');
+
+describe('hive files', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   helpers = require(__dirname+'/helpers.js')
+  ,   fixture = helpers.recordingRegistry()
+  ,   calls = fixture.calls
+  ,   executor = fixture.executor
+  ,   appKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\HiveTest', executor: executor })
+  ,   dir
+  ,   hiveFile
+
+  before(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'winreg-test-'));
+    hiveFile = path.join(dir, 'NTUSER.DAT');
+    await appKey.set('Name', Registry.REG_SZ, 'saved');
+    await appKey.child('Sub').set('Level', Registry.REG_DWORD, 1);
+    await appKey.save(hiveFile);
+  });
+
+  after(function () {
+    fs.readdirSync(dir).forEach(function (name) { fs.unlinkSync(path.join(dir, name)); });
+    fs.rmdirSync(dir);
+  });
+
+  beforeEach(function () {
+    calls.length = 0;
+  });
+
+  it('runs REG SAVE and REG RESTORE with the arch switch', async function () {
+
+    var key = new Registry({ hive: Registry.HKCU, key: '\\Software\\HiveTest', arch: 'x64', executor: executor });
+
+    await key.save(hiveFile);
+    await key.restore(hiveFile);
+
+    test.array(calls[0])
+    . is([ 'SAVE', 'HKCU\\Software\\HiveTest', hiveFile, '/y', '/reg:64' ]);
+    test.array(calls[1])
+    . is([ 'RESTORE', 'HKCU\\Software\\HiveTest', hiveFile, '/reg:64' ]);
+
+  });
+
+  it('restores a saved key', async function () {
+
+    await appKey.set('Name', Registry.REG_SZ, 'changed');
+    await appKey.set('Extra', Registry.REG_SZ, 'extra');
+    await appKey.child('Sub').destroy();
+
+    await appKey.restore(hiveFile);
+
+    test.string((await appKey.get('Name')).data)
+    . is('saved');
+    test.bool(await appKey.valueExists('Extra'))
+    . isFalse();
+    test.number((await appKey.child('Sub').get('Level')).data)
+    . is(1);
+
+  });
+
+  it('loads a hive and returns its root key', async function () {
+
+    var root = await Registry.load('HKU\\TempProfile', hiveFile, { executor: executor });
+
+    test.array(calls[0])
+    . is([ 'LOAD', 'HKU\\TempProfile', hiveFile ]);
+    test.string(root.toString())
+    . is('HKU\\TempProfile');
+    test.string((await root.get('Name')).data)
+    . is('saved');
+
+    await Registry.unload(root);
+
+    test.array(calls[calls.length - 1])
+    . is([ 'UNLOAD', 'HKU\\TempProfile' ]);
+    test.bool(await root.keyExists())
+    . isFalse();
+
+  });
+
+  it('only loads hives directly below HKLM or HKU', function () {
+
+    test.exception(function () {
+      Registry.load('HKCU\\TempProfile', hiveFile, { executor: executor }, function () {});
+    });
+
+    test.exception(function () {
+      Registry.load('HKU\\Temp\\Profile', hiveFile, { executor: executor }, function () {});
+    });
+
+  });
+
+  it('only loads hives on the local machine', function () {
+
+    test.exception(function () {
+      Registry.load('HKU\\TempProfile', hiveFile, { host: 'srv2', executor: executor }, function () {});
+    })
+    . hasMessage('illegal mount key specified: \\\\srv2\\HKU\\TempProfile is not on the local machine');
+
+    test.exception(function () {
+      Registry.unload(new Registry({ host: 'srv2', hive: Registry.HKU, key: '\\TempProfile', executor: executor }), function () {});
+    });
+
+    test.number(calls.length)
+    . is(0);
+
+  });
+
+  it('returns nothing when called with a callback', function (done) {
+
+    test.undefined(Registry.load('HKU\\Missing', hiveFile + '.missing', { executor: executor }, function () {}));
+    test.undefined(Registry.unload('HKU\\Missing', { executor: executor, timeout: 1000 }, function () {}));
+    test.undefined(Registry.load('HKU\\Missing', hiveFile + '.missing', { executor: executor, timeout: 1000 }, function () {
+      done();
+    }));
+
+  });
+
+  it('unloads the hive after the scoped function', async function () {
+
+    var result = await Registry.withLoadedHive('HKLM\\Seed', hiveFile, { executor: executor }, function (root) {
+      return root.child('Sub').set('Seeded', Registry.REG_DWORD, 1).then(function () { return 'seeded'; });
+    });
+
+    test.string(result)
+    . is('seeded');
+    test.array(calls[calls.length - 1])
+    . is([ 'UNLOAD', 'HKLM\\Seed' ]);
+
+    // changes are written back to the hive file
+    await Registry.withLoadedHive('HKLM\\Seed', hiveFile, { executor: executor }, function (root, done) {
+      root.child('Sub').get('Seeded', function (err, item) {
+        result = item;
+        done(err);
+      });
+    });
+
+    test.number(result.data)
+    . is(1);
+
+  });
+
+  it('unloads the hive if the scoped function fails', async function () {
+
+    var error = null;
+
+    try {
+      await Registry.withLoadedHive('HKLM\\Seed', hiveFile, { executor: executor }, function () {
+        return Promise.reject(new Error('seeding failed'));
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    test.string(error.message)
+    . is('seeding failed');
+    test.array(calls[calls.length - 1])
+    . is([ 'UNLOAD', 'HKLM\\Seed' ]);
+
+    error = null;
+
+    try {
+      await Registry.withLoadedHive('HKLM\\Seed', hiveFile, { executor: executor }, function () {
+        throw new Error('thrown');
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    test.string(error.message)
+    . is('thrown');
+    test.bool(await new Registry({ hive: Registry.HKLM, key: '\\Seed', executor: executor }).keyExists())
+    . isFalse();
+
+  });
+
+}); // end - describe hive files
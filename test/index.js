@@ -6,16 +6,31 @@ var test  = require('unit.js');
 
 describe('winreg', function(){
   
+  // Registry class
+  var Registry = require(__dirname+'/../lib/registry.js');
+  
+  // without REG.EXE the tests run against the in-memory registry
+  if (process.platform !== 'win32') {
+    
+    before(function () {
+      Registry.defaults.executor = new Registry.MemoryRegistry().executor;
+    });
+    
+    after(function () {
+      Registry.defaults.executor = Registry.spawnExecutor;
+    });
+    
+  }
+  
   it('running on Windows', function () {
     
+    if (process.platform !== 'win32') this.skip();
+    
     test.string(process.platform)
     . is('win32');
     
   });
   
-  // Registry class
-  var Registry = require(__dirname+'/../lib/registry.js');
-  
   it('Registry is a class', function () {
     
     test.function(Registry)
@@ -51,7 +66,8 @@ describe('winreg', function(){
   
   it('can change the prototype', function (done) {
     
-    var magicString = new Date().toISOString();
+    var magicString = new Date().toISOString()
+    ,   toString = Registry.prototype.toString
 
     Registry.prototype.toString = function () {
       return magicString;
@@ -65,6 +81,8 @@ describe('winreg', function(){
     test.string(instance.toString())
     . is(magicString);
 
+    Registry.prototype.toString = toString;
+
     done();
   });
   
@@ -97,6 +115,22 @@ describe('winreg', function(){
         
       });
       
+      it('returns a promise when called without callback', function() {
+        
+        var promise = regKey.keyExists();
+        
+        test.object(promise)
+        . isInstanceOf(Promise);
+        
+        return promise.then(function (exists) {
+          
+          test.bool(exists)
+          . isNotTrue();
+          
+        });
+        
+      });
+      
     }); // end - describe keyExists()
     
     describe('create()', function(){
@@ -222,6 +256,15 @@ describe('winreg', function(){
         
       });
       
+      it('can get a string value using async/await', async function () {
+        
+        var item = await regKey.get('SomeString');
+        
+        test.object(item)
+        . hasProperty('value', 'SomeValue');
+        
+      });
+      
     }); // end - describe get
     
     describe('values()', function (){
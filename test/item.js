@@ -0,0 +1,173 @@
+var test  = require('unit.js');
+
+describe('RegistryItem', function(){
+  
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   memory = new Registry.MemoryRegistry()
+  ,   regKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\MyApp', executor: memory.executor })
+  
+  before(async function () {
+    await regKey.set('Dword', Registry.REG_DWORD, '4294967295');
+    await regKey.set('Qword', Registry.REG_QWORD, '0xffffffffffffffff');
+    await regKey.set('Binary', Registry.REG_BINARY, '00ff10');
+    await regKey.set('None', Registry.REG_NONE, '0102');
+    await regKey.set('Multi', Registry.REG_MULTI_SZ, 'first\\0second');
+    await regKey.set('Expand', Registry.REG_EXPAND_SZ, '%WINREG_TEST_DIR%\\bin;%WINREG_UNDEFINED%');
+    await regKey.set('String', Registry.REG_SZ, '0x10');
+  });
+  
+  it('decodes REG_DWORD values as number', async function () {
+    
+    var item = await regKey.get('Dword');
+    
+    test.string(item.value)
+    . is('0xffffffff');
+    
+    test.number(item.data)
+    . is(4294967295);
+    
+  });
+  
+  it('decodes REG_QWORD values as BigInt', async function () {
+    
+    test.value((await regKey.get('Qword')).data)
+    . is(BigInt('18446744073709551615'));
+    
+  });
+  
+  it('decodes REG_BINARY and REG_NONE values as Buffer', async function () {
+    
+    var binary = (await regKey.get('Binary')).data;
+    
+    test.bool(Buffer.isBuffer(binary))
+    . isTrue();
+    
+    test.array(Array.from(binary))
+    . is([ 0x00, 0xff, 0x10 ]);
+    
+    test.array(Array.from((await regKey.get('None')).data))
+    . is([ 0x01, 0x02 ]);
+    
+  });
+  
+  it('decodes REG_MULTI_SZ values as array of strings', async function () {
+    
+    test.array((await regKey.get('Multi')).data)
+    . is([ 'first', 'second' ]);
+    
+  });
+  
+  it('expands REG_EXPAND_SZ values on request', async function () {
+    
+    var item = await regKey.get('Expand');
+    
+    process.env.WINREG_TEST_DIR = 'C:\\MyApp';
+    
+    test.string(item.data)
+    . is('%WINREG_TEST_DIR%\\bin;%WINREG_UNDEFINED%');
+    
+    test.string(item.decode({ expand: true }))
+    . is('C:\\MyApp\\bin;%WINREG_UNDEFINED%');
+    
+    delete process.env.WINREG_TEST_DIR;
+    
+  });
+  
+  it('keeps REG_SZ values as string', async function () {
+    
+    test.string((await regKey.get('String')).data)
+    . is('0x10');
+    
+  });
+  
+  describe('typed set()', function (){
+    
+    // records the argument vectors and runs them against the in-memory registry
+    var calls = []
+    ,   recorded = new Registry({
+          hive:     Registry.HKCU,
+          key:      '\\Software\\MyApp',
+          executor: function (args, cb) {
+            calls.push(args);
+            memory.executor(args, cb);
+          }
+        })
+    
+    beforeEach(function () {
+      calls.length = 0;
+    });
+    
+    it('round-trips numbers, BigInts, Buffers and arrays', async function () {
+      
+      await recorded.set('Dword', Registry.REG_DWORD, 31);
+      await recorded.set('Qword', Registry.REG_QWORD, BigInt('0x123456789abcdef0'));
+      await recorded.set('Binary', Registry.REG_BINARY, new Uint8Array([ 1, 2, 254 ]));
+      await recorded.set('Multi', Registry.REG_MULTI_SZ, [ 'C:\\one', 'two' ]);
+      
+      test.number((await recorded.get('Dword')).data)
+      . is(31);
+      
+      test.value((await recorded.get('Qword')).data)
+      . is(BigInt('0x123456789abcdef0'));
+      
+      test.array(Array.from((await recorded.get('Binary')).data))
+      . is([ 1, 2, 254 ]);
+      
+      test.array((await recorded.get('Multi')).data)
+      . is([ 'C:\\one', 'two' ]);
+      
+      test.array(calls.map(function (args) { return args[args.indexOf('/d') + 1]; }).slice(0, 4))
+      . is([ '31', '1311768467463790320', '0102FE', 'C:\\one\\0two' ]);
+      
+    });
+    
+    it('passes a custom REG_MULTI_SZ separator with /s', async function () {
+      
+      await recorded.set('Multi', Registry.REG_MULTI_SZ, [ 'a\\0', 'b' ], { separator: '|' });
+      
+      test.array(calls[0])
+      . is([ 'ADD', 'HKCU\\Software\\MyApp', '/v', 'Multi', '/t', 'REG_MULTI_SZ', '/s', '|', '/d', 'a\\0|b', '/f' ]);
+      
+    });
+    
+    it('rejects invalid values before running REG', async function () {
+      
+      var invalid = [
+        [ Registry.REG_DWORD, -1 ],
+        [ Registry.REG_DWORD, 4294967296 ],
+        [ Registry.REG_DWORD, 1.5 ],
+        [ Registry.REG_DWORD, 'ten' ],
+        [ Registry.REG_QWORD, BigInt('0x10000000000000000') ],
+        [ Registry.REG_BINARY, 'xyz' ],
+        [ Registry.REG_BINARY, 123 ],
+        [ Registry.REG_MULTI_SZ, [ 'a\\0b' ] ],
+        [ Registry.REG_MULTI_SZ, [ 'a', '' ] ],
+        [ Registry.REG_SZ, 'a\u0000b' ],
+        [ Registry.REG_SZ, { toString: null } ]
+      ];
+      
+      for (var i = 0; i < invalid.length; i++) {
+        
+        var rejected = await recorded.set('Invalid', invalid[i][0], invalid[i][1]).then(function () { return false; }, function () { return true; });
+        
+        test.bool(rejected)
+        . isTrue();
+        
+      }
+      
+      test.number(calls.length)
+      . is(0);
+      
+    });
+    
+    it('rejects a separator for other types than REG_MULTI_SZ', function () {
+      
+      test.exception(function () {
+        recorded.set('Invalid', Registry.REG_SZ, 'value', { separator: '|' }, function () {});
+      });
+      
+    });
+    
+  }); // end - describe typed set()
+  
+}); // end - describe RegistryItem
@@ -0,0 +1,154 @@
+var test  = require('unit.js');
+
+describe('MemoryRegistry', function(){
+  
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   memory = new Registry.MemoryRegistry()
+  
+  // creates a registry key backed by the in-memory registry
+  function memoryKey(hive, key, arch) {
+    return new Registry({ hive: hive, key: key, arch: arch, executor: memory.executor });
+  }
+  
+  beforeEach(function () {
+    memory.reset();
+  });
+  
+  it('is exported by Registry', function () {
+    
+    test.function(Registry.MemoryRegistry)
+    . hasName('MemoryRegistry');
+    
+  });
+  
+  it('fails with exit code 1 for missing keys', function () {
+    
+    return memoryKey(Registry.HKCU, '\\Software\\Missing').values().then(function () {
+      
+      throw new Error('expected values() to fail');
+      
+    }, function (err) {
+      
+      test.object(err)
+      . isInstanceOf(Registry.ProcessUncleanExitError)
+      . hasProperty('name', 'KeyNotFoundError')
+      . hasProperty('code', 1);
+      
+    });
+    
+  });
+  
+  it('treats key paths and value names case-insensitively', async function () {
+    
+    await memoryKey(Registry.HKCU, '\\Software\\MyApp').set('Version', Registry.REG_SZ, '1.0');
+    
+    var item = await memoryKey(Registry.HKCU, '\\SOFTWARE\\myapp').get('VERSION');
+    
+    test.object(item)
+    . hasProperty('name', 'Version')
+    . hasProperty('value', '1.0');
+    
+  });
+  
+  it('prints typed values the way REG does', async function () {
+    
+    var regKey = memoryKey(Registry.HKCU, '\\Software\\MyApp');
+    
+    await regKey.set('', Registry.REG_SZ, 'Default');
+    await regKey.set('Dword', Registry.REG_DWORD, '31');
+    await regKey.set('Qword', Registry.REG_QWORD, '0x100000000');
+    await regKey.set('Binary', Registry.REG_BINARY, '0aff');
+    await regKey.set('Multi', Registry.REG_MULTI_SZ, 'a\\0b');
+    
+    var items = await regKey.values();
+    
+    test.array(items.map(function (item) { return [ item.name, item.type, item.value ]; }))
+    . is([
+      [ '(Default)', Registry.REG_SZ, 'Default' ],
+      [ 'Dword', Registry.REG_DWORD, '0x1f' ],
+      [ 'Qword', Registry.REG_QWORD, '0x100000000' ],
+      [ 'Binary', Registry.REG_BINARY, '0AFF' ],
+      [ 'Multi', Registry.REG_MULTI_SZ, 'a\\0b' ]
+    ]);
+    
+  });
+  
+  it('prints a placeholder for a default value that isn\'t set', async function () {
+    
+    var regKey = memoryKey(Registry.HKCU, '\\Software\\MyApp');
+    
+    await regKey.set('Name', Registry.REG_SZ, 'x');
+    
+    test.object(memory.exec([ 'QUERY', 'HKCU\\Software\\MyApp', '/ve' ]))
+    . hasProperty('code', 0)
+    . hasProperty('stdout', '\r\nHKEY_CURRENT_USER\\Software\\MyApp\r\n    (Default)    REG_SZ    (value not set)\r\n\r\n');
+    
+    test.number(memory.exec([ 'QUERY', 'HKCU\\Software\\Missing', '/ve' ]).code)
+    . is(1);
+    
+    // key listings only print values that are set
+    test.array((await regKey.values()).map(function (item) { return item.name; }))
+    . is([ 'Name' ]);
+    
+    test.bool(await regKey.valueExists(Registry.DEFAULT_VALUE))
+    . isFalse();
+    
+    await regKey.set(Registry.DEFAULT_VALUE, Registry.REG_SZ, 'set');
+    
+    test.bool(await regKey.valueExists(Registry.DEFAULT_VALUE))
+    . isTrue();
+    
+  });
+  
+  it('rejects data that does not match the value type', function () {
+    
+    var result = memory.exec([ 'ADD', 'HKCU\\Software\\MyApp', '/v', 'Dword', '/t', 'REG_DWORD', '/d', '0x100000000', '/f' ]);
+    
+    test.number(result.code)
+    . is(1);
+    
+    test.string(result.stderr)
+    . contains('ERROR');
+    
+  });
+  
+  it('creates, clears and destroys keys', async function () {
+    
+    var regKey = memoryKey(Registry.HKLM, '\\Software\\MyApp\\Settings');
+    
+    await regKey.create();
+    await regKey.set('Name', Registry.REG_SZ, 'Value');
+    
+    test.array((await regKey.parent.keys()).map(function (key) { return key.key; }))
+    . is([ '\\Software\\MyApp\\Settings' ]);
+    
+    await regKey.clear();
+    
+    test.array(await regKey.values())
+    . isEmpty();
+    
+    test.bool(await regKey.valueExists('Name'))
+    . isFalse();
+    
+    await regKey.parent.destroy();
+    
+    test.bool(await regKey.keyExists())
+    . isFalse();
+    
+  });
+  
+  it('redirects the 32 bit view of HKLM\\Software to WOW6432Node', async function () {
+    
+    await memoryKey(Registry.HKLM, '\\Software\\MyApp', 'x86').set('Bits', Registry.REG_SZ, '32');
+    
+    test.bool(await memoryKey(Registry.HKLM, '\\Software\\MyApp', 'x64').keyExists())
+    . isFalse();
+    
+    var item = await memoryKey(Registry.HKLM, '\\Software\\WOW6432Node\\MyApp').get('Bits');
+    
+    test.string(item.value)
+    . is('32');
+    
+  });
+  
+}); // end - describe MemoryRegistry
@@ -0,0 +1,234 @@
+var test  = require('unit.js')
+,   fs    = require('fs')
+,   path  = require('path');
+
+describe('parser', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   parser = Registry.parser
+
+  // reads a fixture file of real REG QUERY output
+  function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'reg-query', name), 'utf8');
+  }
+
+  // creates an executor that answers every command with the given output
+  function replaying(stdout) {
+    return function (args, cb) {
+      setImmediate(function () {
+        cb(null, { stdout: stdout, stderr: '', code: 0 });
+      });
+    };
+  }
+
+  describe('parse()', function () {
+
+    it('parses the values and subkeys of a key', function () {
+
+      var keys = parser.parse(fixture('values.txt'))
+
+      test.array(keys.map(function (key) { return key.key; }))
+      . is([ '\\Software\\MyApp', '\\Software\\MyApp\\Plugins', '\\Software\\MyApp\\Settings' ]);
+
+      test.object(keys[0])
+      . hasProperty('host', null)
+      . hasProperty('hive', 'HKCU')
+      . hasProperty('path', 'HKEY_CURRENT_USER\\Software\\MyApp');
+
+      test.array(keys[0].values.map(function (value) { return [ value.name, value.type, value.data ].join('|'); }))
+      . is([
+        '(Default)|REG_SZ|(value not set)',
+        'InstallPath|REG_SZ|C:\\Program Files\\MyApp',
+        'Empty|REG_SZ|',
+        'Two  Spaces|REG_SZ|x',
+        'Four    Spaces|REG_SZ|y',
+        'Type REG_DWORD in name|REG_SZ|z',
+        'Description|REG_SZ|stored as REG_SZ    not REG_DWORD',
+        'Padded|REG_SZ|trailing  ',
+        'Flags|REG_DWORD|0x1f',
+        'Size|REG_QWORD|0x100000000',
+        'Path|REG_EXPAND_SZ|%ProgramFiles%\\MyApp',
+        'Plugins|REG_MULTI_SZ|spell\\0grammar',
+        'NoPlugins|REG_MULTI_SZ|',
+        'Blob|REG_BINARY|0001FF',
+        'Nothing|REG_NONE|'
+      ]);
+
+    });
+
+    it('skips the header of REG.EXE 3.0 and reads tab separated columns', function () {
+
+      var keys = parser.parse(fixture('xp.txt'))
+
+      test.number(keys.length)
+      . is(1);
+
+      test.object(keys[0].values[0])
+      . is({ name: 'ProgramFilesDir', type: 'REG_SZ', data: 'C:\\Program Files' });
+
+    });
+
+    it('parses recursive output', function () {
+
+      var keys = parser.parse(fixture('recursive.txt'))
+
+      test.array(keys.map(function (key) { return key.key + ' ' + key.values.length; }))
+      . is([
+        '\\Software\\MyApp 1',
+        '\\Software\\MyApp\\Plugins 0',
+        '\\Software\\MyApp\\Plugins\\Spell 2',
+        '\\Software\\MyApp\\Settings 1'
+      ]);
+
+    });
+
+    it('skips the summary of a search', function () {
+
+      var keys = parser.parse(fixture('find.txt'))
+
+      test.array(keys.map(function (key) { return key.key; }))
+      . is([ '\\Software\\MyApp', '\\Software\\MyApp\\MyProduct Updates' ]);
+
+      test.number(keys[1].values.length)
+      . is(0);
+
+    });
+
+    it('recognizes all value types', function () {
+
+      var keys = parser.parse(fixture('hardware.txt'))
+
+      test.array(keys[0].values.map(function (value) { return value.type; }))
+      . is([
+        'REG_BINARY',
+        'REG_SZ',
+        'REG_FULL_RESOURCE_DESCRIPTOR',
+        'REG_RESOURCE_LIST',
+        'REG_RESOURCE_REQUIREMENTS_LIST',
+        'REG_DWORD_BIG_ENDIAN',
+        'REG_LINK'
+      ]);
+
+      test.string(keys[0].values[0].name)
+      . is('Component Information');
+
+    });
+
+    it('strips the host of remote keys', function () {
+
+      var keys = parser.parse(fixture('remote.txt'))
+
+      test.object(keys[0])
+      . hasProperty('host', 'fileserver')
+      . hasProperty('hive', 'HKLM')
+      . hasProperty('key', '\\SOFTWARE\\MyApp')
+      . hasProperty('path', 'HKEY_LOCAL_MACHINE\\SOFTWARE\\MyApp');
+
+    });
+
+  });
+
+  describe('parseItem()', function () {
+
+    it('parses value lines with other column separators', function () {
+
+      test.object(parser.parseItem('Name  REG_SZ  two  spaces', '  '))
+      . is({ name: 'Name', type: 'REG_SZ', data: 'two  spaces' });
+
+      test.value(parser.parseItem('no value line'))
+      . isNull();
+
+    });
+
+  });
+
+  describe('valueName() and isUnsetDefault()', function () {
+
+    it('recognize the default value in the languages of REG', function () {
+
+      test.array([ '(Default)', '(Standard)', '(par défaut)', '(Predeterminado)', '(Predefinito)', '(Padrão)', '(Standaard)', '<NO NAME>', 'Name', '(Other)' ].map(parser.valueName))
+      . is([ '', '', '', '', '', '', '', '', 'Name', '(Other)' ]);
+
+    });
+
+    it('recognize the placeholder of an unset default value', function () {
+
+      test.bool(parser.isUnsetDefault('(Default)', 'REG_SZ', '(value not set)'))
+      . isTrue();
+      test.bool(parser.isUnsetDefault('(Standard)', 'REG_SZ', '(Wert nicht festgelegt)'))
+      . isTrue();
+      test.bool(parser.isUnsetDefault('Name', 'REG_SZ', '(value not set)'))
+      . isFalse();
+      test.bool(parser.isUnsetDefault('(Default)', 'REG_SZ', 'set'))
+      . isFalse();
+
+    });
+
+  });
+
+  describe('registry methods', function () {
+
+    it('return empty values and keep trailing whitespace', async function () {
+
+      var regKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\MyApp', executor: replaying(fixture('values.txt')) })
+      ,   values = await regKey.values()
+
+      test.number(values.length)
+      . is(15);
+
+      test.string(values[2].value)
+      . is('');
+
+      test.array(values[12].data)
+      . is([]);
+
+      test.string(values[7].data)
+      . is('trailing  ');
+
+      test.array((await regKey.keys()).map(function (key) { return key.key; }))
+      . is([ '\\Software\\MyApp\\Plugins', '\\Software\\MyApp\\Settings' ]);
+
+    });
+
+    it('get a value from the output of REG.EXE 3.0', async function () {
+
+      var regKey = new Registry({ hive: Registry.HKLM, key: '\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion', executor: replaying(fixture('xp.txt')) })
+
+      test.string((await regKey.get('ProgramFilesDir')).value)
+      . is('C:\\Program Files');
+
+    });
+
+    it('decode the values of the read-only types', async function () {
+
+      var regKey = new Registry({ hive: Registry.HKLM, key: '\\HARDWARE\\DESCRIPTION\\System', executor: replaying(fixture('hardware.txt')) })
+      ,   values = await regKey.values()
+
+      test.number(values[5].data)
+      . is(0x12345678);
+
+      test.bool(Buffer.isBuffer(values[3].data))
+      . isTrue();
+
+      test.string(values[6].data)
+      . is('\\Registry\\Machine\\SYSTEM\\ControlSet001');
+
+    });
+
+    it('return empty values of the in-memory registry', async function () {
+
+      var regKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\ParserTest', executor: new Registry.MemoryRegistry().executor })
+
+      await regKey.set('Empty', Registry.REG_SZ, '');
+
+      test.string((await regKey.get('Empty')).value)
+      . is('');
+
+      test.number((await regKey.values()).length)
+      . is(1);
+
+    });
+
+  });
+
+}); // end - describe parser
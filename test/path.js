@@ -0,0 +1,189 @@
+var test  = require('unit.js');
+
+describe('paths', function(){
+  
+  var Registry = require(__dirname+'/../lib/registry.js')
+  
+  describe('Registry.fromPath()', function (){
+    
+    it('accepts short hive ids and long hive names', function () {
+      
+      var short = Registry.fromPath('HKLM\\Software\\MyApp')
+      ,   long = Registry.fromPath('HKEY_LOCAL_MACHINE\\Software\\MyApp')
+      
+      test.object(short)
+      . isInstanceOf(Registry)
+      . hasProperty('host', '')
+      . hasProperty('hive', Registry.HKLM)
+      . hasProperty('key', '\\Software\\MyApp');
+      
+      test.object(long)
+      . hasProperty('hive', Registry.HKLM)
+      . hasProperty('key', '\\Software\\MyApp');
+      
+    });
+    
+    it('accepts remote paths, hive roots and trailing backslashes', function () {
+      
+      test.object(Registry.fromPath('\\\\server\\hkcu\\Software\\'))
+      . hasProperty('host', 'server')
+      . hasProperty('hive', Registry.HKCU)
+      . hasProperty('key', '\\Software');
+      
+      test.object(Registry.fromPath('HKEY_USERS'))
+      . hasProperty('hive', Registry.HKU)
+      . hasProperty('key', '');
+      
+    });
+    
+    it('passes further options on', function () {
+      
+      var executor = function () {};
+      
+      test.object(Registry.fromPath('HKLM\\Software', { arch: 'x86', executor: executor, hive: Registry.HKCU }))
+      . hasProperty('hive', Registry.HKLM)
+      . hasProperty('arch', 'x86')
+      . hasProperty('executor', executor);
+      
+    });
+    
+    it('uses the host option only for paths without host', function () {
+      
+      test.object(Registry.fromPath('HKLM\\Software', { host: 'srv1' }))
+      . hasProperty('host', 'srv1');
+      
+      test.object(Registry.fromPath('\\\\srv2\\HKLM\\Software', { host: 'srv1' }))
+      . hasProperty('host', 'srv2');
+      
+    });
+    
+    it('rejects malformed paths', function () {
+      
+      [ '', '\\\\server', '\\\\server\\', 'HKEY_FOO\\Software', 'HKLM\\Software\\\\MyApp', 'HKLM\\Software\\\\' ].forEach(function (path) {
+        test.exception(function () {
+          Registry.fromPath(path);
+        });
+      });
+      
+      test.exception(function () {
+        Registry.fromPath(null);
+      });
+      
+    });
+    
+  }); // end - describe Registry.fromPath()
+  
+  describe('navigation', function (){
+    
+    var softwareKey = Registry.fromPath('\\\\server\\HKCU\\Software', { arch: 'x64' });
+    
+    it('child() returns a direct subkey', function () {
+      
+      test.object(softwareKey.child('Microsoft'))
+      . hasProperty('host', 'server')
+      . hasProperty('hive', Registry.HKCU)
+      . hasProperty('key', '\\Software\\Microsoft')
+      . hasProperty('arch', 'x64');
+      
+      test.exception(function () {
+        softwareKey.child('Microsoft\\Windows');
+      });
+      
+      test.exception(function () {
+        softwareKey.child('');
+      });
+      
+    });
+    
+    it('join() returns a subkey below', function () {
+      
+      test.string(softwareKey.join('Microsoft\\Windows', 'CurrentVersion', 'Run').key)
+      . is('\\Software\\Microsoft\\Windows\\CurrentVersion\\Run');
+      
+      test.string(softwareKey.join().key)
+      . is('\\Software');
+      
+      test.exception(function () {
+        softwareKey.join('Microsoft\\\\Windows');
+      });
+      
+    });
+    
+    it('child() and parent mirror each other', function () {
+      
+      test.string(softwareKey.child('Classes').parent.toString())
+      . is(softwareKey.toString());
+      
+    });
+    
+    it('toString() returns the canonical path', function () {
+      
+      test.string(softwareKey.join('Microsoft').toString())
+      . is('\\\\server\\HKCU\\Software\\Microsoft');
+      
+      test.string(Registry.fromPath('HKEY_CLASSES_ROOT\\.txt').toString())
+      . is('HKCR\\.txt');
+      
+      test.string(Registry.fromPath(softwareKey.toString()).toString())
+      . is(softwareKey.toString());
+      
+    });
+    
+  }); // end - describe navigation
+  
+  describe('key validation', function (){
+    
+    // creates a registry object for a key in HKLM
+    function hklm(key) {
+      return new Registry({ hive: Registry.HKLM, key: key });
+    }
+    
+    it('accepts real-world key names', function () {
+      
+      [
+        '',
+        '\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\Uninstall\\{8BC2A3F4-1111-2222-3333-444455556666}',
+        '\\SOFTWARE\\Microsoft\\Microsoft.NET',
+        '\\SOFTWARE\\Classes\\.txt',
+        '\\SOFTWARE\\Classes\\*\\shellex',
+        '\\SOFTWARE\\Vendor (x86)\\Product-Name_1.0 [beta]',
+        '\\SOFTWARE\\Grüße\\日本語',
+        '\\' + 'k'.repeat(255)
+      ].forEach(function (key) {
+        
+        test.string(hklm(key).key)
+        . is(key);
+        
+      });
+      
+    });
+    
+    it('accepts keys nested up to 512 levels', function () {
+      
+      test.object(hklm(new Array(513).join('\\k')))
+      . isInstanceOf(Registry);
+      
+    });
+    
+    it('rejects keys that break the rules', function () {
+      
+      [
+        [ 'SOFTWARE\\Microsoft', /start with a backslash/ ],
+        [ '\\SOFTWARE\\\\Microsoft', /empty key name at level 2/ ],
+        [ '\\SOFTWARE\\', /empty key name at level 2/ ],
+        [ '\\' + 'k'.repeat(256), /longer than 255 characters/ ],
+        [ new Array(514).join('\\k'), /deeper than 512 levels/ ],
+        [ '\\SOFTWARE\\Tab\there', /control characters/ ]
+      ].forEach(function (invalid) {
+        
+        test.exception(function () {
+          hklm(invalid[0]);
+        }).match(invalid[1]);
+        
+      });
+      
+    });
+    
+  }); // end - describe key validation
+  
+}); // end - describe paths
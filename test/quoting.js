@@ -0,0 +1,124 @@
+var test  = require('unit.js');
+
+describe('quoteArgument', function(){
+  
+  var Registry = require(__dirname+'/../lib/registry.js')
+  
+  // splits a command line into arguments the way CommandLineToArgvW does
+  function parseCommandLine(line) {
+    var args = []
+    ,   i = 0
+    
+    while (i < line.length) {
+      
+      while (line[i] == ' ' || line[i] == '\t') i++;
+      if (i >= line.length) break;
+      
+      var arg = ''
+      ,   quoted = false
+      
+      while (i < line.length && (quoted || (line[i] != ' ' && line[i] != '\t'))) {
+        if (line[i] == '\\') {
+          var n = 0;
+          while (line[i] == '\\') { n++; i++; }
+          if (line[i] == '"') {
+            arg += '\\'.repeat(Math.floor(n / 2));
+            if (n % 2 == 1) { arg += '"'; i++; }
+          } else {
+            arg += '\\'.repeat(n);
+          }
+        } else if (line[i] == '"') {
+          quoted = !quoted;
+          i++;
+        } else {
+          arg += line[i++];
+        }
+      }
+      
+      args.push(arg);
+    }
+    
+    return args;
+  }
+  
+  var nasty = [
+    '',
+    ' ',
+    'plain',
+    'with space',
+    'tab\there',
+    'new\r\nline',
+    'say "hi"',
+    '"',
+    '""',
+    'C:\\Program Files\\',
+    'C:\\Temp\\',
+    'back\\\\"slash',
+    'trailing\\\\',
+    '%PATH%',
+    '^&|<>()!',
+    'a & calc.exe',
+    '" & echo pwned & "',
+    'ünïcödé 日本'
+  ];
+  
+  it('leaves simple arguments unchanged', function () {
+    
+    test.string(Registry.quoteArgument('HKCU\\Software\\My.App'))
+    . is('HKCU\\Software\\My.App');
+    
+    test.string(Registry.quoteArgument('%PATH%^&|'))
+    . is('%PATH%^&|');
+    
+  });
+  
+  it('quotes empty arguments and arguments with whitespace', function () {
+    
+    test.string(Registry.quoteArgument(''))
+    . is('""');
+    
+    test.string(Registry.quoteArgument('C:\\Program Files\\'))
+    . is('"C:\\Program Files\\\\"');
+    
+  });
+  
+  it('escapes double quotes and the backslashes preceding them', function () {
+    
+    test.string(Registry.quoteArgument('say "hi"'))
+    . is('"say \\"hi\\""');
+    
+    test.string(Registry.quoteArgument('back\\"slash'))
+    . is('"back\\\\\\"slash"');
+    
+  });
+  
+  it('round-trips nasty arguments through the command line parser', function () {
+    
+    var line = nasty.map(Registry.quoteArgument).join(' ');
+    
+    test.array(parseCommandLine(line))
+    . is(nasty);
+    
+  });
+  
+  it('round-trips nasty value names and data through the registry', async function () {
+    
+    var memory = new Registry.MemoryRegistry()
+    ,   regKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\My App', executor: memory.executor })
+    
+    for (var i = 1; i < nasty.length; i++) {
+      
+      if (/[\r\n]/.test(nasty[i])) continue; // REG QUERY output is line based
+      
+      await regKey.set('name ' + nasty[i], Registry.REG_SZ, '[' + nasty[i] + ']');
+      
+      var item = await regKey.get('name ' + nasty[i]);
+      
+      test.string(item.value)
+      . is('[' + nasty[i] + ']');
+      
+    }
+    
+  });
+  
+}); // end - describe quoteArgument
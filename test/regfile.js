@@ -0,0 +1,213 @@
+var test  = require('unit.js')
+,   fs    = require('fs')
+,   path  = require('path');
+
+describe('regfile', function(){
+  
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   regfile = Registry.regfile
+  
+  // reads a fixture file
+  function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'regfile', name));
+  }
+  
+  describe('parse()', function (){
+    
+    it('parses a UTF-16LE version 5.00 file with typed values', function () {
+      
+      var parsed = regfile.parse(fixture('version5.reg'))
+      ,   values = parsed.keys[0].values
+      
+      test.string(parsed.version)
+      . is('5.00');
+      
+      test.array(parsed.keys.map(function (key) { return key.path; }))
+      . is([ 'HKEY_CURRENT_USER\\Software\\MyApp', 'HKEY_CURRENT_USER\\Software\\MyApp\\Grüße' ]);
+      
+      test.array(values.map(function (value) { return value.name + ' ' + value.type; }))
+      . is([
+        ' REG_SZ',
+        'InstallPath REG_SZ',
+        'Flags REG_DWORD',
+        'Size REG_QWORD',
+        'Path REG_EXPAND_SZ',
+        'Plugins REG_MULTI_SZ',
+        'Blob REG_BINARY',
+        'Empty REG_SZ',
+        'Nothing REG_NONE'
+      ]);
+      
+      test.string(values[1].data)
+      . is('C:\\Program Files\\My "App"\\');
+      
+      test.number(values[2].data)
+      . is(31);
+      
+      test.value(values[3].data)
+      . is(BigInt(4294967296));
+      
+      test.string(values[4].data)
+      . is('%PROGRAMFILES%\\MyApp');
+      
+      test.array(values[5].data)
+      . is([ 'Spell', 'Grammar' ]);
+      
+      test.array(Array.from(values[6].data))
+      . is([ 1, 2, 3 ]);
+      
+      test.string(parsed.keys[1].values[0].data)
+      . is('Grüß Gott');
+      
+      test.object(parsed.keys[1].values[1])
+      . hasProperty('type', 'REG_DWORD_BIG_ENDIAN')
+      . hasProperty('data', 256);
+      
+    });
+    
+    it('parses key and value deletions of a REGEDIT4 file', function () {
+      
+      var parsed = regfile.parse(fixture('regedit4.reg'));
+      
+      test.string(parsed.version)
+      . is('4');
+      
+      test.object(parsed.keys[0])
+      . hasProperty('path', 'HKEY_CURRENT_USER\\Software\\OldApp')
+      . hasProperty('deleted', true);
+      
+      test.object(parsed.keys[1].values[0])
+      . hasProperty('name', 'Obsolete')
+      . hasProperty('deleted', true);
+      
+      test.string(parsed.keys[1].values[1].data)
+      . is('%PATH%');
+      
+      test.string(parsed.keys[1].values[2].data)
+      . is('Müller');
+      
+    });
+    
+    it('joins continued lines and skips comments', function () {
+      
+      var parsed = regfile.parse([
+        'Windows Registry Editor Version 5.00',
+        '; exported for the tests',
+        '[HKEY_LOCAL_MACHINE\\Software\\MyApp]',
+        '"Blob" = hex:01,02,\\',
+        '    03,  \\',
+        '  04',
+        '@=dword:ffffffff'
+      ].join('\n'));
+      
+      test.array(Array.from(parsed.keys[0].values[0].data))
+      . is([ 1, 2, 3, 4 ]);
+      
+      test.object(parsed.keys[0].values[1])
+      . hasProperty('name', '')
+      . hasProperty('data', 4294967295);
+      
+    });
+    
+    it('rejects malformed files', function () {
+      
+      [
+        'Windows Registry Editor Version 6.00\r\n',
+        'REGEDIT4\r\n"Name"="value outside of a key"\r\n',
+        'REGEDIT4\r\n[HKEY_CURRENT_USER\\Software\r\n',
+        'REGEDIT4\r\n[HKEY_CURRENT_USER\\Software]\r\n"Name"="unterminated\r\n',
+        'REGEDIT4\r\n[HKEY_CURRENT_USER\\Software]\r\n"Name"=dword:1\r\n',
+        'REGEDIT4\r\n[HKEY_CURRENT_USER\\Software]\r\n"Name"=hex:1,2\r\n',
+        ''
+      ].forEach(function (content) {
+        test.exception(function () {
+          regfile.parse(content);
+        }).match(/illegal \.reg file/);
+      });
+      
+    });
+    
+  }); // end - describe parse()
+  
+  describe('serialize()', function (){
+    
+    it('writes byte-identical version 5.00 files', function () {
+      
+      var content = fixture('version5.reg');
+      
+      test.bool(regfile.serialize(regfile.parse(content)).equals(content))
+      . isTrue();
+      
+    });
+    
+    it('writes byte-identical REGEDIT4 files', function () {
+      
+      var content = fixture('regedit4.reg');
+      
+      test.bool(regfile.serialize(regfile.parse(content)).equals(content))
+      . isTrue();
+      
+    });
+    
+    it('converts between the file versions', function () {
+      
+      var parsed = regfile.parse(fixture('regedit4.reg'))
+      ,   text = regfile.stringify(parsed, { version: '5.00' })
+      
+      test.string(text)
+      . startsWith('Windows Registry Editor Version 5.00\r\n')
+      . contains('"Path"=hex(2):25,00,50,00,41,00,54,00,48,00,25,00,00,00\r\n');
+      
+      test.array(regfile.parse(text).keys)
+      . is(parsed.keys);
+      
+    });
+    
+    it('writes a tree of registry keys', async function () {
+      
+      var memory = new Registry.MemoryRegistry()
+      ,   regKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\MyApp', executor: memory.executor })
+      
+      await regKey.set('', Registry.REG_SZ, 'My Application');
+      await regKey.set('Flags', Registry.REG_DWORD, 31);
+      await regKey.child('Plugins').set('List', Registry.REG_MULTI_SZ, [ 'Spell', 'Grammar' ]);
+      
+      test.string(regfile.stringify(await regKey.tree()))
+      . is([
+        'Windows Registry Editor Version 5.00',
+        '',
+        '[HKEY_CURRENT_USER\\Software\\MyApp]',
+        '@="My Application"',
+        '"Flags"=dword:0000001f',
+        '',
+        '[HKEY_CURRENT_USER\\Software\\MyApp\\Plugins]',
+        '"List"=hex(7):53,00,70,00,65,00,6c,00,6c,00,00,00,47,00,72,00,61,00,6d,00,6d,\\',
+        '  00,61,00,72,00,00,00,00,00',
+        '',
+        ''
+      ].join('\r\n'));
+      
+    });
+    
+    it('writes the localized default value of a tree and skips an unset one', async function () {
+      
+      var regKey = new Registry({
+            hive:     Registry.HKCU,
+            key:      '\\Software\\MyApp',
+            executor: function (args, cb) {
+              setImmediate(function () {
+                cb(null, { stdout: '\r\nHKEY_CURRENT_USER\\Software\\MyApp\r\n    (Standard)    REG_SZ    Meine Anwendung\r\n\r\n' +
+                  'HKEY_CURRENT_USER\\Software\\MyApp\\Unset\r\n    (Standard)    REG_SZ    (Wert nicht festgelegt)\r\n\r\n', stderr: '', code: 0 });
+              });
+            }
+          })
+      
+      test.string(regfile.stringify(await regKey.tree()))
+      . is('Windows Registry Editor Version 5.00\r\n\r\n[HKEY_CURRENT_USER\\Software\\MyApp]\r\n@="Meine Anwendung"\r\n\r\n' +
+        '[HKEY_CURRENT_USER\\Software\\MyApp\\Unset]\r\n\r\n');
+      
+    });
+    
+  }); // end - describe serialize()
+  
+}); // end - describe regfile
@@ -0,0 +1,160 @@
+var test  = require('unit.js');
+
+describe('scheduler', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   scheduler = Registry.scheduler
+  ,   started = []    // argument vectors of the started commands
+  ,   pending = []    // callbacks of the running commands
+  ,   executor = function (args, cb) {
+        started.push(args);
+        pending.push(cb);
+        return { kill: function () { cb(null, { stdout: '', stderr: 'killed', code: 1 }); } };
+      }
+  ,   appKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\SchedulerTest', executor: executor })
+  ,   saved
+
+  // lets the oldest running command exit successfully
+  function finishOne() {
+    pending.shift()(null, { stdout: '', stderr: '', code: 0 });
+  }
+
+  before(function () {
+    saved = { concurrency: Registry.defaults.concurrency, prioritizeWrites: Registry.defaults.prioritizeWrites };
+  });
+
+  afterEach(function () {
+    scheduler.clear();
+    while (pending.length > 0)
+      finishOne();
+    started.length = 0;
+    Registry.defaults.concurrency = saved.concurrency;
+    Registry.defaults.prioritizeWrites = saved.prioritizeWrites;
+  });
+
+  it('limits the number of concurrent commands', function () {
+
+    Registry.defaults.concurrency = 2;
+
+    for (var i = 0; i < 5; i++)
+      appKey.get('Value' + i, function () {});
+
+    test.number(started.length)
+    . is(2);
+    test.number(scheduler.running)
+    . is(2);
+    test.number(scheduler.pending)
+    . is(3);
+
+    finishOne();
+
+    test.number(started.length)
+    . is(3);
+    test.number(scheduler.pending)
+    . is(2);
+
+  });
+
+  it('starts waiting commands in FIFO order', function () {
+
+    Registry.defaults.concurrency = 1;
+
+    appKey.get('First', function () {});
+    appKey.set('Second', Registry.REG_SZ, 'x', function () {});
+    appKey.get('Third', function () {});
+
+    test.array(scheduler.queue.map(function (args) { return args[0] + ' ' + args[args.indexOf('/v') + 1]; }))
+    . is([ 'ADD Second', 'QUERY Third' ]);
+
+    finishOne();
+    finishOne();
+
+    test.array(started.map(function (args) { return args[args.indexOf('/v') + 1]; }))
+    . is([ 'First', 'Second', 'Third' ]);
+
+  });
+
+  it('moves writes ahead of reads if enabled', function () {
+
+    Registry.defaults.concurrency = 1;
+    Registry.defaults.prioritizeWrites = true;
+
+    appKey.get('Running', function () {});
+    appKey.get('Read1', function () {});
+    appKey.set('Write1', Registry.REG_SZ, 'x', function () {});
+    appKey.get('Read2', function () {});
+    appKey.remove('Write2', function () {});
+
+    test.array(scheduler.queue.map(function (args) { return args[args.indexOf('/v') + 1]; }))
+    . is([ 'Write1', 'Write2', 'Read1', 'Read2' ]);
+
+  });
+
+  it('drains the queue', async function () {
+
+    var results = [];
+
+    Registry.defaults.concurrency = 1;
+
+    appKey.get('A', function (err) { results.push(err); });
+    appKey.get('B', function (err) { results.push(err); });
+
+    setImmediate(function next() {
+      if (pending.length > 0)
+        finishOne();
+      if (scheduler.running + scheduler.pending > 0)
+        setImmediate(next);
+    });
+
+    await scheduler.drain();
+
+    test.number(results.length)
+    . is(2);
+    test.number(scheduler.running + scheduler.pending)
+    . is(0);
+
+  });
+
+  it('cancels waiting commands', function () {
+
+    var errors = [];
+
+    Registry.defaults.concurrency = 1;
+
+    appKey.get('A', function (err) { errors.push(err); });
+    appKey.get('B', function (err) { errors.push(err); });
+    appKey.get('C', function (err) { errors.push(err); });
+
+    test.number(scheduler.clear())
+    . is(2);
+    test.number(errors.length)
+    . is(2);
+    test.string(errors[0].message)
+    . is('REG command cancelled.');
+    test.number(started.length)
+    . is(1);
+
+  });
+
+  it('removes a killed command from the queue', function () {
+
+    var watcher;
+
+    Registry.defaults.concurrency = 1;
+
+    appKey.get('Running', function () {});
+    watcher = appKey.watch({ interval: 5 });
+
+    return new Promise(function (resolve) { setTimeout(resolve, 10); }).then(function () {
+      test.number(scheduler.pending)
+      . is(1);
+
+      watcher.stop();
+
+      test.number(scheduler.pending)
+      . is(0);
+    });
+
+  });
+
+}); // end - describe scheduler
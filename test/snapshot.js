@@ -0,0 +1,199 @@
+var test  = require('unit.js');
+
+describe('snapshot', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   memory = new Registry.MemoryRegistry()
+  ,   appKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\SnapshotTest', executor: memory.executor })
+
+  beforeEach(async function () {
+    memory.reset();
+    await appKey.set(Registry.DEFAULT_VALUE, Registry.REG_SZ, 'product');
+    await appKey.set('Count', Registry.REG_DWORD, 3);
+    await appKey.set('Big', Registry.REG_QWORD, BigInt('18446744073709551615'));
+    await appKey.set('Blob', Registry.REG_BINARY, Buffer.from([ 0, 1, 255 ]));
+    await appKey.set('List', Registry.REG_MULTI_SZ, [ 'a', 'b' ]);
+    await appKey.set('Path', Registry.REG_EXPAND_SZ, '%TEMP%\\app');
+    await appKey.child('Settings').set('Level', Registry.REG_DWORD, 1);
+    await appKey.join('Settings', 'Empty').create();
+  });
+
+  it('captures typed values in a JSON-serializable object', async function () {
+
+    var snapshot = await appKey.snapshot();
+
+    test.object(JSON.parse(JSON.stringify(snapshot)))
+    . is(snapshot);
+
+    test.object(snapshot)
+    . is({
+        values: [
+          { name: '', type: 'REG_SZ', data: 'product' },
+          { name: 'Count', type: 'REG_DWORD', data: 3 },
+          { name: 'Big', type: 'REG_QWORD', data: '18446744073709551615' },
+          { name: 'Blob', type: 'REG_BINARY', data: '0001ff' },
+          { name: 'List', type: 'REG_MULTI_SZ', data: [ 'a', 'b' ] },
+          { name: 'Path', type: 'REG_EXPAND_SZ', data: '%TEMP%\\app' }
+        ],
+        keys: [
+          {
+            values: [ { name: 'Level', type: 'REG_DWORD', data: 1 } ],
+            keys: [ { values: [], keys: [], name: 'Empty' } ],
+            name: 'Settings'
+          }
+        ],
+        path: 'HKCU\\Software\\SnapshotTest'
+      });
+
+  });
+
+  it('lists all keys and values of added and removed keys', async function () {
+
+    var before = await appKey.snapshot()
+    ,   diff
+
+    await appKey.set('Count', Registry.REG_DWORD, 4);
+    await appKey.remove('List');
+    await appKey.join('Plugins', 'Spell').set('Enabled', Registry.REG_DWORD, 1);
+    await appKey.child('Settings').destroy();
+
+    diff = Registry.diff(before, await appKey.snapshot());
+
+    test.bool(diff.equal)
+    . isFalse();
+    test.array(diff.keys.added)
+    . is([ '\\Plugins', '\\Plugins\\Spell' ]);
+    test.array(diff.keys.removed)
+    . is([ '\\Settings', '\\Settings\\Empty' ]);
+    test.array(diff.values.added)
+    . is([ { key: '\\Plugins\\Spell', name: 'Enabled', from: null, to: { type: 'REG_DWORD', data: 1 } } ]);
+    test.array(diff.values.removed)
+    . is([
+        { key: '', name: 'List', from: { type: 'REG_MULTI_SZ', data: [ 'a', 'b' ] }, to: null },
+        { key: '\\Settings', name: 'Level', from: { type: 'REG_DWORD', data: 1 }, to: null }
+      ]);
+    test.array(diff.values.changed)
+    . is([ { key: '', name: 'Count', from: { type: 'REG_DWORD', data: 3 }, to: { type: 'REG_DWORD', data: 4 } } ]);
+
+  });
+
+  it('reports equal snapshots', async function () {
+
+    var diff = Registry.diff(await appKey.snapshot(), await appKey.snapshot());
+
+    test.bool(diff.equal)
+    . isTrue();
+
+  });
+
+  it('replays a diff onto another key', async function () {
+
+    var before = await appKey.snapshot()
+    ,   copy = new Registry({ hive: Registry.HKCU, key: '\\Software\\SnapshotCopy', executor: memory.executor })
+
+    await appKey.copy(copy, { recursive: true });
+
+    await appKey.set('Count', Registry.REG_DWORD, 4);
+    await appKey.child('Settings').destroy();
+    await appKey.join('Plugins', 'Spell').create();
+
+    await copy.apply(JSON.parse(JSON.stringify(Registry.diff(before, await appKey.snapshot()))));
+
+    test.bool(Registry.diff(await appKey.snapshot(), await copy.snapshot()).equal)
+    . isTrue();
+
+  });
+
+  it('undoes a diff', async function () {
+
+    var before = await appKey.snapshot()
+    ,   footprint
+
+    // the footprint of an installer
+    await appKey.set('Count', Registry.REG_DWORD, 4);
+    await appKey.set('Blob', Registry.REG_NONE, Buffer.from([ 2 ]));
+    await appKey.remove(Registry.DEFAULT_VALUE);
+    await appKey.child('Settings').destroy();
+    await appKey.join('Plugins', 'Spell').set('Enabled', Registry.REG_DWORD, 1);
+
+    footprint = Registry.diff(before, await appKey.snapshot());
+
+    await appKey.apply(footprint, { reverse: true });
+
+    test.bool(Registry.diff(before, await appKey.snapshot()).equal)
+    . isTrue();
+
+  });
+
+  it('skips the placeholder of an unset default value', async function () {
+
+    var regKey = new Registry({
+          hive:     Registry.HKCU,
+          key:      '\\Software\\SnapshotTest',
+          executor: function (args, cb) {
+            setImmediate(function () {
+              cb(null, { stdout: '\r\nHKEY_CURRENT_USER\\Software\\SnapshotTest\r\n    (Standard)    REG_SZ    (Wert nicht festgelegt)\r\n    Name    REG_SZ    x\r\n\r\n', stderr: '', code: 0 });
+            });
+          }
+        })
+
+    test.array((await regKey.snapshot()).values.map(function (value) { return value.name; }))
+    . is([ 'Name' ]);
+
+  });
+
+  it('recognizes the localized name of the default value', async function () {
+
+    var germanKey = new Registry({
+          hive:     Registry.HKCU,
+          key:      '\\Software\\SnapshotTest',
+          executor: function (args, cb) {
+            if (args[0] != 'QUERY')
+              return memory.executor(args, cb);
+            setImmediate(function () {
+              cb(null, { stdout: '\r\nHKEY_CURRENT_USER\\Software\\SnapshotTest\r\n    (Standard)    REG_SZ    hallo\r\n\r\n', stderr: '', code: 0 });
+            });
+          }
+        })
+    ,   snapshot = await germanKey.snapshot()
+
+    test.object(snapshot.values[0])
+    . is({ name: '', type: 'REG_SZ', data: 'hallo' });
+
+    memory.reset();
+    await appKey.apply(Registry.diff({ values: [], keys: [] }, snapshot));
+
+    test.array((await appKey.values()).map(function (item) { return item.name + '=' + item.value; }))
+    . is([ '(Default)=hallo' ]);
+
+  });
+
+  it('fails to apply values of types it can\'t write', async function () {
+
+    var diff = Registry.diff({ values: [], keys: [] }, { values: [ { name: 'Link', type: Registry.REG_LINK, data: '\\Registry\\Machine\\SYSTEM' } ], keys: [] })
+    ,   error = null
+
+    try {
+      await appKey.apply(diff);
+    } catch (e) {
+      error = e;
+    }
+
+    test.object(error)
+    . hasProperty('message', 'illegal type specified.');
+
+  });
+
+  it('rejects invalid input', function () {
+
+    test.exception(function () {
+      Registry.diff({}, {});
+    });
+
+    test.exception(function () {
+      appKey.apply(null, function () {});
+    });
+
+  });
+
+}); // end - describe snapshot
@@ -0,0 +1,274 @@
+var test  = require('unit.js');
+
+describe('timeout', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   savedTimeout = Registry.defaults.timeout
+  ,   hasAbortController = typeof AbortController === 'function'  // a global since Node.js 15
+
+  afterEach(function () {
+    Registry.defaults.timeout = savedTimeout;
+  });
+
+  // creates an executor whose commands never exit, it records the started and killed commands
+  function hanging() {
+    var executor = function (args, cb) {
+      var command = { args: args, killed: false };
+
+      executor.started.push(command);
+      return {
+        kill: function kill () {
+          command.killed = true;
+          // a killed process still exits, which must not be reported again
+          setImmediate(function () { cb(null, { stdout: '', stderr: '', code: 1 }); });
+        }
+      };
+    };
+
+    executor.started = [];
+    return executor;
+  }
+
+  // creates an executor that answers after the given delay
+  function slow(delay, stdout) {
+    return function (args, cb) {
+      var timer = setTimeout(function () {
+        cb(null, { stdout: stdout || '', stderr: '', code: 0 });
+      }, delay);
+
+      return { kill: function kill () { clearTimeout(timer); } };
+    };
+  }
+
+  function key(executor, options) {
+    var opts = { hive: Registry.HKCU, key: '\\Software\\TimeoutTest', executor: executor };
+
+    Object.keys(options || {}).forEach(function (name) { opts[name] = options[name]; });
+    return new Registry(opts);
+  }
+
+  // resolves with the error the given promise is rejected with
+  function rejection(promise) {
+    return promise.then(function () {
+      throw new Error('expected the command to fail');
+    }, function (err) {
+      return err;
+    });
+  }
+
+  function wait(ms) {
+    return new Promise(function (resolve) { setTimeout(resolve, ms); });
+  }
+
+  it('kills a command that exceeds the timeout of the call', async function () {
+
+    var executor = hanging()
+    ,   calls = 0
+    ,   err = await new Promise(function (resolve) {
+          key(executor).values({ timeout: 20 }, function (err) {
+            calls++;
+            resolve(err);
+          });
+        })
+
+    test.object(err)
+    . isInstanceOf(Registry.TimeoutError)
+    . isInstanceOf(Registry.RegistryError)
+    . hasProperty('name', 'TimeoutError')
+    . hasProperty('timeout', 20)
+    . hasProperty('command', 'QUERY');
+
+    test.bool(executor.started[0].killed)
+    . isTrue();
+
+    await wait(20);
+
+    test.number(calls)
+    . is(1);
+
+  });
+
+  it('uses the timeout of the key and the global default', async function () {
+
+    test.object(await rejection(key(hanging(), { timeout: 10 }).keys()))
+    . isInstanceOf(Registry.TimeoutError)
+    . hasProperty('timeout', 10);
+
+    Registry.defaults.timeout = 15;
+
+    test.object(await rejection(key(hanging()).get('Name')))
+    . isInstanceOf(Registry.TimeoutError)
+    . hasProperty('timeout', 15);
+
+    // the timeout of the call overrides the others, 0 disables it
+    test.array(await key(slow(30), { timeout: 10 }).values({ timeout: 0 }))
+    . is([]);
+
+  });
+
+  it('applies the timeout to every command of a composite method', async function () {
+
+    var regKey = key(slow(30, 'HKEY_CURRENT_USER\\Software\\TimeoutTest\r\n'))
+
+    test.bool(await regKey.keyExists({ timeout: 100 }))
+    . isTrue();
+
+    test.object(await rejection(regKey.copy('HKCU\\Software\\TimeoutCopy', { timeout: 10 })))
+    . isInstanceOf(Registry.TimeoutError);
+
+  });
+
+  it('does not apply the options to commands started from the callback', async function () {
+
+    await new Promise(function (resolve, reject) {
+      key(slow(5)).values({ timeout: 20 }, function (err) {
+        if (err)
+          return reject(err);
+        // would time out if it inherited the timeout of the first call
+        key(slow(40)).values(function (err) {
+          err ? reject(err) : resolve();
+        });
+      });
+    });
+
+  });
+
+  it('aborts a running command', async function () {
+
+    if (!hasAbortController) this.skip();
+
+    var executor = hanging()
+    ,   controller = new AbortController()
+    ,   promise = rejection(key(executor).values({ signal: controller.signal }))
+    ,   err
+
+    await wait(5);
+    controller.abort('no longer needed');
+    err = await promise;
+
+    test.object(err)
+    . isInstanceOf(Registry.AbortError)
+    . hasProperty('name', 'AbortError')
+    . hasProperty('reason', 'no longer needed');
+
+    test.bool(executor.started[0].killed)
+    . isTrue();
+
+  });
+
+  it('fails immediately with an aborted signal', async function () {
+
+    if (!hasAbortController) this.skip();
+
+    var executor = hanging()
+    ,   controller = new AbortController()
+
+    controller.abort();
+
+    test.object(await rejection(key(executor).set('Name', Registry.REG_SZ, 'value', { signal: controller.signal })))
+    . isInstanceOf(Registry.AbortError);
+
+    test.number(executor.started.length)
+    . is(0);
+
+  });
+
+  it('cancels commands that wait for the scheduler', async function () {
+
+    if (!hasAbortController) this.skip();
+
+    var executor = hanging()
+    ,   savedConcurrency = Registry.defaults.concurrency
+    ,   controller = new AbortController()
+    ,   regKey = key(executor)
+    ,   running
+    ,   waiting
+
+    Registry.defaults.concurrency = 1;
+    try {
+      running = rejection(regKey.values({ timeout: 50 }));
+      waiting = rejection(regKey.keys({ signal: controller.signal }));
+
+      await wait(5);
+      controller.abort();
+
+      test.object(await waiting)
+      . isInstanceOf(Registry.AbortError);
+      test.number(executor.started.length)
+      . is(1);
+
+      test.object(await running)
+      . isInstanceOf(Registry.TimeoutError);
+    } finally {
+      Registry.defaults.concurrency = savedConcurrency;
+    }
+
+  });
+
+  it('rolls back an aborted batch', async function () {
+
+    if (!hasAbortController) this.skip();
+
+    var memory = new Registry.MemoryRegistry()
+    ,   controller = new AbortController()
+    ,   regKey = key(function (args, cb) {
+          // the second operation hangs until it is aborted
+          if (args[0] == 'ADD' && args.indexOf('Other') >= 0)
+            return hanging()(args, cb);
+          return memory.executor(args, cb);
+        })
+    ,   promise
+    ,   err
+
+    await regKey.set('Version', Registry.REG_SZ, '1.0');
+
+    promise = rejection(Registry.batch()
+      .set(regKey, 'Version', Registry.REG_SZ, '2.0')
+      .set(regKey, 'Other', Registry.REG_SZ, 'x')
+      .run({ signal: controller.signal }));
+
+    await wait(10);
+    controller.abort();
+    err = await promise;
+
+    test.object(err.cause)
+    . isInstanceOf(Registry.AbortError);
+    test.bool(err.rolledBack)
+    . isTrue();
+
+    test.string((await regKey.get('Version')).value)
+    . is('1.0');
+
+  });
+
+  it('stops a watcher', async function () {
+
+    if (!hasAbortController) this.skip();
+
+    var controller = new AbortController()
+    ,   watcher = key(slow(5)).watch({ interval: 10, signal: controller.signal })
+
+    test.bool(watcher.active)
+    . isTrue();
+
+    controller.abort();
+
+    test.bool(watcher.active)
+    . isFalse();
+
+  });
+
+  it('rejects invalid options', function () {
+
+    var regKey = key(hanging())
+
+    test.exception(function () { regKey.values({ timeout: -1 }, function () {}); })
+    . hasMessage('illegal timeout specified.');
+    test.exception(function () { regKey.values({ signal: {} }, function () {}); })
+    . hasMessage('illegal signal specified.');
+    test.exception(function () { key(hanging(), { timeout: 'soon' }); })
+    . hasMessage('illegal timeout specified.');
+
+  });
+
+}); // end - describe timeout
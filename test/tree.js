@@ -0,0 +1,143 @@
+var test  = require('unit.js');
+
+describe('tree', function(){
+  
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   helpers = require(__dirname+'/helpers.js')
+  ,   fixture = helpers.recordingRegistry()
+  ,   memory = fixture.memory
+  ,   calls = fixture.calls
+  ,   regKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\MyApp', executor: fixture.executor })
+  
+  before(async function () {
+    await regKey.set('Version', Registry.REG_SZ, '1.0');
+    await regKey.set('Install Path', Registry.REG_SZ, 'C:\\MyApp');
+    await new Registry({ hive: Registry.HKCU, key: '\\Software\\MyApp\\Plugins\\Empty', executor: regKey.executor }).create();
+    await new Registry({ hive: Registry.HKCU, key: '\\Software\\MyApp\\Plugins\\Spell', executor: regKey.executor }).set('Enabled', Registry.REG_DWORD, '1');
+    await new Registry({ hive: Registry.HKCU, key: '\\Software\\MyApp\\Cache', executor: regKey.executor }).set('Size', Registry.REG_DWORD, '0x100');
+  });
+  
+  beforeEach(function () {
+    calls.length = 0;
+  });
+  
+  // flattens a tree into an array of key names and value counts
+  function flatten(node, result) {
+    result = result || [];
+    result.push(node.depth + ' ' + node.key.key + ' ' + node.values.length);
+    for (var i = 0; i < node.keys.length; i++)
+      flatten(node.keys[i], result);
+    return result;
+  }
+  
+  it('retrieves the whole subtree with a single REG QUERY /s', async function () {
+    
+    var root = await regKey.tree();
+    
+    test.array(flatten(root))
+    . is([
+      '0 \\Software\\MyApp 2',
+      '1 \\Software\\MyApp\\Plugins 0',
+      '2 \\Software\\MyApp\\Plugins\\Empty 0',
+      '2 \\Software\\MyApp\\Plugins\\Spell 1',
+      '1 \\Software\\MyApp\\Cache 1'
+    ]);
+    
+    test.number(calls.length)
+    . is(1);
+    
+    test.array(calls[0])
+    . is([ 'QUERY', 'HKCU\\Software\\MyApp', '/s' ]);
+    
+    test.object(root.keys[0].keys[1].values[0])
+    . hasProperty('key', '\\Software\\MyApp\\Plugins\\Spell')
+    . hasProperty('name', 'Enabled')
+    . hasProperty('value', '0x1');
+    
+  });
+  
+  it('limits the depth of the tree', async function () {
+    
+    test.array(flatten(await regKey.tree({ depth: 1 })))
+    . is([
+      '0 \\Software\\MyApp 2',
+      '1 \\Software\\MyApp\\Plugins 0',
+      '1 \\Software\\MyApp\\Cache 1'
+    ]);
+    
+  });
+  
+  it('filters keys and values', async function () {
+    
+    var root = await regKey.tree({
+      keys:   /^(Plugins|Spell)$/,
+      values: function (item) { return item.name != 'Version'; }
+    });
+    
+    test.array(flatten(root))
+    . is([
+      '0 \\Software\\MyApp 1',
+      '1 \\Software\\MyApp\\Plugins 0',
+      '2 \\Software\\MyApp\\Plugins\\Spell 1'
+    ]);
+    
+  });
+  
+  it('visits keys depth-first', function (done) {
+    
+    var visited = [];
+    
+    regKey.walk(function (key, values, depth) {
+      visited.push(depth + ' ' + key.key);
+      return key.key != '\\Software\\MyApp\\Plugins';
+    }, function (err) {
+      
+      if (err) throw err;
+      
+      test.array(visited)
+      . is([
+        '0 \\Software\\MyApp',
+        '1 \\Software\\MyApp\\Plugins',
+        '1 \\Software\\MyApp\\Cache'
+      ]);
+      
+      done();
+      
+    });
+    
+  });
+  
+  it('iterates keys asynchronously', async function () {
+    
+    var visited = [];
+    
+    for await (var node of regKey.walk({ depth: 1 })) {
+      visited.push(node.key.key);
+    }
+    
+    test.array(visited)
+    . is([ '\\Software\\MyApp', '\\Software\\MyApp\\Plugins', '\\Software\\MyApp\\Cache' ]);
+    
+    test.number(calls.length)
+    . is(1);
+    
+  });
+  
+  it('reports errors of missing keys', function () {
+    
+    var missing = new Registry({ hive: Registry.HKCU, key: '\\Software\\Missing', executor: memory.executor });
+    
+    return missing.tree().then(function () {
+      
+      throw new Error('expected tree() to fail');
+      
+    }, function (err) {
+      
+      test.number(err.code)
+      . is(1);
+      
+    });
+    
+  });
+  
+}); // end - describe tree
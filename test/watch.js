@@ -0,0 +1,165 @@
+var test  = require('unit.js');
+
+describe('watch', function(){
+
+  var Registry = require(__dirname+'/../lib/registry.js')
+  ,   memory = new Registry.MemoryRegistry()
+  ,   appKey = new Registry({ hive: Registry.HKCU, key: '\\Software\\WatchTest', executor: memory.executor })
+  ,   watcher = null
+
+  // resolves with the arguments of the next event of the given name
+  function next(emitter, name) {
+    return new Promise(function (resolve) {
+      emitter.once(name, function () { resolve(Array.prototype.slice.call(arguments)); });
+    });
+  }
+
+  // collects all single change events until the next change event
+  function changes(emitter) {
+    var events = [];
+    [ 'valueAdded', 'valueChanged', 'valueRemoved', 'keyAdded', 'keyRemoved' ].forEach(function (name) {
+      emitter.on(name, function (subject) {
+        events.push(name + ' ' + (subject.name !== undefined ? subject.name : subject.key));
+      });
+    });
+    return next(emitter, 'change').then(function () {
+      emitter.removeAllListeners();
+      return events.sort();
+    });
+  }
+
+  beforeEach(async function () {
+    memory.reset();
+    await appKey.set('Name', Registry.REG_SZ, 'initial');
+    await appKey.set('Obsolete', Registry.REG_SZ, 'x');
+    await appKey.child('Old').set('Level', Registry.REG_DWORD, 1);
+  });
+
+  afterEach(function () {
+    if (watcher)
+      watcher.stop();
+    watcher = null;
+  });
+
+  it('reports added, changed and removed values and keys', async function () {
+
+    var events;
+
+    watcher = appKey.watch({ interval: 5 });
+    await next(watcher, 'ready');
+
+    // change the memory registry synchronously, so no poll sees a part of the changes
+    events = changes(watcher);
+    memory.exec([ 'ADD', 'HKCU\\Software\\WatchTest', '/v', 'Name', '/d', 'changed', '/f' ]);
+    memory.exec([ 'ADD', 'HKCU\\Software\\WatchTest', '/v', 'Added', '/t', 'REG_DWORD', '/d', '1', '/f' ]);
+    memory.exec([ 'DELETE', 'HKCU\\Software\\WatchTest', '/v', 'Obsolete', '/f' ]);
+    memory.exec([ 'ADD', 'HKCU\\Software\\WatchTest\\New', '/f' ]);
+    memory.exec([ 'DELETE', 'HKCU\\Software\\WatchTest\\Old', '/f' ]);
+
+    test.array(await events)
+    . is([
+        'keyAdded \\Software\\WatchTest\\New',
+        'keyRemoved \\Software\\WatchTest\\Old',
+        'valueAdded Added',
+        'valueChanged Name',
+        'valueRemoved Obsolete'
+      ]);
+
+  });
+
+  it('passes the new and the previous item of changed values', async function () {
+
+    var changed;
+
+    watcher = appKey.watch({ interval: 5 });
+    await next(watcher, 'ready');
+
+    changed = next(watcher, 'valueChanged');
+    await appKey.set('Name', Registry.REG_SZ, 'changed');
+
+    changed = await changed;
+    test.string(changed[0].value)
+    . is('changed');
+    test.string(changed[1].value)
+    . is('initial');
+
+  });
+
+  it('watches subkeys only if recursive', async function () {
+
+    var events;
+
+    watcher = appKey.watch({ interval: 5, recursive: true });
+    await next(watcher, 'ready');
+
+    events = changes(watcher);
+    await appKey.child('Old').set('Level', Registry.REG_DWORD, 2);
+
+    test.array(await events)
+    . is([ 'valueChanged Level' ]);
+
+  });
+
+  it('coalesces changes within the debounce time', async function () {
+
+    var reported = [];
+
+    watcher = appKey.watch({ interval: 5, debounce: 40 });
+    await next(watcher, 'ready');
+
+    watcher.on('change', function (diff) { reported.push(diff); });
+    await appKey.set('Name', Registry.REG_SZ, 'first');
+    await new Promise(function (resolve) { setTimeout(resolve, 15); });
+    await appKey.set('Name', Registry.REG_SZ, 'second');
+    await new Promise(function (resolve) { setTimeout(resolve, 150); });
+
+    test.number(reported.length)
+    . is(1);
+    test.string(reported[0].values.changed[0].to.value)
+    . is('second');
+
+  });
+
+  it('reports failing polls and keeps polling', async function () {
+
+    var error;
+
+    watcher = appKey.watch({ interval: 5 });
+    await next(watcher, 'ready');
+
+    error = next(watcher, 'error');
+    await appKey.destroy();
+    test.object((await error)[0])
+    . hasProperty('code', 1);
+
+    await next(watcher, 'error');
+
+  });
+
+  it('stops polling and kills the running query', async function () {
+
+    var polls = 0
+    ,   killed = 0
+    ,   executor = function (args, cb) {
+          polls++;
+          setTimeout(function () { memory.executor(args, cb); }, 20);
+          return { kill: function () { killed++; } };
+        }
+    ,   key = new Registry({ hive: Registry.HKCU, key: '\\Software\\WatchTest', executor: executor })
+
+    watcher = key.watch({ interval: 5 });
+    await new Promise(function (resolve) { setTimeout(resolve, 5); });
+    watcher.stop();
+
+    test.number(killed)
+    . is(1);
+    test.bool(watcher.active)
+    . isFalse();
+
+    await new Promise(function (resolve) { setTimeout(resolve, 50); });
+    test.number(polls)
+    . is(1);
+
+  });
+
+}); // end - describe watch